@@ -0,0 +1,618 @@
+// assets/js/components/admin.js
+// Content editor (admin.html, [data_admin]): forms for the projects, gallery images and About
+// metrics, a live preview built with the site's own card / gallery / metric rendering, drag and
+// drop ordering, and a download of the updated JSON file. Runs in the browser only; nothing is
+// sent anywhere.
+// NOTE: This is an authoring tool for the site owner, so its text is not in the i18n catalogs.
+
+import { createEl, fetchJson, listen, qs, qsa, slugify } from "../core/dom.js";
+import { normalizeGalleryItem } from "../core/gallery.js";
+import { formatNumber } from "../core/i18n.js";
+import { METRIC_SOURCES, metricFormat, resolveMetrics } from "../core/metrics.js";
+import { modelFormat } from "../core/model_formats.js";
+import { normalizeProject } from "../core/projects.js";
+import { renderGalleryItem } from "./gallery.js";
+import { renderMetric } from "./metrics.js";
+import { renderProjectCard } from "./projects.js";
+
+/* ===========================
+   Fields
+   Each field reads and writes one key of the raw JSON item, so anything the editor does
+   not know about (translations under "i18n", extra keys) is kept as is.
+   =========================== */
+
+// Plain string keys; empty optional values are left out of the file
+const text = (key, label, extra = {}) => ({ key, label, type: "text", ...extra });
+const area = (key, label, extra = {}) => ({ key, label, type: "textarea", ...extra });
+const number = (key, label, min, max, extra = {}) => ({ key, label, type: "number", min, max, ...extra });
+
+const srcOf = (value) => (typeof value === "string" ? value : (value && value.src) || "");
+
+const PROJECT_FIELDS = [
+  text("title", "Title", { required: true }),
+  text("slug", "Slug", {
+    required: true,
+    hint: "Used in links (#project=slug). Lowercase letters, numbers and dashes.",
+    check: (value, item, items) => {
+      if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(value)) return "Use lowercase letters, numbers and dashes.";
+      return items.some((other) => other !== item && other.slug === value) ? "Another project uses this slug." : "";
+    },
+  }),
+  text("summary", "Summary", { required: true, hint: "One sentence for the card." }),
+  area("description", "Description"),
+  text("category", "Category", { suggest: "category", hint: "Places the project on its involvement page, e.g. formula_sae." }),
+  number("year", "Year", 1900, 2100),
+  {
+    key: "skills",
+    label: "Skills",
+    type: "text",
+    hint: "Comma separated. Each one becomes a tag and a filter.",
+    get: (item) => (Array.isArray(item.skills) ? item.skills.join(", ") : ""),
+    set: (item, value) => {
+      item.skills = value.split(",").map((s) => s.trim()).filter(Boolean);
+    },
+  },
+  number("impact", "Impact (1-100)", 1, 100),
+  number("technical", "Technical depth (1-100)", 1, 100),
+  area("problem", "Problem"),
+  area("approach", "Approach"),
+  area("result", "Result"),
+  {
+    key: "images",
+    label: "Images",
+    type: "textarea",
+    paths: true,
+    hint: "One path per line. The first is used on the card and in the quick view.",
+    get: (item) => (Array.isArray(item.images) ? item.images.map(srcOf).join("\n") : ""),
+    // Existing { src, alt, caption } entries keep their alt text and caption
+    set: (item, value) => {
+      const before = Array.isArray(item.images) ? item.images : [];
+      item.images = value
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .map((src) => before.find((img) => srcOf(img) === src) || src);
+    },
+  },
+  {
+    key: "model",
+    label: "3D model",
+    type: "text",
+    paths: true,
+    hint: "Optional .stl, .gltf or .glb file shown in the quick view.",
+    get: (item) => srcOf(item.model),
+    set: (item, value) => {
+      if (!value) delete item.model;
+      else item.model = item.model && typeof item.model === "object" ? { ...item.model, src: value } : value;
+    },
+    check: (value) => (modelFormat(value) ? "" : "Use an .stl, .gltf or .glb file."),
+  },
+  { key: "featured", label: "Featured on the home page", type: "checkbox" },
+];
+
+const GALLERY_FIELDS = [
+  text("src", "Image", { required: true, paths: true }),
+  text("alt", "Alt text", { required: true, hint: "What the image shows, for screen readers." }),
+  text("caption", "Caption"),
+  text("type", "Type", { suggest: "type", hint: "Matches the gallery filter chips: cad, build, event, prototype." }),
+];
+
+const METRIC_FIELDS = [
+  text("label", "Label", { required: true }),
+  text("source", "Worked out from", {
+    options: Object.keys(METRIC_SOURCES),
+    hint: "projects, project_hours, skills, involvement or involvement_hours. Leave empty to type the value.",
+    check: (value) => (value in METRIC_SOURCES ? "" : "Pick one of the listed sources."),
+  }),
+  number("value", "Value", 0, Infinity, { requiredWhen: (item) => !item.source, hint: "Used when there is no source." }),
+  text("category", "Only this category", { hint: "Counts only projects or involvement pages in it, e.g. scouting." }),
+  text("skill", "Only this skill", { hint: "Counts only projects that list it, e.g. CAD." }),
+  text("prefix", "Prefix", { hint: "Shown before the number, e.g. $." }),
+  text("suffix", "Suffix", { hint: "Shown after the number, e.g. + or %." }),
+  number("decimals", "Decimals", 0, 6),
+  { key: "compact", label: "Compact (5K instead of 5,000)", type: "checkbox" },
+];
+
+/* ===========================
+   Collections
+   =========================== */
+
+const COLLECTIONS = {
+  projects: {
+    file: "assets/data/projects.json",
+    key: "projects",
+    noun: "project",
+    fields: PROJECT_FIELDS,
+    label: (item) => item.title || "Untitled project",
+    blank: () => ({ slug: "", title: "", summary: "", skills: [], images: [] }),
+    preview: (item) => createEl("div", { className: "card_grid" }, [renderProjectCard(normalizeProject(item), "grid")]),
+  },
+  gallery: {
+    file: "assets/data/gallery.json",
+    key: "items",
+    noun: "image",
+    fields: GALLERY_FIELDS,
+    label: (item) => item.caption || item.alt || srcOf(item) || "New image",
+    blank: () => ({ src: "", alt: "", caption: "", type: "" }),
+    preview: (item) => createEl("div", { className: "masonry" }, [renderGalleryItem(normalizeGalleryItem(item))]),
+  },
+  metrics: {
+    file: "assets/data/site.json",
+    key: "metrics",
+    noun: "metric",
+    fields: METRIC_FIELDS,
+    label: (item) => item.label || "New metric",
+    blank: () => ({ label: "", value: 0 }),
+    // The final number straight away instead of counting up on every keystroke. Sources are
+    // worked out from the data files on the site, not from unsaved edits.
+    preview: (item) => {
+      const card = renderMetric(item);
+      const value = qs("[data_countup]", card);
+      value.removeAttribute("data_countup");
+      value.textContent = formatNumber(Number(item.value) || 0, metricFormat(item));
+      if (item.source in METRIC_SOURCES) {
+        resolveMetrics([item]).then(([metric]) => {
+          value.textContent = formatNumber(metric.value, metricFormat(metric));
+        });
+      }
+      return createEl("div", { className: "metrics" }, [card]);
+    },
+  },
+};
+
+const fileName = (path) => path.split("/").pop();
+
+const getValue = (field, item) => {
+  if (field.get) return field.get(item);
+  if (field.type === "checkbox") return Boolean(item[field.key]);
+  const value = item[field.key];
+  return value === undefined || value === null ? "" : String(value);
+};
+
+const setValue = (field, item, value) => {
+  if (field.set) field.set(item, value);
+  else if (field.type === "checkbox" && value) item[field.key] = true;
+  else if (field.type === "checkbox" || (value === "" && !field.required)) delete item[field.key];
+  else if (field.type === "number" && value !== "" && Number.isFinite(Number(value))) item[field.key] = Number(value);
+  else item[field.key] = value;
+};
+
+// Returns an error message, or "" when the value is fine
+const fieldError = (field, item, items) => {
+  const value = field.type === "checkbox" ? "" : String(getValue(field, item)).trim();
+  if (!value) return field.required || (field.requiredWhen && field.requiredWhen(item)) ? "Required." : "";
+  if (field.type === "number") {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return "Enter a number.";
+    if (n < field.min || n > field.max) return field.max === Infinity ? `At least ${field.min}.` : `Between ${field.min} and ${field.max}.`;
+  }
+  return field.check ? field.check(value, item, items) : "";
+};
+
+/* ===========================
+   File checks
+   =========================== */
+
+// path -> Promise<boolean>, so each file is only requested once
+const pathChecks = new Map();
+
+const pathExists = (path) => {
+  // Only files in the site can be checked
+  if (/^[a-z]+:/i.test(path) || path.startsWith("//")) return Promise.resolve(true);
+  if (!pathChecks.has(path)) {
+    pathChecks.set(
+      path,
+      fetch(path, { method: "HEAD", cache: "no-cache" })
+        .then((res) => res.ok)
+        .catch(() => false)
+    );
+  }
+  return pathChecks.get(path);
+};
+
+// Resolves to the paths of field that are missing
+const missingPaths = (field, item) => {
+  if (!field.paths) return Promise.resolve([]);
+  const paths = String(getValue(field, item)).split("\n").map((p) => p.trim()).filter(Boolean);
+  return Promise.all(paths.map(pathExists)).then((found) => paths.filter((p, i) => !found[i]));
+};
+
+const download = (name, data) => {
+  const blob = new Blob([`${JSON.stringify(data, null, 2)}\n`], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = createEl("a", { href: url, download: name, hidden: true });
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/* ===========================
+   Editor
+   =========================== */
+
+// One panel: list, form and preview for a collection
+const createPanel = (panel, name, source, setStatus, onDirty) => {
+  const config = COLLECTIONS[name];
+  const { data } = source;
+  const items = Array.isArray(data) ? data : (data[config.key] = Array.isArray(data[config.key]) ? data[config.key] : []);
+
+  let selected = items.length ? 0 : -1;
+  let dragFrom = -1;
+
+  const heading = qs("h2", panel);
+  const addBtn = createEl("button", { className: "button small secondary", type: "button", data_admin_add: true, text: `Add ${config.noun}` });
+  const exportBtn = createEl("button", {
+    className: "button small primary",
+    type: "button",
+    data_admin_export: true,
+    text: `Download ${fileName(config.file)}`,
+  });
+  const list = createEl("ol", { className: "admin_list", "aria-label": `${heading ? heading.textContent : name}, in page order` });
+  const form = createEl("form", { className: "contact_form admin_form", novalidate: true, "aria-label": `Edit ${config.noun}` });
+  const preview = createEl("div", { className: "admin_preview_body", data_admin_preview: true });
+
+  panel.append(
+    createEl("div", { className: "form_actions" }, [addBtn, exportBtn]),
+    createEl("div", { className: "admin_layout" }, [
+      list,
+      form,
+      createEl("div", { className: "admin_preview" }, [createEl("h3", { className: "h4", text: "Preview" }), preview]),
+    ])
+  );
+
+  // Values already used in this collection, offered as suggestions
+  const suggestions = (key) => Array.from(new Set(items.map((item) => item[key]).filter(Boolean))).sort();
+
+  /* ---------- List ---------- */
+
+  const renderList = () => {
+    list.replaceChildren(
+      ...items.map((item, i) => {
+        const label = config.label(item);
+        return createEl(
+          "li",
+          { className: `admin_item${i === selected ? " is_active" : ""}`, draggable: "true", data_admin_index: i },
+          [
+            createEl("span", { className: "admin_handle", "aria-hidden": "true", text: "☰" }),
+            createEl("button", {
+              className: "admin_item_select",
+              type: "button",
+              data_admin_select: i,
+              "aria-current": i === selected ? "true" : null,
+              text: label,
+            }),
+            createEl("button", {
+              className: "icon_button",
+              type: "button",
+              data_admin_move: -1,
+              "aria-label": `Move ${label} up`,
+              disabled: i === 0,
+              text: "↑",
+            }),
+            createEl("button", {
+              className: "icon_button",
+              type: "button",
+              data_admin_move: 1,
+              "aria-label": `Move ${label} down`,
+              disabled: i === items.length - 1,
+              text: "↓",
+            }),
+          ]
+        );
+      })
+    );
+  };
+
+  const renderPreview = () => {
+    preview.replaceChildren(...(selected >= 0 ? [config.preview(items[selected])] : []));
+  };
+
+  /* ---------- Form ---------- */
+
+  const fieldId = (field) => `admin_${name}_${field.key}`;
+
+  const showError = (field, message, state) => {
+    const input = form.elements.namedItem(field.key);
+    const error = qs(`[data_field_error="${field.key}"]`, form);
+    if (input) input.setAttribute("aria-invalid", message && state !== "warning" ? "true" : "false");
+    if (error) {
+      error.textContent = message;
+      error.setAttribute("data_state", message ? state || "error" : "");
+    }
+  };
+
+  const validateField = (field) => {
+    const item = items[selected];
+    const message = fieldError(field, item, items);
+    showError(field, message);
+    if (message || !field.paths) return;
+
+    // Missing files are warnings, as in scripts/check_links.js: placeholders are fine while drafting
+    missingPaths(field, item).then((missing) => {
+      if (items[selected] !== item || fieldError(field, item, items)) return;
+      showError(field, missing.length ? `Not found: ${missing.join(", ")}` : "", "warning");
+    });
+  };
+
+  const renderForm = () => {
+    form.replaceChildren();
+    if (selected < 0) {
+      form.appendChild(createEl("p", { className: "muted", text: `No ${config.noun}s yet.` }));
+      return;
+    }
+    const item = items[selected];
+
+    config.fields.forEach((field) => {
+      const id = fieldId(field);
+      const describedBy = [field.hint ? `${id}_hint` : "", `${id}_error`].filter(Boolean).join(" ");
+      const attrs = { id, name: field.key, "aria-describedby": describedBy, required: field.required };
+      let input;
+
+      if (field.type === "checkbox") {
+        input = createEl("input", { ...attrs, type: "checkbox", checked: getValue(field, item) });
+      } else if (field.type === "textarea") {
+        input = createEl("textarea", { ...attrs, className: "input", rows: field.paths ? "3" : "4" });
+        input.value = getValue(field, item);
+      } else {
+        input = createEl("input", {
+          ...attrs,
+          className: "input",
+          type: field.type === "number" ? "number" : "text",
+          min: field.type === "number" ? field.min : null,
+          max: field.type === "number" && field.max !== Infinity ? field.max : null,
+          list: field.suggest || field.options ? `${id}_list` : null,
+        });
+        input.value = getValue(field, item);
+      }
+
+      form.appendChild(
+        createEl("div", { className: `form_field${field.type === "checkbox" ? " admin_checkbox" : ""}` }, [
+          createEl("label", { className: "filter_label", for: id, text: field.label }),
+          input,
+          field.suggest || field.options
+            ? createEl("datalist", { id: `${id}_list` }, (field.options || suggestions(field.suggest)).map((v) => createEl("option", { value: v })))
+            : null,
+          field.hint ? createEl("p", { className: "field_hint", id: `${id}_hint`, text: field.hint }) : null,
+          createEl("p", { className: "field_error", id: `${id}_error`, data_field_error: field.key }),
+        ])
+      );
+      if (field.paths && getValue(field, item)) validateField(field);
+    });
+
+    form.appendChild(
+      createEl("div", { className: "form_actions" }, [
+        createEl("button", { className: "button small ghost", type: "button", data_admin_remove: true, text: `Remove ${config.noun}` }),
+      ])
+    );
+  };
+
+  const render = () => {
+    renderList();
+    renderForm();
+    renderPreview();
+  };
+
+  const select = (index) => {
+    selected = index;
+    render();
+  };
+
+  /* ---------- Ordering ---------- */
+
+  const move = (from, to) => {
+    if (from === to || from < 0 || to < 0 || from >= items.length || to >= items.length) return;
+    const current = items[selected];
+    const [item] = items.splice(from, 1);
+    items.splice(to, 0, item);
+    selected = items.indexOf(current);
+    onDirty();
+    renderList();
+    setStatus(`Moved ${config.label(item)} to position ${to + 1} of ${items.length}.`);
+  };
+
+  const itemIndex = (el) => {
+    const li = el.closest("[data_admin_index]");
+    return li ? Number(li.getAttribute("data_admin_index")) : -1;
+  };
+
+  const clearDrop = () => qsa(".is_drop_target, .is_dragging", list).forEach((li) => li.classList.remove("is_drop_target", "is_dragging"));
+
+  /* ---------- Events ---------- */
+
+  const offs = [
+    listen(list, "click", (e) => {
+      const btn = e.target.closest("button");
+      if (!btn) return;
+      const index = itemIndex(btn);
+      if (btn.hasAttribute("data_admin_select")) {
+        select(index);
+      } else if (btn.hasAttribute("data_admin_move")) {
+        const to = index + Number(btn.getAttribute("data_admin_move"));
+        move(index, to);
+        // Keep focus on the moved item's button
+        const moved = qs(`[data_admin_index="${to}"] [data_admin_move="${btn.getAttribute("data_admin_move")}"]`, list);
+        const fallback = qs(`[data_admin_index="${to}"] [data_admin_select]`, list);
+        (moved && !moved.disabled ? moved : fallback || list).focus();
+      }
+    }),
+
+    listen(list, "dragstart", (e) => {
+      dragFrom = itemIndex(e.target);
+      e.target.classList.add("is_dragging");
+      if (e.dataTransfer) {
+        e.dataTransfer.effectAllowed = "move";
+        // Firefox only starts a drag with some data set
+        e.dataTransfer.setData("text/plain", String(dragFrom));
+      }
+    }),
+
+    listen(list, "dragover", (e) => {
+      const index = itemIndex(e.target);
+      if (dragFrom < 0 || index < 0) return;
+      e.preventDefault();
+      qsa(".is_drop_target", list).forEach((li) => li.classList.remove("is_drop_target"));
+      e.target.closest("[data_admin_index]").classList.add("is_drop_target");
+    }),
+
+    listen(list, "drop", (e) => {
+      const index = itemIndex(e.target);
+      if (dragFrom < 0 || index < 0) return;
+      e.preventDefault();
+      clearDrop();
+      move(dragFrom, index);
+      dragFrom = -1;
+    }),
+
+    listen(list, "dragend", () => {
+      dragFrom = -1;
+      clearDrop();
+    }),
+
+    listen(form, "input", (e) => {
+      const field = config.fields.find((f) => f.key === e.target.name);
+      if (!field) return;
+      const item = items[selected];
+      setValue(field, item, field.type === "checkbox" ? e.target.checked : e.target.value.trim());
+
+      // New projects get a slug from their title until one is typed in
+      if (name === "projects" && field.key === "title") {
+        const slugInput = form.elements.namedItem("slug");
+        if (slugInput && (!slugInput.value || slugInput.dataset.auto === "true")) {
+          slugInput.value = slugify(item.title);
+          slugInput.dataset.auto = "true";
+          item.slug = slugInput.value;
+        }
+      }
+      if (field.key === "slug") delete e.target.dataset.auto;
+
+      validateField(field);
+      onDirty();
+      renderList();
+      renderPreview();
+    }),
+
+    listen(form, "submit", (e) => e.preventDefault()),
+
+    listen(form, "click", (e) => {
+      if (!e.target.closest("[data_admin_remove]")) return;
+      const [removed] = items.splice(selected, 1);
+      selected = Math.min(selected, items.length - 1);
+      onDirty();
+      render();
+      setStatus(`Removed ${config.label(removed)}. Download ${fileName(config.file)} to keep the change.`);
+      addBtn.focus();
+    }),
+
+    listen(addBtn, "click", () => {
+      items.push(config.blank());
+      select(items.length - 1);
+      onDirty();
+      const first = qs("input, textarea", form);
+      if (first) first.focus();
+    }),
+
+    listen(exportBtn, "click", () => {
+      const problems = [];
+      items.forEach((item, i) => {
+        config.fields.forEach((field) => {
+          const message = fieldError(field, item, items);
+          if (message) problems.push({ index: i, field, message });
+        });
+      });
+
+      if (problems.length) {
+        const first = problems[0];
+        select(first.index);
+        problems.filter((p) => p.index === first.index).forEach((p) => showError(p.field, p.message));
+        const input = form.elements.namedItem(first.field.key);
+        if (input) input.focus();
+        setStatus(
+          `Fix ${problems.length} ${problems.length === 1 ? "problem" : "problems"} before downloading ${fileName(config.file)}: ` +
+            `${first.field.label} of ${config.label(items[first.index])}. ${first.message}`,
+          "error"
+        );
+        return Promise.resolve(false);
+      }
+
+      const checks = items.flatMap((item) => config.fields.map((field) => missingPaths(field, item)));
+      return Promise.all(checks).then((results) => {
+        const missing = results.flat();
+        download(fileName(config.file), data);
+        source.dirty = false;
+        setStatus(
+          `Downloaded ${fileName(config.file)}. Replace ${config.file} with it.` +
+            (missing.length ? ` ${missing.length} ${missing.length === 1 ? "file is" : "files are"} missing: ${missing.join(", ")}.` : ""),
+          "success"
+        );
+        return true;
+      });
+    }),
+  ];
+
+  render();
+  return { destroy: () => offs.forEach((off) => off()) };
+};
+
+// [data_admin]
+export const mountAdmin = (root) => {
+  const status = qs("[data_admin_status]", root);
+  const setStatus = (message, state) => {
+    if (!status) return;
+    status.textContent = message;
+    status.setAttribute("data_state", state || "");
+  };
+
+  // file -> { data, dirty }; the raw JSON, edited in place
+  const sources = new Map();
+  const panels = [];
+
+  const loadSource = (file) => {
+    if (!sources.has(file)) {
+      sources.set(
+        file,
+        fetchJson(file)
+          .then((data) => ({ data, dirty: false }))
+          .catch((err) => {
+            console.warn(`[admin] Could not load ${file}; starting empty.`, err);
+            return { data: {}, dirty: false, missing: true };
+          })
+      );
+    }
+    return sources.get(file);
+  };
+
+  const offs = [
+    // Edits only live in this tab until they are downloaded
+    listen(window, "beforeunload", (e) => {
+      if (!panels.some((p) => p.source.dirty)) return;
+      e.preventDefault();
+      e.returnValue = "";
+    }),
+  ];
+
+  return Promise.all(
+    qsa("[data_admin_panel]", root).map((panel) => {
+      const name = panel.getAttribute("data_admin_panel");
+      if (!COLLECTIONS[name]) return null;
+      return loadSource(COLLECTIONS[name].file).then((source) => {
+        const markDirty = () => {
+          source.dirty = true;
+        };
+        panels.push({ source, instance: createPanel(panel, name, source, setStatus, markDirty) });
+        return source.missing ? COLLECTIONS[name].file : null;
+      });
+    })
+  ).then((missing) => {
+    const failed = missing.filter(Boolean);
+    if (failed.length) setStatus(`Could not load ${failed.join(", ")}. Those sections start empty.`, "error");
+    else setStatus("Changes show in the preview right away. Download each file when you are done.");
+
+    return {
+      destroy: () => {
+        offs.forEach((off) => off());
+        panels.forEach((p) => p.instance.destroy());
+      },
+    };
+  });
+};
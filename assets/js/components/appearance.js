@@ -0,0 +1,128 @@
+// assets/js/components/appearance.js
+// Header theme / motion buttons and the appearance panel. Each one relabels itself on
+// prefs_change, so a choice made in one shows up in the others.
+
+import { on } from "../core/bus.js";
+import { createEl, listen, qs, qsa, setAriaExpanded } from "../core/dom.js";
+import { t } from "../core/i18n.js";
+import { PREF_LEGENDS, PREF_OPTIONS, defaultPrefs, readPrefs, updatePrefs } from "../core/prefs.js";
+
+const nextOption = (key, current) => {
+  const values = PREF_OPTIONS[key].map((opt) => opt.value);
+  return values[(values.indexOf(current) + 1) % values.length];
+};
+
+const optionLabel = (key, value) => {
+  const opt = PREF_OPTIONS[key].find((o) => o.value === value);
+  return opt ? t(opt.label) : value;
+};
+
+/* ===========================
+   Theme / motion buttons ([data_theme_toggle], [data_motion_toggle])
+   =========================== */
+
+const cycleButton = (btn, key, message) => {
+  const label = (prefs) => {
+    btn.textContent = t(message, { value: optionLabel(key, prefs[key]) });
+  };
+
+  label(readPrefs());
+  const offs = [
+    on("prefs_change", ({ prefs }) => label(prefs)),
+    listen(btn, "click", () => updatePrefs({ [key]: nextOption(key, readPrefs()[key]) })),
+  ];
+
+  return { destroy: () => offs.forEach((off) => off()) };
+};
+
+// Cycle: system -> dark -> light -> system ...
+export const mountThemeToggle = (btn) => cycleButton(btn, "theme", "theme_button");
+
+// Cycle: system -> reduced -> full -> system ...
+export const mountMotionToggle = (btn) => cycleButton(btn, "motion", "motion_button");
+
+/* ===========================
+   Appearance panel ([data_appearance_toggle], controls #appearance_panel)
+   =========================== */
+
+const renderAppearancePanel = (panel) => {
+  const prefs = readPrefs();
+
+  panel.textContent = "";
+  Object.keys(PREF_OPTIONS).forEach((key) => {
+    const options = PREF_OPTIONS[key].map((opt) =>
+      createEl("label", { className: "pref_option", data_pref_value: opt.value }, [
+        createEl("input", {
+          type: "radio",
+          name: `pref_${key}`,
+          value: opt.value,
+          data_pref: key,
+          checked: prefs[key] === opt.value,
+        }),
+        createEl("span", { text: t(opt.label) }),
+      ])
+    );
+
+    panel.appendChild(
+      createEl("fieldset", { className: "pref_group" }, [
+        createEl("legend", { text: t(PREF_LEGENDS[key]) }),
+        createEl("div", { className: "pref_options" }, options),
+      ])
+    );
+  });
+
+  panel.appendChild(
+    createEl("button", { className: "button small ghost", type: "button", data_pref_reset: true, text: t("pref_reset") })
+  );
+};
+
+export const mountAppearancePanel = (btn) => {
+  const panel = qs(`#${CSS.escape(btn.getAttribute("aria-controls") || "appearance_panel")}`);
+  if (!panel) return null;
+
+  renderAppearancePanel(panel);
+
+  const setOpen = (open) => {
+    panel.hidden = !open;
+    setAriaExpanded(btn, open);
+  };
+
+  const offs = [
+    listen(btn, "click", () => {
+      setOpen(panel.hidden);
+      if (!panel.hidden) {
+        const checked = qs("input:checked", panel);
+        if (checked) checked.focus();
+      }
+    }),
+
+    listen(panel, "change", (e) => {
+      const input = e.target.closest("[data_pref]");
+      if (input) updatePrefs({ [input.getAttribute("data_pref")]: input.value });
+    }),
+
+    listen(panel, "click", (e) => {
+      // Appearance only; the language choice stays
+      if (e.target.closest("[data_pref_reset]")) updatePrefs(defaultPrefs());
+    }),
+
+    on("prefs_change", ({ prefs }) => {
+      qsa("[data_pref]", panel).forEach((input) => {
+        input.checked = prefs[input.getAttribute("data_pref")] === input.value;
+      });
+    }),
+
+    listen(document, "keydown", (e) => {
+      if (e.key !== "Escape" || panel.hidden) return;
+      setOpen(false);
+      btn.focus();
+    }),
+
+    listen(document, "click", (e) => {
+      if (panel.hidden || panel.contains(e.target) || btn.contains(e.target)) return;
+      setOpen(false);
+    }),
+  ];
+
+  return { destroy: () => offs.forEach((off) => off()) };
+};
@@ -0,0 +1,111 @@
+// assets/js/components/charts.js
+// Small SVG bar charts ([data_chart="projects_per_year" | "skills"]) from assets/data/projects.json.
+// Each chart is one role="img" with a title and a text version of every bar for screen
+// readers. Bars grow in when the chart gets .in_view (data_animate); see CHARTS in main.css
+// for the reduced motion rules.
+
+import { createEl, createSvgEl } from "../core/dom.js";
+import { formatNumber, t } from "../core/i18n.js";
+import { CHART_SERIES } from "../core/metrics.js";
+import { loadProjects } from "../core/projects.js";
+
+const CHART_WIDTH = 320;
+const COLUMN_HEIGHT = 160;
+const ROW_HEIGHT = 26;
+const LABEL_WIDTH = 104;
+const LABEL_CHARS = 14;
+
+let chartCount = 0;
+
+const shorten = (text) => (text.length > LABEL_CHARS ? `${text.slice(0, LABEL_CHARS - 1)}…` : text);
+
+// Years: one column per entry, labels underneath
+const columnBars = (series, max) => {
+  const top = 18;
+  const bottom = 22;
+  const band = CHART_WIDTH / series.length;
+  const barWidth = Math.min(40, band * 0.6);
+  const plot = COLUMN_HEIGHT - top - bottom;
+
+  const bars = series.flatMap((entry, i) => {
+    const height = max ? (entry.value / max) * plot : 0;
+    const x = band * i + (band - barWidth) / 2;
+    const y = top + plot - height;
+    return [
+      createSvgEl("rect", { className: "chart_bar", x, y, width: barWidth, height, rx: 3, style: `--i: ${i}` }),
+      createSvgEl("text", { className: "chart_value", x: x + barWidth / 2, y: y - 5, "text-anchor": "middle", text: formatNumber(entry.value) }),
+      createSvgEl("text", { className: "chart_label", x: x + barWidth / 2, y: COLUMN_HEIGHT - 6, "text-anchor": "middle", text: shorten(entry.label) }),
+    ];
+  });
+  return { height: COLUMN_HEIGHT, bars };
+};
+
+// Skills: one row per entry, labels on the left
+const rowBars = (series, max) => {
+  const plot = CHART_WIDTH - LABEL_WIDTH - 28;
+
+  const bars = series.flatMap((entry, i) => {
+    const y = i * ROW_HEIGHT + 4;
+    const width = max ? (entry.value / max) * plot : 0;
+    const middle = y + (ROW_HEIGHT - 8) / 2;
+    return [
+      createSvgEl("text", { className: "chart_label", x: LABEL_WIDTH - 8, y: middle, "text-anchor": "end", "dominant-baseline": "central", text: shorten(entry.label) }),
+      createSvgEl("rect", { className: "chart_bar", x: LABEL_WIDTH, y, width, height: ROW_HEIGHT - 8, rx: 3, style: `--i: ${i}` }),
+      createSvgEl("text", { className: "chart_value", x: LABEL_WIDTH + width + 6, y: middle, "dominant-baseline": "central", text: formatNumber(entry.value) }),
+    ];
+  });
+  return { height: series.length * ROW_HEIGHT, bars };
+};
+
+const LAYOUTS = {
+  projects_per_year: columnBars,
+  skills: rowBars,
+};
+
+export const renderChart = (root, kind, series) => {
+  if (!series.length) {
+    root.replaceChildren(createEl("p", { className: "muted chart_empty", text: t("chart_empty") }));
+    return;
+  }
+
+  chartCount += 1;
+  const id = `chart_${chartCount}`;
+  const max = Math.max(...series.map((entry) => entry.value));
+  const { height, bars } = LAYOUTS[kind](series, max);
+  const summary = series.map((entry) => t("chart_entry", { label: entry.label, value: t("project_count", { count: entry.value }) })).join(", ");
+
+  root.setAttribute("data_chart_layout", kind === "skills" ? "rows" : "columns");
+  root.replaceChildren(
+    createSvgEl(
+      "svg",
+      {
+        className: "chart_svg",
+        viewBox: `0 0 ${CHART_WIDTH} ${height}`,
+        role: "img",
+        "aria-labelledby": `${id}_title ${id}_desc`,
+        focusable: "false",
+      },
+      [
+        createSvgEl("title", { id: `${id}_title`, text: t(`chart_${kind}`) }),
+        createSvgEl("desc", { id: `${id}_desc`, text: summary }),
+        ...bars,
+      ]
+    )
+  );
+};
+
+export const mountChart = (root) => {
+  const kind = root.getAttribute("data_chart");
+  if (!CHART_SERIES[kind]) return null;
+  const limit = Number(root.getAttribute("data_chart_limit")) || undefined;
+
+  return loadProjects()
+    .then((projects) => {
+      renderChart(root, kind, CHART_SERIES[kind](projects, limit));
+      return null;
+    })
+    .catch((err) => {
+      console.warn("[charts] Could not load the project data.", err);
+      return null;
+    });
+};
@@ -0,0 +1,208 @@
+// assets/js/components/contact_form.js
+// Contact form (index.html#contact): validation, honeypot, pluggable submission.
+
+import { listen, qs } from "../core/dom.js";
+import { t } from "../core/i18n.js";
+import { loadSite } from "../core/site.js";
+
+const CONTACT_DRAFT_KEY = "site_contact_draft";
+
+const CONTACT_FIELDS = ["name", "email", "organization", "reason", "message"];
+
+// Returns an error message, or "" when the value is fine
+const CONTACT_RULES = {
+  name: (v) => (v ? "" : t("contact_name_missing")),
+  email: (v) => {
+    if (!v) return t("contact_email_missing");
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v) ? "" : t("contact_email_invalid");
+  },
+  reason: (v) => (v ? "" : t("contact_reason_missing")),
+  message: (v) => (v.length >= 10 ? "" : t("contact_message_short")),
+};
+
+// Adapters take (data, config, site) and return a promise that rejects on failure.
+// Pick one with "contact": { "adapter": "..." } in site.json.
+const CONTACT_ADAPTERS = {
+  // JSON POST to any form backend
+  post: (data, config) => {
+    if (!config.endpoint) return Promise.reject(new Error("No contact endpoint configured"));
+    return fetch(config.endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "application/json" },
+      body: JSON.stringify(data),
+    }).then((res) => {
+      if (!res.ok) throw new Error(`Contact endpoint returned ${res.status}`);
+    });
+  },
+
+  // Opens the visitor's mail app with everything filled in
+  mailto: (data, config, site) => {
+    const to = config.to || (site && site.email);
+    if (!to) return Promise.reject(new Error("No email address configured"));
+
+    const subject = `Portfolio contact: ${data.reason}`;
+    const body = [
+      data.message,
+      "",
+      `${data.name} <${data.email}>`,
+      data.organization,
+    ]
+      .filter((line) => line !== undefined)
+      .join("\n");
+
+    window.location.href = `mailto:${to}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+    return Promise.resolve();
+  },
+
+  // Local testing: nothing leaves the page. "mockResult": "error" simulates a failure.
+  mock: (data, config) =>
+    new Promise((resolve, reject) => {
+      window.setTimeout(() => {
+        if (config.mockResult === "error") reject(new Error("Mock contact failure"));
+        else resolve();
+      }, Number(config.mockDelay) || 400);
+    }),
+};
+
+// [data_contact_form]
+export const mountContactForm = (form) => {
+  const submitBtn = qs("[data_contact_submit]", form);
+  const status = qs("[data_contact_status]", form);
+  const honeypot = form.elements.namedItem("website");
+  const submitLabel = submitBtn ? submitBtn.textContent : "";
+
+  const field = (name) => form.elements.namedItem(name);
+  const readData = () =>
+    CONTACT_FIELDS.reduce((data, name) => {
+      const el = field(name);
+      data[name] = el ? el.value.trim() : "";
+      return data;
+    }, {});
+
+  const setStatus = (text, state) => {
+    if (!status) return;
+    status.textContent = text;
+    status.setAttribute("data_state", state || "");
+  };
+
+  const showError = (name, message) => {
+    const el = field(name);
+    const err = qs(`[data_field_error="${name}"]`, form);
+    if (el) el.setAttribute("aria-invalid", message ? "true" : "false");
+    if (err) err.textContent = message;
+  };
+
+  const validateField = (name) => {
+    const rule = CONTACT_RULES[name];
+    const el = field(name);
+    if (!rule || !el) return true;
+    const message = rule(el.value.trim());
+    showError(name, message);
+    return !message;
+  };
+
+  const offs = [];
+
+  // Validate after the first visit to a field, then live while fixing it
+  Object.keys(CONTACT_RULES).forEach((name) => {
+    const el = field(name);
+    if (!el) return;
+    offs.push(
+      listen(el, "blur", () => validateField(name)),
+      listen(el, "input", () => {
+        if (el.getAttribute("aria-invalid") === "true") validateField(name);
+      })
+    );
+  });
+
+  /* ---------- Draft (kept when sending fails) ---------- */
+
+  const saveDraft = (data) => {
+    try {
+      localStorage.setItem(CONTACT_DRAFT_KEY, JSON.stringify(data));
+    } catch (err) {
+      // Storage full or blocked: the form still has the values
+    }
+  };
+
+  const clearDraft = () => {
+    try {
+      localStorage.removeItem(CONTACT_DRAFT_KEY);
+    } catch (err) {
+      // Storage blocked: there is no draft to clear
+    }
+  };
+
+  const restoreDraft = () => {
+    let draft = null;
+    try {
+      draft = JSON.parse(localStorage.getItem(CONTACT_DRAFT_KEY) || "null");
+    } catch (err) {
+      clearDraft();
+    }
+    if (!draft) return;
+
+    CONTACT_FIELDS.forEach((name) => {
+      const el = field(name);
+      if (el && typeof draft[name] === "string") el.value = draft[name];
+    });
+    setStatus(t("contact_restored"), "info");
+  };
+
+  restoreDraft();
+
+  /* ---------- Submit ---------- */
+
+  const setSending = (sending) => {
+    if (!submitBtn) return;
+    submitBtn.disabled = sending;
+    submitBtn.textContent = sending ? t("contact_sending_button") : submitLabel;
+    form.setAttribute("aria-busy", sending ? "true" : "false");
+  };
+
+  offs.push(
+    listen(form, "submit", (e) => {
+      e.preventDefault();
+
+      const invalid = Object.keys(CONTACT_RULES).filter((name) => !validateField(name));
+      if (invalid.length) {
+        setStatus(t("contact_fix_fields"), "error");
+        const first = field(invalid[0]);
+        if (first) first.focus();
+        return;
+      }
+
+      const data = readData();
+
+      // Bots fill the honeypot: act like it worked and send nothing
+      if (honeypot && honeypot.value) {
+        form.reset();
+        setStatus(t("contact_sent"), "success");
+        return;
+      }
+
+      setSending(true);
+      setStatus(t("contact_sending"), "info");
+
+      loadSite()
+        .then((site) => {
+          const config = (site && site.contact) || {};
+          const adapter = CONTACT_ADAPTERS[config.adapter] || CONTACT_ADAPTERS.mailto;
+          return adapter(data, config, site);
+        })
+        .then(() => {
+          clearDraft();
+          form.reset();
+          setStatus(t("contact_sent"), "success");
+        })
+        .catch((err) => {
+          console.warn("[contact] Sending failed.", err);
+          saveDraft(data);
+          setStatus(t("contact_failed"), "error");
+        })
+        .finally(() => setSending(false));
+    })
+  );
+
+  return { destroy: () => offs.forEach((off) => off()) };
+};
@@ -0,0 +1,31 @@
+// assets/js/components/gallery.js
+// Gallery grid ([data_gallery], a .masonry) rendered from assets/data/gallery.json.
+// The buttons already in the HTML stay when the file is missing or cannot be fetched.
+
+import { createEl } from "../core/dom.js";
+import { loadGallery } from "../core/gallery.js";
+
+// item: { src, alt, caption, type }, as from normalizeGalleryItem
+export const renderGalleryItem = (item) =>
+  createEl(
+    "button",
+    {
+      className: "masonry_item",
+      type: "button",
+      data_image_open: true,
+      data_image_type: item.type || null,
+      data_image_src: item.src,
+      data_image_alt: item.alt,
+      data_image_caption: item.caption,
+    },
+    [createEl("img", { src: item.src, alt: item.alt, loading: "lazy", decoding: "async" })]
+  );
+
+export const mountGallery = (grid) =>
+  loadGallery()
+    .then((items) => {
+      if (!items.length) return;
+      grid.replaceChildren(...items.map(renderGalleryItem));
+    })
+    .catch((err) => console.warn("[gallery] Using the images in the page.", err))
+    .then(() => null);
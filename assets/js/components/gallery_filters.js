@@ -0,0 +1,33 @@
+// assets/js/components/gallery_filters.js
+// Gallery filter chips (optional): [data_gallery_filter="cad"] shows only the
+// [data_image_open] buttons with that data_image_type; "all" shows everything.
+
+import { listen, qsa } from "../core/dom.js";
+
+const setActive = (active) => {
+  qsa("[data_gallery_filter]").forEach((c) => c.classList.toggle("is_active", c.getAttribute("data_gallery_filter") === active));
+};
+
+const apply = (filter) => {
+  qsa("[data_image_open][data_image_type]").forEach((btn) => {
+    const t = btn.getAttribute("data_image_type") || "all";
+    const show = filter === "all" ? true : t === filter;
+    btn.style.display = show ? "" : "none";
+  });
+};
+
+export const mountGalleryFilter = (chip) => {
+  // Default, once per page
+  if (!qsa("[data_gallery_filter].is_active").length) {
+    setActive("all");
+    apply("all");
+  }
+
+  return {
+    destroy: listen(chip, "click", () => {
+      const f = chip.getAttribute("data_gallery_filter") || "all";
+      setActive(f);
+      apply(f);
+    }),
+  };
+};
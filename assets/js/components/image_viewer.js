@@ -0,0 +1,159 @@
+// assets/js/components/image_viewer.js
+// Image modal (lightbox) for .modal[data_modal="image"]. Opens on image_open from any
+// [data_image_open] button, steps through the visible images in the same .masonry
+// with the buttons, arrow keys or a swipe, and answers #image=<n> links.
+
+import { on } from "../core/bus.js";
+import { createEl, listen, qs, qsa } from "../core/dom.js";
+import { t } from "../core/i18n.js";
+import { IMAGE_MODAL_SIZES, imageStatus, loadImage, setResponsiveImage } from "../core/images.js";
+import { addRoute, isOpen, openModal, setModalHash } from "../core/modal.js";
+import { track } from "../core/analytics.js";
+
+const SWIPE_MIN = 40;
+
+// Gallery filters hide items with display: none
+const isShown = (el) => !el.hidden && el.style.display !== "none";
+
+// Visible thumbnails in the same .masonry, in DOM order
+const getImageSet = (btn) => {
+  const group = btn.closest(".masonry") || document;
+  const set = qsa("[data_image_open]", group).filter(isShown);
+  return set.includes(btn) ? set : [btn];
+};
+
+const readImage = (btn) => ({
+  src: btn.getAttribute("data_image_src") || "",
+  alt: btn.getAttribute("data_image_alt") || t("image_title"),
+  caption: btn.getAttribute("data_image_caption") || "",
+});
+
+const preloadImage = (btn) => {
+  const { src } = readImage(btn);
+  if (!src) return;
+  // Detached <picture> so the preload picks the same variant the viewer will
+  const img = new Image();
+  createEl("picture", {}, [img]);
+  setResponsiveImage(img, src, IMAGE_MODAL_SIZES);
+};
+
+// #image=<n> counts every image button on the page, whenever it was added
+const allImageButtons = () => qsa("[data_image_open]");
+
+export const mount = (modal) => {
+  const modalImg = qs("#image_modal_img", modal);
+  const caption = qs("#image_modal_caption", modal);
+  const title = qs("#image_modal_title", modal);
+  const counter = qs("#image_modal_counter", modal);
+  const prev = qs("[data_image_prev]", modal);
+  const next = qs("[data_image_next]", modal);
+  if (!modalImg) return null;
+
+  const imageState = imageStatus(modalImg);
+
+  // Current ordered set of thumbnails and position within it
+  let imageSet = [];
+  let imageIndex = 0;
+
+  const showImage = (index) => {
+    if (!imageSet.length) return;
+
+    const count = imageSet.length;
+    imageIndex = (index + count) % count;
+
+    const { src, alt, caption: text } = readImage(imageSet[imageIndex]);
+    modalImg.alt = alt;
+    loadImage(modalImg, src, IMAGE_MODAL_SIZES, imageState);
+
+    if (caption) caption.textContent = text;
+    if (title) title.textContent = t("image_title");
+
+    // Controls only make sense with more than one image
+    const multi = count > 1;
+    if (counter) {
+      counter.hidden = !multi;
+      counter.textContent = t("image_counter", { n: imageIndex + 1, count });
+    }
+    if (prev) prev.hidden = !multi;
+    if (next) next.hidden = !multi;
+
+    if (multi) {
+      preloadImage(imageSet[(imageIndex + 1) % count]);
+      preloadImage(imageSet[(imageIndex - 1 + count) % count]);
+    }
+  };
+
+  const imageHash = () => `#image=${allImageButtons().indexOf(imageSet[imageIndex]) + 1}`;
+
+  const openImage = (btn, fromUrl) => {
+    imageSet = getImageSet(btn);
+    showImage(imageSet.indexOf(btn));
+
+    openModal(modal);
+    track("image_open", { image: allImageButtons().indexOf(btn) + 1 });
+    if (!fromUrl) setModalHash(imageHash(), "push");
+  };
+
+  // Stepping replaces the hash so Back still closes the viewer in one step
+  const stepImage = (delta) => {
+    showImage(imageIndex + delta);
+    setModalHash(imageHash(), "replace");
+  };
+
+  const offs = [
+    on("image_open", ({ trigger }) => openImage(trigger, false)),
+
+    addRoute("image", (value, fromUrl) => {
+      const btn = allImageButtons()[Number(value) - 1];
+      if (btn) openImage(btn, fromUrl);
+      return !!btn;
+    }),
+
+    // Arrow keys step through the set
+    listen(document, "keydown", (e) => {
+      if (!isOpen(modal)) return;
+      if (e.key === "ArrowLeft") {
+        e.preventDefault();
+        stepImage(-1);
+      } else if (e.key === "ArrowRight") {
+        e.preventDefault();
+        stepImage(1);
+      }
+    }),
+  ];
+
+  if (prev) offs.push(listen(prev, "click", () => stepImage(-1)));
+  if (next) offs.push(listen(next, "click", () => stepImage(1)));
+
+  // Horizontal swipe on touch screens
+  const stage = qs(".modal_body", modal);
+  if (stage) {
+    let touchStart = null;
+
+    offs.push(
+      listen(
+        stage,
+        "touchstart",
+        (e) => {
+          const touch = e.changedTouches[0];
+          touchStart = { x: touch.clientX, y: touch.clientY };
+        },
+        { passive: true }
+      ),
+
+      listen(stage, "touchend", (e) => {
+        if (!touchStart) return;
+        const touch = e.changedTouches[0];
+        const dx = touch.clientX - touchStart.x;
+        const dy = touch.clientY - touchStart.y;
+        touchStart = null;
+
+        // Ignore short or mostly vertical gestures
+        if (Math.abs(dx) < SWIPE_MIN || Math.abs(dx) < Math.abs(dy)) return;
+        stepImage(dx < 0 ? 1 : -1);
+      })
+    );
+  }
+
+  return { destroy: () => offs.forEach((off) => off()) };
+};
@@ -0,0 +1,97 @@
+// assets/js/components/involvement.js
+// [data_involvement]: the involvement.html template, filled from the Markdown file named by ?id=.
+// Front matter gives the header, tools, images, timeline category and the related projects
+// link; the body renders into [data_inv_content].
+
+import { createEl, qs, setMeta } from "../core/dom.js";
+import { t } from "../core/i18n.js";
+import { involvementPageUrl, loadInvolvement } from "../core/involvement.js";
+import { renderMarkdown } from "../core/markdown.js";
+import { absoluteUrl, applySocialMeta, breadcrumbSchema, breadcrumbTrail, setJsonLd } from "../core/meta.js";
+import { categoryLabel } from "../core/projects.js";
+import { formatResumeRange } from "../core/resume.js";
+import { loadSite } from "../core/site.js";
+import { renderGalleryItem } from "./gallery.js";
+
+const renderInvolvement = (root, page, site) => {
+  const body = qs("[data_inv_body]", root);
+  const missing = qs("[data_inv_missing]", root);
+  const setText = (sel, text) => {
+    const el = qs(sel, root);
+    if (el) el.textContent = text;
+  };
+
+  if (!page) {
+    if (body) body.hidden = true;
+    if (missing) missing.hidden = false;
+    setText("[data_inv_title]", t("involvement_not_found"));
+    return;
+  }
+
+  const dates = page.start || page.end ? formatResumeRange(page.start, page.end) : "";
+  setText("[data_inv_title]", page.title);
+  setText("[data_inv_role]", page.role);
+  setText("[data_inv_meta]", [categoryLabel(page.category), dates].filter(Boolean).join(" · "));
+
+  // The page has its own <h1>, so "#" in the file becomes <h2>
+  const content = qs("[data_inv_content]", root);
+  if (content) content.replaceChildren(renderMarkdown(page.body, { headingOffset: 1 }));
+
+  const tools = qs("[data_inv_tools]", root);
+  if (tools) {
+    tools.replaceChildren(...page.tools.map((tool) => createEl("li", { className: "tag", text: tool })));
+    const card = tools.closest(".card");
+    if (card) card.hidden = !page.tools.length;
+  }
+
+  // Added here rather than in the HTML so the timeline mounts with the category already set
+  const timeline = qs("[data_inv_timeline]", root);
+  if (timeline) {
+    const section = timeline.closest("[data_timeline_section]");
+    if (section) section.hidden = !page.category;
+    if (page.category) timeline.replaceChildren(createEl("div", { data_timeline: true, data_timeline_category: page.category }));
+  }
+
+  const gallery = qs("[data_inv_gallery]", root);
+  const media = qs("[data_inv_media]", root);
+  if (gallery) {
+    gallery.replaceChildren(
+      ...page.images.map((img, i) =>
+        renderGalleryItem({ ...img, alt: img.alt || t("project_image_alt", { title: page.title, n: i + 1 }) })
+      )
+    );
+  }
+  if (media) media.hidden = !page.images.length;
+
+  const related = qs("[data_inv_related]", root);
+  if (related) {
+    related.hidden = !page.category;
+    related.href = `projects.html?category=${encodeURIComponent(page.category)}`;
+  }
+
+  // Per page title, social preview and structured data
+  const siteName = site ? site.name : document.title.split(" | ")[0];
+  const title = `${siteName} | ${page.title}`;
+  const description = page.description || page.role;
+  document.title = title;
+  if (description) setMeta("name", "description", description);
+
+  if (!site) return;
+  const url = involvementPageUrl(page.slug);
+  applySocialMeta(site, {
+    title,
+    description,
+    image: page.images.length ? page.images[0].src : site.image,
+    url: absoluteUrl(url, site),
+    type: "article",
+  });
+  setJsonLd("breadcrumb", breadcrumbSchema(site, breadcrumbTrail(site, "involvement.html", page.title, url)));
+};
+
+export const mountInvolvement = (root) => {
+  // Set by the static build on involvement_<slug>.html
+  const slug = root.getAttribute("data_involvement") || new URLSearchParams(window.location.search).get("id");
+  return Promise.all([loadInvolvement(slug), loadSite()])
+    .then(([page, site]) => renderInvolvement(root, page, site))
+    .then(() => null);
+};
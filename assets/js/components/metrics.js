@@ -0,0 +1,36 @@
+// assets/js/components/metrics.js
+// About metrics ([data_metrics]) rendered from "metrics" in assets/data/site.json, with values
+// worked out from the project and involvement data (core/metrics.js).
+// The cards already in the HTML stay when site.json has none.
+
+import { createEl } from "../core/dom.js";
+import { formatNumber } from "../core/i18n.js";
+import { metricFormat, resolveMetrics } from "../core/metrics.js";
+import { loadSite } from "../core/site.js";
+
+// metric: { "label": "CAD hours", "value": 350 } once resolved; prefix, suffix, decimals and
+// compact set the format
+export const renderMetric = (metric) => {
+  const format = metricFormat(metric);
+  return createEl("div", { className: "metric_card" }, [
+    createEl("div", {
+      className: "metric_value",
+      data_countup: true,
+      data_target: Number(metric.value) || 0,
+      data_prefix: format.prefix || null,
+      data_suffix: format.suffix || null,
+      data_decimals: format.decimals === undefined ? null : format.decimals,
+      data_compact: format.compact,
+      text: formatNumber(0, format),
+    }),
+    createEl("div", { className: "metric_label", text: metric.label || "" }),
+  ]);
+};
+
+export const mountMetrics = (container) =>
+  loadSite()
+    .then((site) => resolveMetrics(((site && site.metrics) || []).filter((m) => m && m.label)))
+    .then((metrics) => {
+      if (metrics.length) container.replaceChildren(...metrics.map(renderMetric));
+      return null;
+    });
@@ -0,0 +1,65 @@
+// assets/js/components/modal.js
+// Every .modal[data_modal]: close buttons, Escape and the focus trap.
+// Accessible: focus trap, escape, click overlay. What the modal shows comes from the
+// module for its data_modal value, loaded only when that modal is on the page.
+
+import { listen, qsa } from "../core/dom.js";
+import { dismissModal, getFocusable, isOpen } from "../core/modal.js";
+
+const VIEWS = {
+  image: () => import("./image_viewer.js"),
+  project: () => import("./project_view.js"),
+  search: () => import("./search_palette.js"),
+};
+
+const mountFrame = (modal) => {
+  const offs = qsa("[data_modal_close]", modal).map((el) => listen(el, "click", () => dismissModal(modal)));
+
+  offs.push(
+    listen(document, "keydown", (e) => {
+      if (!isOpen(modal)) return;
+
+      // Escape closes the open modal
+      if (e.key === "Escape") {
+        dismissModal(modal);
+        return;
+      }
+
+      // Focus trap
+      if (e.key !== "Tab") return;
+
+      const focusable = getFocusable(modal);
+      if (!focusable.length) return;
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    })
+  );
+
+  return () => offs.forEach((off) => off());
+};
+
+export const mountModal = (modal) => {
+  if (!modal.classList.contains("modal")) return null;
+
+  const offFrame = mountFrame(modal);
+  const load = VIEWS[modal.getAttribute("data_modal")];
+  if (!load) return { destroy: offFrame };
+
+  return load()
+    .then((view) => view.mount(modal))
+    .then((instance) => ({
+      destroy: () => {
+        offFrame();
+        if (instance) instance.destroy();
+      },
+    }));
+};
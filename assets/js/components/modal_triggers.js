@@ -0,0 +1,24 @@
+// assets/js/components/modal_triggers.js
+// Buttons that open a modal. They only announce it on the bus; the modal components
+// listen, so a button works wherever it is added.
+
+import { emit } from "../core/bus.js";
+import { listen } from "../core/dom.js";
+
+// [data_image_open]
+export const mountImageTrigger = (btn) => ({
+  destroy: listen(btn, "click", () => emit("image_open", { trigger: btn })),
+});
+
+// [data_project_quickview], inside a [data_project_card]
+export const mountQuickView = (btn) => ({
+  destroy: listen(btn, "click", () => {
+    const card = btn.closest("[data_project_card]");
+    if (card) emit("project_open", { card });
+  }),
+});
+
+// [data_search_open]
+export const mountSearchTrigger = (btn) => ({
+  destroy: listen(btn, "click", () => emit("search_open")),
+});
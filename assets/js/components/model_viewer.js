@@ -0,0 +1,575 @@
+// assets/js/components/model_viewer.js
+// WebGL viewer for a project's CAD model (STL or glTF), embedded in the project quick view.
+// Drag to orbit, right-drag or Shift+drag to pan, wheel or pinch to zoom; the canvas also
+// takes arrow keys. Controls: reset view, wireframe, explode (models with several parts)
+// and a horizontal section plane. Loaded by project_view.js only when a project has a model.
+
+import { on } from "../core/bus.js";
+import { clamp, createEl, listen } from "../core/dom.js";
+import { t } from "../core/i18n.js";
+import { loadModel } from "../core/model_formats.js";
+
+const FOV = Math.PI / 5;
+const MAX_DPR = 2;
+const AUTO_ROTATE_SPEED = 0.25; // radians per second
+const ROTATE_PER_PX = 0.008;
+const KEY_STEP = 0.12;
+
+// Parts without a material colour take these in turn
+const PART_COLORS = [
+  [0.62, 0.66, 0.72],
+  [0.85, 0.55, 0.3],
+  [0.35, 0.6, 0.8],
+  [0.55, 0.72, 0.42],
+  [0.78, 0.45, 0.6],
+];
+
+const VERTEX_SHADER = `
+attribute vec3 a_position;
+attribute vec3 a_normal;
+uniform mat4 u_view_projection;
+uniform vec3 u_offset;
+varying vec3 v_normal;
+varying vec3 v_world;
+void main() {
+  v_world = a_position + u_offset;
+  v_normal = a_normal;
+  gl_Position = u_view_projection * vec4(v_world, 1.0);
+}`;
+
+// Headlight shading, lit from both sides so the inside shows through a section cut
+const FRAGMENT_SHADER = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+uniform vec3 u_color;
+uniform vec3 u_eye;
+uniform float u_clip;
+uniform float u_lines;
+varying vec3 v_normal;
+varying vec3 v_world;
+void main() {
+  if (v_world.y > u_clip) discard;
+  if (u_lines > 0.5) {
+    gl_FragColor = vec4(u_color * 0.45, 1.0);
+    return;
+  }
+  float facing = dot(normalize(v_normal), normalize(u_eye - v_world));
+  vec3 color = u_color * (0.3 + 0.7 * abs(facing));
+  if (facing < 0.0) color *= 0.6;
+  gl_FragColor = vec4(color, 1.0);
+}`;
+
+/* ===========================
+   Matrices (column-major, as WebGL expects)
+   =========================== */
+
+const perspective = (fovy, aspect, near, far) => {
+  const f = 1 / Math.tan(fovy / 2);
+  const nf = 1 / (near - far);
+  return [f / aspect, 0, 0, 0, 0, f, 0, 0, 0, 0, (far + near) * nf, -1, 0, 0, 2 * far * near * nf, 0];
+};
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const normalize = (v) => {
+  const len = Math.hypot(v[0], v[1], v[2]) || 1;
+  return [v[0] / len, v[1] / len, v[2] / len];
+};
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+const lookAt = (eye, target) => {
+  const z = normalize(sub(eye, target));
+  const x = normalize(cross([0, 1, 0], z));
+  const y = cross(z, x);
+  return [x[0], y[0], z[0], 0, x[1], y[1], z[1], 0, x[2], y[2], z[2], 0, -dot(x, eye), -dot(y, eye), -dot(z, eye), 1];
+};
+
+const multiply = (a, b) => {
+  const out = new Array(16);
+  for (let col = 0; col < 4; col += 1) {
+    for (let row = 0; row < 4; row += 1) {
+      let sum = 0;
+      for (let k = 0; k < 4; k += 1) sum += a[k * 4 + row] * b[col * 4 + k];
+      out[col * 4 + row] = sum;
+    }
+  }
+  return out;
+};
+
+/* ===========================
+   Geometry
+   =========================== */
+
+const bounds = (positions) => {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let axis = 0; axis < 3; axis += 1) {
+      const v = positions[i + axis];
+      if (v < min[axis]) min[axis] = v;
+      if (v > max[axis]) max[axis] = v;
+    }
+  }
+  return { min, max };
+};
+
+const centerOf = ({ min, max }) => [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2];
+
+// Triangle edges as a LINES list, for the wireframe
+const edgeList = (positions) => {
+  const lines = new Float32Array(positions.length * 2);
+  for (let tri = 0; tri < positions.length; tri += 9) {
+    [[0, 3], [3, 6], [6, 0]].forEach(([a, b], edge) => {
+      const out = tri * 2 + edge * 6;
+      lines.set(positions.subarray(tri + a, tri + a + 3), out);
+      lines.set(positions.subarray(tri + b, tri + b + 3), out + 3);
+    });
+  }
+  return lines;
+};
+
+const createGl = (canvas) => {
+  const options = { antialias: true, alpha: true, preserveDrawingBuffer: false };
+  return canvas.getContext("webgl2", options) || canvas.getContext("webgl", options) || canvas.getContext("experimental-webgl", options);
+};
+
+const compile = (gl, type, source) => {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(shader) || "Shader did not compile");
+  return shader;
+};
+
+const createProgram = (gl) => {
+  const program = gl.createProgram();
+  gl.attachShader(program, compile(gl, gl.VERTEX_SHADER, VERTEX_SHADER));
+  gl.attachShader(program, compile(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER));
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(program) || "Shader did not link");
+  return program;
+};
+
+const motionReduced = () => document.documentElement.getAttribute("data_motion") === "reduced";
+
+/* ===========================
+   Viewer
+   =========================== */
+
+/**
+ * Builds the viewer inside `container` and loads `model` ({ src, format, up }).
+ * options.label names the model for screen readers.
+ * Returns { ready, pause, resume, destroy }. ready rejects when WebGL is unavailable or the
+ * file cannot be loaded; the caller shows the static image instead.
+ */
+export const createModelViewer = (container, model, options = {}) => {
+  const canvas = createEl("canvas", {
+    className: "model_canvas",
+    tabindex: "0",
+    hidden: true, // until the model is in; the static image shows meanwhile
+    role: "img",
+    "aria-label": t("model_label", { title: options.label || "" }),
+  });
+  const status = createEl("p", { className: "model_status", role: "status", text: t("model_loading") });
+
+  const resetBtn = createEl("button", { className: "button small ghost", type: "button", data_model_reset: true, text: t("model_reset") });
+  const wireBtn = createEl("button", {
+    className: "button small ghost",
+    type: "button",
+    data_model_wireframe: true,
+    "aria-pressed": "false",
+    text: t("model_wireframe"),
+  });
+  const range = (attr, label) => {
+    const input = createEl("input", { type: "range", min: "0", max: "100", value: "0", [attr]: true });
+    return { input, label: createEl("label", { className: "model_range" }, [createEl("span", { text: label }), input]) };
+  };
+  const explode = range("data_model_explode", t("model_explode"));
+  const section = range("data_model_section", t("model_section"));
+
+  const controls = createEl("div", { className: "model_controls", role: "group", "aria-label": t("model_controls"), hidden: true }, [
+    resetBtn,
+    wireBtn,
+    explode.label,
+    section.label,
+  ]);
+  const root = createEl("div", { className: "model_viewer" }, [canvas, status, controls]);
+  container.appendChild(root);
+
+  const offs = [];
+  let gl = null;
+  let gpu = null; // { program, locations, parts: [{ positions, normals, lines, count }] } of GL objects
+  let parts = [];
+  let box = null;
+  let radius = 1;
+  let frame = 0;
+  let lastTime = 0;
+  let paused = false;
+  let destroyed = false;
+  let touched = false; // auto-rotate stops at the first interaction
+  let wireframe = false;
+
+  const camera = { yaw: 0, pitch: 0, distance: 1, target: [0, 0, 0] };
+
+  const resetCamera = () => {
+    camera.yaw = Math.PI / 4;
+    camera.pitch = 0.45;
+    camera.distance = (radius / Math.sin(FOV / 2)) * 1.05;
+    camera.target = centerOf(box);
+  };
+
+  const eyePosition = () => {
+    const { yaw, pitch, distance, target } = camera;
+    return [
+      target[0] + distance * Math.cos(pitch) * Math.sin(yaw),
+      target[1] + distance * Math.sin(pitch),
+      target[2] + distance * Math.cos(pitch) * Math.cos(yaw),
+    ];
+  };
+
+  /* ---------- GPU resources ---------- */
+
+  const buffer = (data) => {
+    const buf = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buf);
+    gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+    return buf;
+  };
+
+  const upload = () => {
+    const program = createProgram(gl);
+    const attr = (name) => gl.getAttribLocation(program, name);
+    const uniform = (name) => gl.getUniformLocation(program, name);
+    gpu = {
+      program,
+      locations: {
+        position: attr("a_position"),
+        normal: attr("a_normal"),
+        viewProjection: uniform("u_view_projection"),
+        offset: uniform("u_offset"),
+        color: uniform("u_color"),
+        eye: uniform("u_eye"),
+        clip: uniform("u_clip"),
+        lines: uniform("u_lines"),
+      },
+      parts: parts.map((part) => ({
+        positions: buffer(part.positions),
+        normals: buffer(part.normals),
+        lines: null, // built on first wireframe draw
+        count: part.positions.length / 3,
+      })),
+    };
+    gl.enable(gl.DEPTH_TEST);
+  };
+
+  const release = () => {
+    if (!gpu || !gl) return;
+    gpu.parts.forEach((part) => {
+      [part.positions, part.normals, part.lines].forEach((buf) => {
+        if (buf) gl.deleteBuffer(buf);
+      });
+    });
+    gl.deleteProgram(gpu.program);
+    gpu = null;
+  };
+
+  /* ---------- Drawing ---------- */
+
+  const resize = () => {
+    const dpr = Math.min(window.devicePixelRatio || 1, MAX_DPR);
+    const width = Math.max(1, Math.round(canvas.clientWidth * dpr));
+    const height = Math.max(1, Math.round(canvas.clientHeight * dpr));
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+  };
+
+  const sectionClip = () => {
+    const amount = Number(section.input.value) / 100;
+    // Nothing is cut at 0; the plane moves down through the model from its top
+    return amount ? box.max[1] - amount * (box.max[1] - box.min[1]) : Infinity;
+  };
+
+  const draw = () => {
+    if (!gpu || destroyed) return;
+    resize();
+    gl.viewport(0, 0, canvas.width, canvas.height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+    const eye = eyePosition();
+    const aspect = canvas.width / canvas.height;
+    const near = camera.distance / 100;
+    const far = camera.distance + radius * 10;
+    const viewProjection = multiply(perspective(FOV, aspect, near, far), lookAt(eye, camera.target));
+    const spread = Number(explode.input.value) / 100;
+    const center = centerOf(box);
+    const loc = gpu.locations;
+
+    gl.useProgram(gpu.program);
+    gl.uniformMatrix4fv(loc.viewProjection, false, new Float32Array(viewProjection));
+    gl.uniform3fv(loc.eye, new Float32Array(eye));
+    gl.uniform1f(loc.clip, Math.min(sectionClip(), 3.4e38));
+    gl.uniform1f(loc.lines, wireframe ? 1 : 0);
+
+    gpu.parts.forEach((buffers, i) => {
+      const part = parts[i];
+      const offset = sub(part.center, center).map((v) => v * spread);
+      gl.uniform3fv(loc.offset, new Float32Array(offset));
+      gl.uniform3fv(loc.color, new Float32Array(part.color));
+
+      if (wireframe) {
+        if (!buffers.lines) buffers.lines = buffer(edgeList(part.positions));
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffers.lines);
+        gl.enableVertexAttribArray(loc.position);
+        gl.vertexAttribPointer(loc.position, 3, gl.FLOAT, false, 0, 0);
+        // Lines have no normals; any constant will do
+        gl.disableVertexAttribArray(loc.normal);
+        gl.vertexAttrib3f(loc.normal, 0, 1, 0);
+        gl.drawArrays(gl.LINES, 0, buffers.count * 2);
+        return;
+      }
+
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffers.positions);
+      gl.enableVertexAttribArray(loc.position);
+      gl.vertexAttribPointer(loc.position, 3, gl.FLOAT, false, 0, 0);
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffers.normals);
+      gl.enableVertexAttribArray(loc.normal);
+      gl.vertexAttribPointer(loc.normal, 3, gl.FLOAT, false, 0, 0);
+      gl.drawArrays(gl.TRIANGLES, 0, buffers.count);
+    });
+  };
+
+  const autoRotating = () => !touched && !motionReduced();
+
+  const tick = (time) => {
+    frame = 0;
+    if (paused || destroyed) return;
+    if (autoRotating()) {
+      if (lastTime) camera.yaw += ((time - lastTime) / 1000) * AUTO_ROTATE_SPEED;
+      lastTime = time;
+      frame = requestAnimationFrame(tick);
+    }
+    draw();
+  };
+
+  // Draws on the next frame; nothing runs between interactions unless auto-rotating
+  const requestDraw = () => {
+    if (!frame && !paused && !destroyed && gpu) frame = requestAnimationFrame(tick);
+  };
+
+  const stopAutoRotate = () => {
+    touched = true;
+    lastTime = 0;
+  };
+
+  /* ---------- Camera input ---------- */
+
+  const orbit = (dx, dy) => {
+    camera.yaw -= dx;
+    camera.pitch = clamp(camera.pitch + dy, -Math.PI / 2 + 0.01, Math.PI / 2 - 0.01);
+    requestDraw();
+  };
+
+  // dx, dy in fractions of the view height
+  const pan = (dx, dy) => {
+    const eye = eyePosition();
+    const forward = normalize(sub(camera.target, eye));
+    const right = normalize(cross(forward, [0, 1, 0]));
+    const up = cross(right, forward);
+    const scale = 2 * camera.distance * Math.tan(FOV / 2);
+    camera.target = camera.target.map((v, i) => v - right[i] * dx * scale + up[i] * dy * scale);
+    requestDraw();
+  };
+
+  const zoom = (factor) => {
+    camera.distance = clamp(camera.distance * factor, radius * 0.2, radius * 20);
+    requestDraw();
+  };
+
+  const pointers = new Map();
+  let pinchDistance = 0;
+
+  const pinchSpan = () => {
+    const [a, b] = Array.from(pointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  };
+
+  offs.push(
+    listen(canvas, "pointerdown", (e) => {
+      stopAutoRotate();
+      canvas.focus();
+      if (canvas.setPointerCapture) canvas.setPointerCapture(e.pointerId);
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, pan: e.button === 2 || e.shiftKey });
+      if (pointers.size === 2) pinchDistance = pinchSpan();
+    }),
+
+    listen(canvas, "pointermove", (e) => {
+      const prev = pointers.get(e.pointerId);
+      if (!prev) return;
+      const dx = e.clientX - prev.x;
+      const dy = e.clientY - prev.y;
+      pointers.set(e.pointerId, { ...prev, x: e.clientX, y: e.clientY });
+
+      if (pointers.size === 2) {
+        const span = pinchSpan();
+        if (pinchDistance && span) zoom(pinchDistance / span);
+        pinchDistance = span;
+      } else if (prev.pan) {
+        pan(dx / canvas.clientHeight, dy / canvas.clientHeight);
+      } else {
+        orbit(dx * ROTATE_PER_PX, dy * ROTATE_PER_PX);
+      }
+    })
+  );
+
+  ["pointerup", "pointercancel"].forEach((type) => {
+    offs.push(
+      listen(canvas, type, (e) => {
+        pointers.delete(e.pointerId);
+        pinchDistance = 0;
+      })
+    );
+  });
+
+  offs.push(
+    listen(
+      canvas,
+      "wheel",
+      (e) => {
+        e.preventDefault();
+        stopAutoRotate();
+        zoom(Math.exp(clamp(e.deltaY, -100, 100) * 0.002));
+      },
+      { passive: false }
+    ),
+
+    // Right-drag pans
+    listen(canvas, "contextmenu", (e) => e.preventDefault()),
+
+    listen(canvas, "keydown", (e) => {
+      const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+      if (arrows[e.key]) {
+        const [x, y] = arrows[e.key];
+        if (e.shiftKey) pan(x * 0.05, y * 0.05);
+        else orbit(x * KEY_STEP, y * KEY_STEP);
+      } else if (e.key === "+" || e.key === "=") {
+        zoom(0.9);
+      } else if (e.key === "-" || e.key === "_") {
+        zoom(1 / 0.9);
+      } else {
+        return;
+      }
+      e.preventDefault();
+      stopAutoRotate();
+    })
+  );
+
+  /* ---------- Controls ---------- */
+
+  offs.push(
+    listen(resetBtn, "click", () => {
+      resetCamera();
+      explode.input.value = "0";
+      section.input.value = "0";
+      requestDraw();
+    }),
+
+    listen(wireBtn, "click", () => {
+      wireframe = !wireframe;
+      wireBtn.setAttribute("aria-pressed", wireframe ? "true" : "false");
+      requestDraw();
+    }),
+
+    listen(explode.input, "input", requestDraw),
+    listen(section.input, "input", requestDraw),
+
+    // Switching motion to reduced stops the auto-rotation mid-turn
+    on("prefs_change", () => {
+      lastTime = 0;
+      requestDraw();
+    }),
+
+    listen(canvas, "webglcontextlost", (e) => {
+      e.preventDefault();
+      if (frame) cancelAnimationFrame(frame);
+      frame = 0;
+      gpu = null;
+    }),
+
+    listen(canvas, "webglcontextrestored", () => {
+      upload();
+      requestDraw();
+    })
+  );
+
+  if (typeof ResizeObserver === "function") {
+    const observer = new ResizeObserver(requestDraw);
+    observer.observe(canvas);
+    offs.push(() => observer.disconnect());
+  } else {
+    offs.push(listen(window, "resize", requestDraw));
+  }
+
+  /* ---------- Loading ---------- */
+
+  gl = createGl(canvas);
+
+  const ready = gl
+    ? loadModel(model).then(({ parts: loaded }) => {
+        if (destroyed) return;
+        parts = loaded.map((part, i) => {
+          const partBox = bounds(part.positions);
+          return { ...part, box: partBox, center: centerOf(partBox), color: part.color || PART_COLORS[i % PART_COLORS.length] };
+        });
+
+        box = parts.reduce(
+          (acc, part) => ({
+            min: acc.min.map((v, i) => Math.min(v, part.box.min[i])),
+            max: acc.max.map((v, i) => Math.max(v, part.box.max[i])),
+          }),
+          { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] }
+        );
+        radius = Math.hypot(...sub(box.max, box.min)) / 2 || 1;
+
+        upload();
+        resetCamera();
+
+        // Exploding a single part would only move it
+        explode.label.hidden = parts.length < 2;
+        canvas.hidden = false;
+        controls.hidden = false;
+        status.textContent = t("model_hint");
+        requestDraw();
+      })
+    : Promise.reject(new Error("WebGL is not available"));
+
+  return {
+    ready,
+
+    pause: () => {
+      paused = true;
+      lastTime = 0;
+      if (frame) cancelAnimationFrame(frame);
+      frame = 0;
+    },
+
+    resume: () => {
+      paused = false;
+      requestDraw();
+    },
+
+    destroy: () => {
+      destroyed = true;
+      if (frame) cancelAnimationFrame(frame);
+      frame = 0;
+      offs.forEach((off) => off());
+      release();
+      root.remove();
+    },
+  };
+};
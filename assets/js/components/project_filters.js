@@ -0,0 +1,322 @@
+// assets/js/components/project_filters.js
+// Projects filters (projects.html): search, category, year, skills and sort, kept in the URL.
+// Works with manual cards too. Mounted by the projects grid once its cards are rendered.
+
+import { createEl, listen, qs, qsa } from "../core/dom.js";
+import { formatNumber, t } from "../core/i18n.js";
+import { projectPageUrl, skillKey } from "../core/projects.js";
+import { highlightTerms, matchTerm, parseSearch, scoreFields, tokenize } from "../core/search.js";
+
+export const mountProjectFilters = (grid) => {
+  const searchInput = qs("[data_project_search]");
+  const categorySelect = qs("[data_filter_category]");
+  const yearSelect = qs("[data_filter_year]");
+  const sortSelect = qs("[data_sort_projects]");
+  const skillRow = qs("[data_filter_skills]");
+  const emptyMsg = qs("[data_projects_empty]");
+
+  const cards = qsa("[data_project_card]", grid);
+
+  // Skills selected
+  const selectedSkills = new Set();
+
+  // Optional data attributes you can add later:
+  // data_category="formula_sae"
+  // data_year="2025"
+  // data_skills="cad,testing,manufacturing"
+  const getCardCategory = (card) => card.getAttribute("data_category") || "all";
+  const getCardYear = (card) => card.getAttribute("data_year") || "all";
+  const getCardSkills = (card) => {
+    const raw = card.getAttribute("data_skills") || "";
+    return raw
+      .split(",")
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean);
+  };
+
+  const scoreImpact = (card) => {
+    // NOTE: If you want custom scoring later, add data_impact="1-100"
+    const raw = card.getAttribute("data_impact");
+    const n = raw ? Number(raw) : NaN;
+    return Number.isFinite(n) ? n : 0;
+  };
+
+  const scoreTechnical = (card) => {
+    // NOTE: If you want custom scoring later, add data_technical="1-100"
+    const raw = card.getAttribute("data_technical");
+    const n = raw ? Number(raw) : NaN;
+    return Number.isFinite(n) ? n : 0;
+  };
+
+  /* ---------- Search index ---------- */
+  // Built once from the visible card text (not the hidden quick view data),
+  // before any highlighting touches it.
+
+  const highlightTargets = new Map();
+
+  const searchIndex = new Map(
+    cards.map((card) => {
+      const title = qs(".project_title", card);
+      const summaries = qsa(".project_card_top p", card);
+      const tags = qsa(".tag", card);
+
+      [title, ...summaries, ...tags].forEach((el) => {
+        if (el) highlightTargets.set(el, el.textContent);
+      });
+
+      const text = (els) => els.map((el) => (el ? el.textContent : "")).join(" ");
+
+      return [
+        card,
+        {
+          title: tokenize(text([title])),
+          tags: tokenize(`${text(tags)} ${getCardSkills(card).join(" ")} ${getCardCategory(card)}`),
+          body: tokenize(text([...summaries, ...qsa(".project_reveal p", card)])),
+        },
+      ];
+    })
+  );
+
+  const sameTokens = (a, b) => tokenize(a).join(" ") === tokenize(b).join(" ");
+
+  // Relevance score for a card, 0 when it does not match the search at all
+  const scoreSearch = (card, query) => {
+    const fields = searchIndex.get(card);
+    const all = [...fields.title, ...fields.tags, ...fields.body];
+
+    if (query.exclude.some((term) => all.some((word) => matchTerm(term, word) >= 0.8))) return 0;
+
+    // Operators behave like the category/year/skill filters
+    if (query.categories.length && !query.categories.some((c) => sameTokens(c, getCardCategory(card)))) return 0;
+    if (query.years.length && !query.years.includes(getCardYear(card))) return 0;
+    const skills = getCardSkills(card);
+    if (!query.skills.every((s) => skills.some((cs) => sameTokens(s, cs)))) return 0;
+
+    // Operators only: everything left is equally relevant
+    if (!query.terms.length) return 1;
+    return scoreFields(fields, query.terms);
+  };
+
+  const matchesFilters = (card, query) => {
+    const cat = categorySelect ? categorySelect.value : "all";
+    if (cat !== "all") {
+      const cardCat = getCardCategory(card);
+      if (cardCat !== cat) return false;
+    }
+
+    const year = yearSelect ? yearSelect.value : "all";
+    if (year !== "all") {
+      const cardYear = getCardYear(card);
+      if (cardYear !== year) return false;
+    }
+
+    if (selectedSkills.size) {
+      const skills = getCardSkills(card);
+      // Require all selected skills to be present
+      for (const s of selectedSkills) {
+        if (!skills.includes(s)) return false;
+      }
+    }
+
+    return scoreSearch(card, query) > 0;
+  };
+
+  // Recent: if data_year exists, sort desc by year, else keep as-is
+  const byRecent = (a, b) => {
+    const ay = Number(getCardYear(a));
+    const by = Number(getCardYear(b));
+    const aOk = Number.isFinite(ay);
+    const bOk = Number.isFinite(by);
+    if (aOk && bOk) return by - ay;
+    if (aOk && !bOk) return -1;
+    if (!aOk && bOk) return 1;
+    return 0;
+  };
+
+  const apply = () => {
+    const query = parseSearch(searchInput ? searchInput.value : "");
+    const scores = new Map();
+    const visible = [];
+
+    cards.forEach((card) => {
+      const ok = matchesFilters(card, query);
+      card.style.display = ok ? "" : "none";
+      if (ok) {
+        visible.push(card);
+        scores.set(card, scoreSearch(card, query));
+      }
+    });
+
+    // Highlight matched terms in the visible card text
+    highlightTargets.forEach((original, el) => highlightTerms(el, original, query.terms));
+
+    // Sorting (only affects visible ordering)
+    const sort = sortSelect ? sortSelect.value : "recent";
+    const sorted = visible.slice();
+
+    if (sort === "impact") {
+      sorted.sort((a, b) => scoreImpact(b) - scoreImpact(a));
+    } else if (sort === "technical") {
+      sorted.sort((a, b) => scoreTechnical(b) - scoreTechnical(a));
+    } else if (sort === "relevance") {
+      // Best search match first, ties fall back to most recent
+      sorted.sort((a, b) => scores.get(b) - scores.get(a) || byRecent(a, b));
+    } else {
+      sorted.sort(byRecent);
+    }
+
+    // Reorder DOM
+    sorted.forEach((card) => grid.appendChild(card));
+
+    // Project pages step through projects in this same order
+    qsa("[data_project_page]", grid).forEach((link) => {
+      const card = link.closest("[data_project_card]");
+      const slug = card && card.getAttribute("data_project_slug");
+      if (slug) link.href = projectPageUrl(slug, sort);
+    });
+
+    if (emptyMsg) {
+      emptyMsg.hidden = visible.length !== 0;
+    }
+  };
+
+  /* ---------- URL state (shareable filters) ---------- */
+  // e.g. projects.html?category=formula_sae&skills=cad,testing&sort=impact
+  // Defaults are left out so a plain projects.html link means "everything".
+
+  const DEFAULTS = { q: "", category: "all", year: "all", sort: "recent" };
+
+  // Chips come from the skills on the cards, so a new skill always gets a filter.
+  // Most used first; labels keep the casing shown on the cards' tags.
+  // Manual cards without data_skills keep the hand-written chips.
+  const buildSkillChips = () => {
+    const skills = new Map();
+    cards.forEach((card) => {
+      const labels = new Map(qsa(".tag", card).map((tag) => [skillKey(tag.textContent), tag.textContent.trim()]));
+      // A skill listed twice on one card counts it once, as in the skills matrix
+      new Set(getCardSkills(card)).forEach((key) => {
+        const entry = skills.get(key) || { label: labels.get(key) || key, count: 0 };
+        entry.count += 1;
+        skills.set(key, entry);
+      });
+    });
+    if (!skillRow || !skills.size) return;
+
+    skillRow.textContent = "";
+    Array.from(skills.entries())
+      .sort(([, a], [, b]) => b.count - a.count || a.label.localeCompare(b.label))
+      .forEach(([key, { label, count }]) => {
+        skillRow.appendChild(
+          createEl("button", { className: "chip chip_toggle", type: "button", data_skill: key, "aria-pressed": "false" }, [
+            document.createTextNode(label),
+            createEl("span", { className: "chip_count", "aria-label": t("project_count", { count }), text: formatNumber(count) }),
+          ])
+        );
+      });
+  };
+  buildSkillChips();
+
+  const chips = skillRow ? qsa("[data_skill]", skillRow) : [];
+  const chipSkill = (chip) => (chip.getAttribute("data_skill") || "").toLowerCase().trim();
+
+  const syncChips = () => {
+    chips.forEach((chip) => {
+      const on = selectedSkills.has(chipSkill(chip));
+      chip.classList.toggle("is_active", on);
+      chip.setAttribute("aria-pressed", on ? "true" : "false");
+    });
+  };
+
+  const hasOption = (select, val) => qsa("option", select).some((o) => o.value === val);
+
+  const setSelect = (select, val, fallback) => {
+    if (!select) return;
+    select.value = val && hasOption(select, val) ? val : fallback;
+  };
+
+  const stateToQuery = () => {
+    const params = new URLSearchParams();
+    const q = searchInput ? searchInput.value.trim() : DEFAULTS.q;
+    const cat = categorySelect ? categorySelect.value : DEFAULTS.category;
+    const year = yearSelect ? yearSelect.value : DEFAULTS.year;
+    const sort = sortSelect ? sortSelect.value : DEFAULTS.sort;
+
+    if (q) params.set("q", q);
+    if (cat !== DEFAULTS.category) params.set("category", cat);
+    if (year !== DEFAULTS.year) params.set("year", year);
+    if (selectedSkills.size) params.set("skills", Array.from(selectedSkills).join(","));
+    if (sort !== DEFAULTS.sort) params.set("sort", sort);
+
+    const query = params.toString();
+    return query ? `?${query}` : "";
+  };
+
+  const restoreFromUrl = () => {
+    const params = new URLSearchParams(window.location.search);
+
+    if (searchInput) searchInput.value = params.get("q") || DEFAULTS.q;
+    setSelect(categorySelect, params.get("category"), DEFAULTS.category);
+    setSelect(yearSelect, params.get("year"), DEFAULTS.year);
+    setSelect(sortSelect, params.get("sort"), DEFAULTS.sort);
+
+    // Skills without a chip still filter, they just have nothing to highlight
+    selectedSkills.clear();
+    (params.get("skills") || "")
+      .split(",")
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean)
+      .forEach((s) => selectedSkills.add(s));
+    syncChips();
+  };
+
+  // mode: "push" for discrete changes (back/forward steps through them),
+  // "replace" while typing so every keystroke is not a history entry
+  const syncUrl = (mode) => {
+    const query = stateToQuery();
+    if (query === window.location.search) return;
+
+    const url = `${window.location.pathname}${query}${window.location.hash}`;
+    if (mode === "replace") history.replaceState(history.state, "", url);
+    else history.pushState(history.state, "", url);
+  };
+
+  const update = (mode) => {
+    apply();
+    syncUrl(mode);
+  };
+
+  // Wire inputs
+  const offs = [];
+  if (searchInput) offs.push(listen(searchInput, "input", () => update("replace")));
+  if (categorySelect) offs.push(listen(categorySelect, "change", () => update("push")));
+  if (yearSelect) offs.push(listen(yearSelect, "change", () => update("push")));
+  if (sortSelect) offs.push(listen(sortSelect, "change", () => update("push")));
+
+  // Skill chip toggles
+  chips.forEach((chip) => {
+    const toggle = () => {
+      const skill = chipSkill(chip);
+      if (!skill) return;
+
+      if (selectedSkills.has(skill)) selectedSkills.delete(skill);
+      else selectedSkills.add(skill);
+
+      syncChips();
+      update("push");
+    };
+    offs.push(listen(chip, "click", toggle));
+  });
+
+  // Back / forward
+  offs.push(
+    listen(window, "popstate", () => {
+      restoreFromUrl();
+      apply();
+    })
+  );
+
+  restoreFromUrl();
+  apply();
+
+  return { destroy: () => offs.forEach((off) => off()) };
+};
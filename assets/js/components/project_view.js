@@ -0,0 +1,189 @@
+// assets/js/components/project_view.js
+// Project quick view for .modal[data_modal="project"]. Opens on project_open: from a
+// card's [data_project_quickview] button, the experience timeline, or a #project=<slug> link.
+// Projects with a model show it in model_viewer.js in place of the image when WebGL allows.
+
+import { on } from "../core/bus.js";
+import { qs, qsa, slugify } from "../core/dom.js";
+import { t } from "../core/i18n.js";
+import { PROJECT_MODAL_SIZES, imageStatus, loadImage } from "../core/images.js";
+import { addRoute, isOpen, openModal, setModalHash } from "../core/modal.js";
+import { projectPageUrl, projectsBySlug } from "../core/projects.js";
+import { track } from "../core/analytics.js";
+
+const getProjectSlug = (card) => {
+  const explicit = card.getAttribute("data_project_slug");
+  if (explicit) return explicit;
+  const titleEl = qs("[data_qv_title]", card) || qs(".project_title", card);
+  return slugify(titleEl ? titleEl.textContent : "");
+};
+
+// <p data_qv_model data_model_format="stl" data_model_up="z">path.stl</p>, format and up optional
+const cardModel = (hidden) => {
+  const el = qs("[data_qv_model]", hidden);
+  const src = el ? el.textContent.trim() : "";
+  if (!src) return null;
+  return { src, format: el.getAttribute("data_model_format") || "", up: el.getAttribute("data_model_up") || "" };
+};
+
+// The quick view data hidden in a card (manual or rendered)
+const cardView = (card) => {
+  const hidden = qs(".project_hidden", card);
+  if (!hidden) return null;
+
+  const getText = (sel) => {
+    const el = qs(sel, hidden);
+    return el ? el.textContent.trim() : "";
+  };
+
+  const slug = getProjectSlug(card);
+  const pageLink = qs("[data_project_page]", card);
+
+  return {
+    slug,
+    title: getText("[data_qv_title]"),
+    description: getText("[data_qv_description]"),
+    problem: getText("[data_qv_problem]"),
+    approach: getText("[data_qv_approach]"),
+    result: getText("[data_qv_result]"),
+    image: getText("[data_qv_image]"),
+    model: cardModel(hidden),
+    href: pageLink ? pageLink.getAttribute("href") : projectPageUrl(slug),
+  };
+};
+
+// Pages without project cards (resume, involvement) use projects.json directly
+const dataView = (project) => ({
+  slug: project.slug,
+  title: project.title,
+  description: project.description || project.summary,
+  problem: project.problem,
+  approach: project.approach,
+  result: project.result,
+  image: project.images.length ? project.images[0].src : "",
+  model: project.model,
+  href: projectPageUrl(project.slug),
+});
+
+export const mount = (modal) => {
+  const pmTitle = qs("#project_modal_title", modal);
+  const pmImg = qs("#project_modal_img", modal);
+  const pmDesc = qs("#project_modal_description", modal);
+  const pmProblem = qs("#project_modal_problem", modal);
+  const pmApproach = qs("#project_modal_approach", modal);
+  const pmResult = qs("#project_modal_result", modal);
+  const pmPageLink = qs("[data_project_modal_link]", modal);
+  const projectImageState = imageStatus(pmImg);
+  const media = pmImg ? pmImg.closest(".modal_project_media") : null;
+
+  /* ---------- 3D model ---------- */
+
+  let viewer = null;
+  let viewerSrc = "";
+  let viewerToken = 0;
+
+  const showImage = () => {
+    if (pmImg) pmImg.hidden = false;
+    // The image is decorative next to the text; the model viewer has controls
+    if (media) media.setAttribute("aria-hidden", "true");
+  };
+
+  const closeViewer = () => {
+    viewerToken += 1;
+    if (viewer) viewer.destroy();
+    viewer = null;
+    viewerSrc = "";
+    showImage();
+  };
+
+  // The image stays up until the model has loaded, and comes back if it can't
+  const showModel = (view) => {
+    const token = viewerToken;
+    import("./model_viewer.js")
+      .then(({ createModelViewer }) => {
+        if (token !== viewerToken) return null;
+        viewer = createModelViewer(media, view.model, { label: view.title });
+        viewerSrc = view.model.src;
+        return viewer.ready.then(() => {
+          if (token !== viewerToken) return;
+          pmImg.hidden = true;
+          media.setAttribute("aria-hidden", "false");
+          if (!isOpen(modal)) viewer.pause();
+        });
+      })
+      .catch((err) => {
+        if (token !== viewerToken) return;
+        console.warn(`[model] Could not show ${view.model.src}; showing the image instead.`, err);
+        closeViewer();
+      });
+  };
+
+  // view: { slug, title, description, problem, approach, result, image, model, href }
+  const showProject = (view, fromUrl) => {
+    if (pmTitle) pmTitle.textContent = view.title || t("project_fallback_title");
+    if (pmDesc) pmDesc.textContent = view.description;
+    if (pmProblem) pmProblem.textContent = view.problem;
+    if (pmApproach) pmApproach.textContent = view.approach;
+    if (pmResult) pmResult.textContent = view.result;
+
+    if (pmImg) {
+      pmImg.alt = "";
+      loadImage(pmImg, view.image, PROJECT_MODAL_SIZES, projectImageState);
+    }
+
+    // Reopening the same project keeps its viewer (and camera); modal_change resumes it
+    if (!view.model || view.model.src !== viewerSrc) {
+      closeViewer();
+      if (view.model && media) showModel(view);
+    }
+
+    if (pmPageLink) pmPageLink.href = view.href;
+
+    openModal(modal);
+    track("project_open", { project: view.slug || slugify(view.title || "") });
+
+    if (!fromUrl && view.slug) setModalHash(`#project=${encodeURIComponent(view.slug)}`, "push");
+  };
+
+  // A card on this page wins over projects.json, so manual cards work too
+  const openSlug = (slug, fromUrl) => {
+    const card = qsa("[data_project_card]").find((c) => getProjectSlug(c) === slug);
+    const view = card ? cardView(card) : null;
+    if (view) {
+      showProject(view, fromUrl);
+      return true;
+    }
+
+    const project = projectsBySlug.get(slug);
+    if (project) showProject(dataView(project), fromUrl);
+    return !!project;
+  };
+
+  const offs = [
+    // { card } from a quick view button, { slug } from anything else
+    on("project_open", ({ slug, card }) => {
+      if (card) {
+        const view = cardView(card);
+        if (view) showProject(view, false);
+      } else if (slug) {
+        openSlug(slug, false);
+      }
+    }),
+
+    addRoute("project", openSlug),
+
+    // Nothing renders behind a closed modal
+    on("modal_change", ({ modal: changed, open }) => {
+      if (changed !== modal || !viewer) return;
+      if (open) viewer.resume();
+      else viewer.pause();
+    }),
+  ];
+
+  return {
+    destroy: () => {
+      offs.forEach((off) => off());
+      closeViewer();
+    },
+  };
+};
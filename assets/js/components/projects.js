@@ -0,0 +1,246 @@
+// assets/js/components/projects.js
+// Project cards from assets/data/projects.json: featured cards (index.html), the full grid
+// (projects.html) and the detail page (project.html?id=<slug>).
+
+import { createEl, qs, qsa, setMeta } from "../core/dom.js";
+import { t } from "../core/i18n.js";
+import { absoluteUrl, applySocialMeta, breadcrumbSchema, breadcrumbTrail, projectSchema, setJsonLd } from "../core/meta.js";
+import { categoryLabel, loadProjects, projectPageUrl, skillKey, sortProjects } from "../core/projects.js";
+import { loadSite } from "../core/site.js";
+import { mountProjectFilters } from "./project_filters.js";
+
+// Builds the same markup as the manual cards so filters and quick view work on both.
+// variant: "featured" (index.html) | "grid" (projects.html)
+export const renderProjectCard = (project, variant) => {
+  const featured = variant === "featured";
+
+  const tags = createEl(
+    "ul",
+    { className: "tag_row", "aria-label": t("project_tags") },
+    project.skills.map((s) => createEl("li", { className: "tag", text: s }))
+  );
+
+  const reveal = featured
+    ? createEl("div", { className: "project_reveal", "aria-hidden": "true" }, [
+        [t("project_problem"), project.problem],
+        [t("project_approach"), project.approach],
+        [t("project_result"), project.result],
+      ].map(([label, text]) => {
+        const p = createEl("p", {}, [createEl("strong", { text: `${label}:` })]);
+        p.appendChild(document.createTextNode(` ${text}`));
+        return p;
+      }))
+    : null;
+
+  const actions = createEl("div", { className: "project_actions" }, [
+    createEl("a", {
+      className: "button small secondary",
+      href: projectPageUrl(project.slug),
+      data_project_page: true,
+      text: featured ? t("project_details") : t("project_page"),
+    }),
+    createEl("button", {
+      className: "button small ghost",
+      type: "button",
+      data_project_quickview: true,
+      text: t("project_quick_view"),
+    }),
+  ]);
+
+  const hidden = createEl("div", { className: "project_hidden", hidden: true }, [
+    createEl("p", { data_qv_title: true, text: project.title }),
+    createEl("p", { data_qv_description: true, text: project.description }),
+    createEl("p", { data_qv_problem: true, text: project.problem }),
+    createEl("p", { data_qv_approach: true, text: project.approach }),
+    createEl("p", { data_qv_result: true, text: project.result }),
+    createEl("p", { data_qv_image: true, text: project.images.length ? project.images[0].src : "" }),
+    project.model
+      ? createEl("p", {
+          data_qv_model: true,
+          data_model_format: project.model.format,
+          data_model_up: project.model.up || null,
+          text: project.model.src,
+        })
+      : null,
+  ]);
+
+  return createEl(
+    "article",
+    {
+      className: "card project_card",
+      data_animate: featured ? "fade_up" : null,
+      data_project_card: true,
+      data_project_slug: project.slug || null,
+      data_category: project.category || null,
+      data_year: project.year || null,
+      data_skills: project.skills.map(skillKey).join(","),
+      data_impact: project.impact,
+      data_technical: project.technical,
+    },
+    [
+      createEl("div", { className: "project_card_top" }, [
+        createEl(featured ? "h3" : "h2", { className: featured ? "project_title" : "project_title h3", text: project.title }),
+        createEl("p", { className: "muted", text: project.summary }),
+      ]),
+      tags,
+      reveal,
+      actions,
+      hidden,
+    ]
+  );
+};
+
+const renderProjectsInto = (root, projects, variant) => {
+  // Replace manual cards only; comments and other children stay.
+  qsa("[data_project_card]", root).forEach((card) => card.remove());
+  projects.forEach((p) => root.appendChild(renderProjectCard(p, variant)));
+};
+
+/* ---------- Project detail page (project.html?id=<slug>) ---------- */
+
+const renderProjectDetail = (root, projects, site) => {
+  const params = new URLSearchParams(window.location.search);
+  const sort = params.get("sort") || "recent";
+  const ordered = sortProjects(projects, sort);
+  // The static build bakes the slug into the attribute (project_<slug>.html has no ?id=)
+  const slug = root.getAttribute("data_project_detail") || params.get("id");
+  const index = ordered.findIndex((p) => p.slug === slug);
+
+  const body = qs("[data_pd_body]", root);
+  const missing = qs("[data_pd_missing]", root);
+  const setText = (sel, text) => {
+    const el = qs(sel, root);
+    if (el) el.textContent = text;
+  };
+
+  if (index === -1) {
+    if (body) body.hidden = true;
+    if (missing) missing.hidden = false;
+    setText("[data_pd_title]", t("project_not_found"));
+    return;
+  }
+
+  const project = ordered[index];
+  const siteName = site ? site.name : document.title.split(" | ")[0];
+
+  setText("[data_pd_title]", project.title);
+  setText("[data_pd_summary]", project.summary);
+  setText("[data_pd_meta]", [categoryLabel(project.category), project.year].filter(Boolean).join(" · "));
+  setText("[data_pd_description]", project.description);
+  setText("[data_pd_problem]", project.problem);
+  setText("[data_pd_approach]", project.approach);
+  setText("[data_pd_result]", project.result);
+
+  const tools = qs("[data_pd_tools]", root);
+  if (tools) {
+    tools.textContent = "";
+    project.skills.forEach((skill) => tools.appendChild(createEl("li", { className: "tag", text: skill })));
+  }
+
+  // Same buttons as the gallery so the image modal picks them up
+  const gallery = qs("[data_pd_gallery]", root);
+  const media = qs("[data_pd_media]", root);
+  if (gallery) {
+    gallery.textContent = "";
+    project.images.forEach((img, i) => {
+      const alt = img.alt || t("project_image_alt", { title: project.title, n: i + 1 });
+      gallery.appendChild(
+        createEl(
+          "button",
+          {
+            className: "masonry_item",
+            type: "button",
+            data_image_open: true,
+            data_image_src: img.src,
+            data_image_alt: alt,
+            data_image_caption: img.caption,
+          },
+          [createEl("img", { src: img.src, alt, loading: "lazy", decoding: "async" })]
+        )
+      );
+    });
+  }
+  if (media) media.hidden = !project.images.length;
+
+  // Prev / next follow the sort order the visitor came from
+  const setPager = (sel, target, key) => {
+    const link = qs(sel, root);
+    if (!link) return;
+    link.hidden = !target;
+    if (!target) return;
+    link.href = projectPageUrl(target.slug, sort);
+    link.textContent = t(key, { title: target.title });
+  };
+  setPager("[data_pd_prev]", ordered[index - 1], "project_previous");
+  setPager("[data_pd_next]", ordered[index + 1], "project_next");
+
+  const backLink = qs("[data_pd_back]", root);
+  if (backLink && sort !== "recent") backLink.href = `projects.html?sort=${encodeURIComponent(sort)}`;
+
+  // Per page title, social preview and structured data
+  const title = `${siteName} | ${project.title}`;
+  const description = project.summary || project.description;
+  document.title = title;
+  setMeta("name", "description", description);
+
+  if (!site) return;
+  applySocialMeta(site, {
+    title,
+    description,
+    image: project.images.length ? project.images[0].src : site.image,
+    url: absoluteUrl(projectPageUrl(project.slug), site),
+    type: "article",
+  });
+  setJsonLd("project", projectSchema(project, site));
+  setJsonLd("breadcrumb", breadcrumbSchema(site, breadcrumbTrail(site, "project.html", project.title, projectPageUrl(project.slug))));
+};
+
+// The cards on this page as an ItemList of CreativeWork
+const setProjectListJsonLd = (listed, site) => {
+  if (!site) return;
+  setJsonLd("projects", {
+    "@type": "ItemList",
+    itemListElement: listed.map((project, i) => ({ "@type": "ListItem", position: i + 1, item: projectSchema(project, site) })),
+  });
+};
+
+// Fallback: keep the manual cards already in the HTML
+const keepManualCards = (err) => console.warn("[projects] Using manual cards.", err);
+
+/* ===========================
+   Mounts
+   =========================== */
+
+// [data_projects_container]: featured projects, or the first three
+export const mountFeatured = (container) =>
+  Promise.all([loadProjects(), loadSite()])
+    .then(([projects, site]) => {
+      if (!projects.length) return;
+      const featured = projects.filter((p) => p.featured);
+      const listed = featured.length ? featured : projects.slice(0, 3);
+      renderProjectsInto(container, listed, "featured");
+      setProjectListJsonLd(listed, site);
+    })
+    .catch(keepManualCards)
+    .then(() => null);
+
+// [data_projects_grid]: every project, then the filters over whichever cards are there
+export const mountGrid = (grid) =>
+  Promise.all([loadProjects(), loadSite()])
+    .then(([projects, site]) => {
+      if (!projects.length) return;
+      renderProjectsInto(grid, projects, "grid");
+      setProjectListJsonLd(projects, site);
+    })
+    .catch(keepManualCards)
+    .then(() => mountProjectFilters(grid));
+
+// [data_project_detail]: site config too, the page title uses the site name
+export const mountDetail = (detail) =>
+  Promise.all([loadProjects(), loadSite()])
+    .then(([projects, site]) => renderProjectDetail(detail, projects, site))
+    .catch((err) => {
+      console.warn("[projects] Using manual cards.", err);
+      return loadSite().then((site) => renderProjectDetail(detail, [], site));
+    })
+    .then(() => null);
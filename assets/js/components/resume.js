@@ -0,0 +1,85 @@
+// assets/js/components/resume.js
+// Resume (assets/data/resume.json): renders resume.html; the HTML content is the fallback.
+
+import { createEl, listen, qs, qsa } from "../core/dom.js";
+import { t } from "../core/i18n.js";
+import { formatResumeDate, formatResumeRange, loadResume } from "../core/resume.js";
+
+// Replaces children of the first match, if there is one
+const fillList = (sel, items, build) => {
+  const root = qs(sel);
+  if (!root || !Array.isArray(items)) return;
+  root.textContent = "";
+  items.forEach((item) => {
+    const el = build(item);
+    if (el) root.appendChild(el);
+  });
+};
+
+const renderResume = (data) => {
+  const summary = qs("[data_resume_summary]");
+  if (summary && data.summary) summary.textContent = data.summary;
+
+  fillList("[data_resume_highlights]", data.highlights, (text) => createEl("li", { text }));
+
+  fillList("[data_resume_timeline]", data.experience, (job) =>
+    createEl("div", { className: "timeline_item" }, [
+      createEl("div", { className: "timeline_time", text: formatResumeRange(job.start, job.end) }),
+      createEl("div", { className: "timeline_content" }, [
+        createEl("strong", { text: [job.role, job.org].filter(Boolean).join(", ") }),
+        job.description ? createEl("p", { className: "muted", text: job.description }) : null,
+      ]),
+    ])
+  );
+
+  fillList("[data_resume_education]", data.education, (edu) => {
+    const main = createEl("p", { className: "education_main" }, [createEl("strong", { text: edu.school })]);
+    [edu.degree, edu.end ? `${edu.note || t("resume_graduation")}: ${formatResumeDate(edu.end)}` : ""]
+      .filter(Boolean)
+      .forEach((line) => {
+        main.appendChild(createEl("br"));
+        main.appendChild(document.createTextNode(line));
+      });
+
+    const wrap = createEl("div", {}, [main]);
+    if (Array.isArray(edu.coursework) && edu.coursework.length) {
+      wrap.appendChild(createEl("p", { className: "muted", text: t("resume_coursework", { list: edu.coursework.join(", ") }) }));
+    }
+    return wrap;
+  });
+
+  fillList("[data_resume_skills]", data.skills, (group) =>
+    createEl("div", { className: "skill_group" }, [
+      createEl("h3", { className: "h4", text: group.group }),
+      createEl("p", { className: "muted", text: (group.items || []).join(", ") }),
+    ])
+  );
+
+  fillList("[data_resume_involvement]", data.involvement, (item) => {
+    const li = createEl("li", {}, [
+      item.link ? createEl("a", { className: "text_link", href: item.link, text: item.name }) : createEl("strong", { text: item.name }),
+    ]);
+    if (item.summary) li.appendChild(createEl("span", { className: "muted", text: `: ${item.summary}` }));
+    return li;
+  });
+
+  if (data.pdf) {
+    qsa("[data_resume_pdf]").forEach((el) => {
+      el.setAttribute(el.tagName === "OBJECT" ? "data" : "href", data.pdf);
+    });
+  }
+};
+
+// [data_resume]
+export const mountResume = () => {
+  const printBtn = qs("[data_resume_print]");
+  const off = printBtn ? listen(printBtn, "click", () => window.print()) : () => {};
+
+  return loadResume()
+    .then(renderResume)
+    .catch((err) => {
+      // Fallback: keep the HTML content
+      console.warn("[resume] Using HTML content.", err);
+    })
+    .then(() => ({ destroy: off }));
+};
@@ -0,0 +1,150 @@
+// assets/js/components/scroll_effects.js
+// Scroll triggered animations, count up metrics and the home page scrollspy.
+// Each kind shares one IntersectionObserver across its elements.
+
+import { clamp, qs } from "../core/dom.js";
+import { formatNumber } from "../core/i18n.js";
+
+const motionReduced = () => document.documentElement.getAttribute("data_motion") === "reduced";
+
+// One observer per kind, created on first use
+const sharedObserver = (callback, options) => {
+  let io = null;
+  return () => {
+    if (!io) io = new IntersectionObserver(callback, options);
+    return io;
+  };
+};
+
+/* ===========================
+   Scroll triggered animations ([data_animate])
+   =========================== */
+
+const animateObserver = sharedObserver(
+  (entries, obs) => {
+    entries.forEach((entry) => {
+      if (entry.isIntersecting) {
+        entry.target.classList.add("in_view");
+        obs.unobserve(entry.target);
+      }
+    });
+  },
+  { threshold: 0.12 }
+);
+
+export const mountAnimate = (el) => {
+  if (motionReduced()) {
+    el.classList.add("in_view");
+    return null;
+  }
+
+  animateObserver().observe(el);
+  return { destroy: () => animateObserver().unobserve(el) };
+};
+
+/* ===========================
+   Count up metrics ([data_countup][data_target])
+   data_prefix="$", data_suffix="+", data_decimals="1" and data_compact ("1.2K") set the format.
+   =========================== */
+
+const countUpFormat = (el) => ({
+  prefix: el.getAttribute("data_prefix") || "",
+  suffix: el.getAttribute("data_suffix") || "",
+  decimals: el.getAttribute("data_decimals"),
+  compact: el.hasAttribute("data_compact"),
+});
+
+const animateValue = (el) => {
+  const targetRaw = el.getAttribute("data_target") || "0";
+  const target = Number(targetRaw.replace(/,/g, ""));
+  if (!Number.isFinite(target)) return;
+
+  const format = countUpFormat(el);
+  if (motionReduced()) {
+    el.textContent = formatNumber(target, format);
+    return;
+  }
+
+  // Steps in the smallest digit shown, so "4.5" does not flicker through "4.4999"
+  const step = Math.pow(10, -Math.max(0, Number(format.decimals) || 0));
+  const duration = 900;
+  const start = performance.now();
+  const startVal = 0;
+
+  const tick = (now) => {
+    const t = clamp((now - start) / duration, 0, 1);
+    const eased = 1 - Math.pow(1 - t, 3);
+    const value = t < 1 ? Math.round((startVal + (target - startVal) * eased) / step) * step : target;
+    el.textContent = formatNumber(value, format);
+    if (t < 1) requestAnimationFrame(tick);
+  };
+
+  requestAnimationFrame(tick);
+};
+
+const countUpObserver = sharedObserver(
+  (entries, obs) => {
+    entries.forEach((entry) => {
+      if (entry.isIntersecting) {
+        animateValue(entry.target);
+        obs.unobserve(entry.target);
+      }
+    });
+  },
+  { threshold: 0.25 }
+);
+
+export const mountCountUp = (el) => {
+  if (!el.hasAttribute("data_target")) return null;
+
+  countUpObserver().observe(el);
+  return { destroy: () => countUpObserver().unobserve(el) };
+};
+
+/* ===========================
+   Scrollspy for home anchors ([data_scrollspy])
+   =========================== */
+
+// section -> nav link pointing at it
+const spyLinks = new Map();
+
+const setCurrent = (activeSection) => {
+  spyLinks.forEach((link) => link.removeAttribute("aria-current"));
+  const activeLink = spyLinks.get(activeSection);
+  if (activeLink) activeLink.setAttribute("aria-current", "true");
+};
+
+const spyObserver = sharedObserver(
+  (entries) => {
+    // Find the most visible intersecting section
+    const visible = entries
+      .filter((e) => e.isIntersecting)
+      .sort((a, b) => b.intersectionRatio - a.intersectionRatio)[0];
+
+    if (visible) setCurrent(visible.target);
+  },
+  {
+    rootMargin: "-35% 0px -55% 0px",
+    threshold: [0.12, 0.18, 0.25, 0.35, 0.5, 0.7],
+  }
+);
+
+// Only applies to in-page anchors
+export const mountScrollSpy = (link) => {
+  const href = link.getAttribute("href") || "";
+  if (!href.startsWith("#") || href.length < 2) return null;
+
+  const section = qs(`#${CSS.escape(href.slice(1))}`);
+  if (!section) return null;
+
+  spyLinks.set(section, link);
+  spyObserver().observe(section);
+
+  return {
+    destroy: () => {
+      if (spyLinks.get(section) !== link) return;
+      spyLinks.delete(section);
+      spyObserver().unobserve(section);
+    },
+  };
+};
@@ -0,0 +1,180 @@
+// assets/js/components/search_palette.js
+// Site search palette (Ctrl+K, Cmd+K or /) for .modal[data_modal="search"].
+// Uses the same open/close/focus trap as the other modals. Results are a listbox driven
+// by aria-activedescendant, so focus stays in the input while arrowing through them.
+
+import { on } from "../core/bus.js";
+import { createEl, currentPage, listen, qs, qsa, revealHashTarget } from "../core/dom.js";
+import { t } from "../core/i18n.js";
+import { closeModal, isOpen, openModal, openRoute, parseModalHash } from "../core/modal.js";
+import { highlightTerms, tokenize } from "../core/search.js";
+import { loadSearchIndex, rankSearchEntries } from "../core/search_index.js";
+
+// "/" only when not typing somewhere
+const isTyping = (el) => !!el && (el.isContentEditable || /^(input|textarea|select)$/i.test(el.tagName));
+
+export const mount = (modal) => {
+  const input = qs("[data_search_input]", modal);
+  const results = qs("[data_search_results]", modal);
+  const empty = qs("[data_search_empty]", modal);
+  if (!input || !results) return null;
+
+  let entries = null;
+  let active = -1;
+
+  const options = () => qsa("[role='option']", results);
+
+  const setActiveResult = (index) => {
+    const opts = options();
+    if (!opts.length) {
+      active = -1;
+      input.removeAttribute("aria-activedescendant");
+      return;
+    }
+
+    active = (index + opts.length) % opts.length;
+    opts.forEach((opt, i) => opt.setAttribute("aria-selected", i === active ? "true" : "false"));
+
+    const current = opts[active];
+    input.setAttribute("aria-activedescendant", current.id);
+    if (current.scrollIntoView) current.scrollIntoView({ block: "nearest" });
+  };
+
+  const setMessage = (text) => {
+    if (!empty) return;
+    empty.textContent = text;
+    empty.hidden = !text;
+  };
+
+  const showResults = () => {
+    results.textContent = "";
+    setActiveResult(-1);
+
+    if (!entries) {
+      setMessage(t("search_loading"));
+      return;
+    }
+
+    const raw = input.value.trim();
+    if (!raw) {
+      setMessage(t("search_prompt"));
+      return;
+    }
+
+    const terms = tokenize(raw);
+    const groups = rankSearchEntries(entries, terms);
+    if (!groups.length) {
+      setMessage(t("search_no_results", { query: raw }));
+      return;
+    }
+
+    setMessage("");
+    let n = 0;
+    groups.forEach((group) => {
+      const labelId = `search_group_${group.type}`;
+      const opts = group.entries.map((entry) => {
+        const title = createEl("span", { className: "palette_option_title" });
+        highlightTerms(title, entry.title, terms);
+        return createEl("div", { className: "palette_option", role: "option", id: `search_result_${n++}`, data_search_url: entry.url }, [
+          title,
+          entry.snippet ? createEl("span", { className: "palette_option_text", text: entry.snippet }) : null,
+        ]);
+      });
+
+      results.appendChild(
+        createEl("div", { className: "palette_group", role: "group", "aria-labelledby": labelId }, [
+          createEl("p", { className: "palette_group_label", id: labelId, text: group.label }),
+        ].concat(opts))
+      );
+    });
+
+    setActiveResult(0);
+  };
+
+  const openSearch = () => {
+    openModal(modal);
+    input.focus();
+    input.select();
+    showResults();
+
+    if (entries) return;
+    loadSearchIndex()
+      .then((loaded) => {
+        entries = loaded;
+        showResults();
+      })
+      .catch((err) => {
+        console.warn("[search] Index unavailable.", err);
+        setMessage(t("search_unavailable"));
+      });
+  };
+
+  // Quick views open on any page that has the card and images on their own page;
+  // anchors on this page scroll; everything else is a normal navigation
+  const goToResult = (url) => {
+    const target = new URL(url, window.location.href);
+    const samePage = (target.pathname.split("/").pop() || "index.html") === currentPage();
+    const route = parseModalHash(target.hash);
+
+    closeModal(modal);
+
+    if (route && (route.type === "project" || samePage) && openRoute(route, false)) return;
+
+    if (samePage && target.hash && !route && target.search === window.location.search) {
+      window.location.hash = target.hash;
+      revealHashTarget();
+      return;
+    }
+
+    window.location.href = target.href;
+  };
+
+  const offs = [
+    on("search_open", openSearch),
+
+    listen(input, "input", showResults),
+
+    listen(input, "keydown", (e) => {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        setActiveResult(active + (e.key === "ArrowDown" ? 1 : -1));
+      } else if (e.key === "Enter") {
+        e.preventDefault();
+        const current = options()[active];
+        if (current) goToResult(current.getAttribute("data_search_url"));
+      }
+    }),
+
+    listen(results, "mousemove", (e) => {
+      const opt = e.target.closest("[role='option']");
+      if (opt) setActiveResult(options().indexOf(opt));
+    }),
+
+    listen(results, "click", (e) => {
+      const opt = e.target.closest("[role='option']");
+      if (opt) goToResult(opt.getAttribute("data_search_url"));
+    }),
+
+    // Ctrl/Cmd+K works everywhere and also closes
+    listen(document, "keydown", (e) => {
+      const shortcut = (e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === "k";
+      const slash = e.key === "/" && !e.ctrlKey && !e.metaKey && !e.altKey && !isTyping(e.target);
+      if (!shortcut && !slash) return;
+
+      if (isOpen(modal)) {
+        if (!shortcut) return;
+        e.preventDefault();
+        closeModal(modal);
+        return;
+      }
+
+      // Don't stack on top of an open image or project modal
+      if (qs(".modal.is_open")) return;
+
+      e.preventDefault();
+      openSearch();
+    }),
+  ];
+
+  return { destroy: () => offs.forEach((off) => off()) };
+};
@@ -0,0 +1,91 @@
+// assets/js/components/site_chrome.js
+// Header and footer behaviour: mobile nav, scroll progress, footer year, language menu.
+
+import { clamp, listen, qs, setAriaExpanded } from "../core/dom.js";
+import { locale } from "../core/i18n.js";
+import { savePrefs } from "../core/prefs.js";
+
+/* ===========================
+   Mobile nav ([data_nav_toggle], controls the element in aria-controls)
+   =========================== */
+
+export const mountNav = (toggle) => {
+  const links = qs(`#${CSS.escape(toggle.getAttribute("aria-controls") || "nav_links")}`);
+  if (!links) return null;
+
+  const closeNav = () => {
+    links.classList.remove("is_open");
+    setAriaExpanded(toggle, false);
+  };
+
+  const offs = [
+    listen(toggle, "click", () => {
+      const open = !links.classList.contains("is_open");
+      links.classList.toggle("is_open", open);
+      setAriaExpanded(toggle, open);
+    }),
+
+    // Close on link click
+    listen(links, "click", (e) => {
+      if (e.target.closest("a.nav_link")) closeNav();
+    }),
+
+    // Close on outside click
+    listen(document, "click", (e) => {
+      const clickedInside = links.contains(e.target) || toggle.contains(e.target);
+      if (!clickedInside) closeNav();
+    }),
+
+    // Close on Escape
+    listen(document, "keydown", (e) => {
+      if (e.key === "Escape") closeNav();
+    }),
+  ];
+
+  return { destroy: () => offs.forEach((off) => off()) };
+};
+
+/* ===========================
+   Scroll progress indicator ([data_scroll_progress])
+   =========================== */
+
+export const mountScrollProgress = (bar) => {
+  const update = () => {
+    const doc = document.documentElement;
+    const scrollTop = doc.scrollTop || document.body.scrollTop;
+    const scrollHeight = doc.scrollHeight - doc.clientHeight;
+    const pct = scrollHeight > 0 ? (scrollTop / scrollHeight) * 100 : 0;
+    bar.style.width = `${clamp(pct, 0, 100).toFixed(2)}%`;
+  };
+
+  update();
+  const offs = [listen(window, "scroll", update, { passive: true }), listen(window, "resize", update)];
+
+  return { destroy: () => offs.forEach((off) => off()) };
+};
+
+/* ===========================
+   Footer year ([data_footer_year])
+   =========================== */
+
+export const mountFooterYear = (el) => {
+  el.textContent = String(new Date().getFullYear());
+  return null;
+};
+
+/* ===========================
+   Language menu ([data_lang_select])
+   Switching reloads so every renderer and data file picks up the new language.
+   =========================== */
+
+export const mountLanguageSelect = (select) => {
+  select.value = locale;
+
+  const off = listen(select, "change", () => {
+    savePrefs({ lang: select.value });
+    window.location.reload();
+  });
+
+  return { destroy: off };
+};
+
@@ -0,0 +1,91 @@
+// assets/js/components/skills_matrix.js
+// Skills matrix (index.html#skills): every skill used by a project, with the projects that use it.
+
+import { createEl } from "../core/dom.js";
+import { formatNumber, t } from "../core/i18n.js";
+import { loadProjects, projectPageUrl, skillDetails, skillKey } from "../core/projects.js";
+
+// -> [{ key, label, level, years, projects }] most used first
+const buildSkillMatrix = (projects) => {
+  const rows = new Map();
+
+  projects.forEach((project) => {
+    // A skill listed twice on one project ("CAD", "cad") counts that project once
+    const seen = new Set();
+    project.skills.forEach((skill) => {
+      const key = skillKey(skill);
+      if (seen.has(key)) return;
+      seen.add(key);
+      if (!rows.has(key)) {
+        const details = skillDetails.get(key) || {};
+        rows.set(key, { key, label: skill, level: details.level || "", years: Number(details.years) || 0, projects: [] });
+      }
+      rows.get(key).projects.push(project);
+    });
+  });
+
+  return Array.from(rows.values()).sort((a, b) => b.projects.length - a.projects.length || a.label.localeCompare(b.label));
+};
+
+// "Advanced, 4 years" / "Advanced" / "4 years" / ""
+const formatSkillLevel = (row) =>
+  [row.level, row.years ? t("skills_years", { count: row.years }) : ""].filter(Boolean).join(", ");
+
+const renderSkillsMatrix = (root, rows) => {
+  const showLevel = rows.some((row) => formatSkillLevel(row));
+
+  const head = createEl("tr", {}, [
+    createEl("th", { scope: "col", text: t("skills_col_skill") }),
+    showLevel ? createEl("th", { scope: "col", text: t("skills_col_experience") }) : null,
+    createEl("th", { scope: "col", text: t("skills_col_projects") }),
+  ]);
+
+  const body = rows.map((row) =>
+    createEl("tr", {}, [
+      createEl("th", { scope: "row" }, [
+        createEl("a", {
+          className: "text_link",
+          href: `projects.html?skills=${encodeURIComponent(row.key)}`,
+          "aria-label": t("skills_show_projects", { skill: row.label }),
+          text: row.label,
+        }),
+      ]),
+      showLevel ? createEl("td", { className: "muted", text: formatSkillLevel(row) || "-" }) : null,
+      createEl("td", {}, [
+        createEl("span", { className: "matrix_count", text: formatNumber(row.projects.length) }),
+        createEl(
+          "ul",
+          { className: "matrix_projects", "aria-label": t("skills_projects_using", { skill: row.label }) },
+          row.projects.map((p) => createEl("li", {}, [createEl("a", { className: "text_link", href: projectPageUrl(p.slug), text: p.title })]))
+        ),
+      ]),
+    ])
+  );
+
+  root.textContent = "";
+  root.appendChild(
+    createEl("table", { className: "skills_matrix", "aria-label": t("skills_table_label") }, [
+      createEl("thead", {}, [head]),
+      createEl("tbody", {}, body),
+    ])
+  );
+};
+
+// [data_skills_matrix]
+export const mountSkillsMatrix = (root) => {
+  const section = root.closest("[data_skills_matrix_section]");
+
+  return loadProjects()
+    .then((projects) => {
+      const rows = buildSkillMatrix(projects);
+      if (!rows.length) return null;
+      renderSkillsMatrix(root, rows);
+      if (section) section.hidden = false;
+      return null;
+    })
+    .catch((err) => {
+      // The section stays hidden; the static skill list still covers the basics
+      console.warn("[skills] Could not build the skills matrix.", err);
+      return null;
+    });
+};
@@ -0,0 +1,189 @@
+// assets/js/components/timeline.js
+// Experience timeline (resume + involvement pages).
+// Built from resume.json "experience". Overlapping roles get their own lanes;
+// horizontal on wide screens, a vertical list on narrow ones (see main.css).
+
+import { emit } from "../core/bus.js";
+import { createEl, listen, qs, qsa } from "../core/dom.js";
+import { t } from "../core/i18n.js";
+import { categoryLabel, loadProjects, projectsBySlug } from "../core/projects.js";
+import { formatResumeRange, loadResume } from "../core/resume.js";
+
+const TIMELINE_DAY = 24 * 60 * 60 * 1000;
+
+// "2024" / "2024-09"; edge "start" is the first day, "end" the last. Empty end is today.
+const parseTimelineDate = (value, edge) => {
+  if (!value || String(value).toLowerCase() === "present") return edge === "end" ? new Date() : null;
+  const m = String(value).match(/^(\d{4})(?:-(\d{2}))?$/);
+  if (!m) return null;
+
+  const year = Number(m[1]);
+  if (!m[2]) return edge === "end" ? new Date(year, 11, 31) : new Date(year, 0, 1);
+  const month = Number(m[2]) - 1;
+  return edge === "end" ? new Date(year, month + 1, 0) : new Date(year, month, 1);
+};
+
+// Greedy lanes: each role takes the first lane that is free by its start date
+const assignLanes = (items) => {
+  const laneEnds = [];
+  items
+    .slice()
+    .sort((a, b) => a.start - b.start)
+    .forEach((item) => {
+      let lane = laneEnds.findIndex((end) => end < item.start);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = item.end;
+      item.lane = lane;
+    });
+  return Math.max(1, laneEnds.length);
+};
+
+// Returns the remove function for its click handler, or null when there is nothing to show
+const renderTimeline = (root, experience, fixedCategory) => {
+  const items = experience
+    .filter((job) => !fixedCategory || job.category === fixedCategory)
+    .map((job) => ({
+      job,
+      start: parseTimelineDate(job.start, "start"),
+      end: parseTimelineDate(job.end, "end"),
+      projects: (job.projects || []).map((slug) => projectsBySlug.get(slug)).filter(Boolean),
+    }))
+    .filter((item) => {
+      if (item.start && item.end && item.end >= item.start) return true;
+      console.warn("[timeline] Skipping entry without usable dates (use YYYY or YYYY-MM).", item.job);
+      return false;
+    })
+    // Newest first: that is the reading order of the vertical layout
+    .sort((a, b) => b.start - a.start);
+
+  root.textContent = "";
+  if (!items.length) return null;
+
+  // Axis covers every entry so positions don't jump while filtering
+  const min = new Date(Math.min(...items.map((i) => i.start))).getFullYear();
+  const max = new Date(Math.max(...items.map((i) => i.end))).getFullYear() + 1;
+  const from = new Date(min, 0, 1);
+  const total = new Date(max, 0, 1) - from;
+  const pos = (date) => ((date - from) / total).toFixed(4);
+
+  const yearStep = max - min > 10 ? 2 : 1;
+  const axis = createEl("div", { className: "tl_axis", "aria-hidden": "true" });
+  for (let year = min; year < max; year += yearStep) {
+    const tick = createEl("span", { className: "tl_tick", text: String(year) });
+    tick.style.setProperty("--tl_pos", pos(new Date(year, 0, 1)));
+    axis.appendChild(tick);
+  }
+
+  const list = createEl("ol", { className: "tl_entries" });
+  items.forEach((item) => {
+    const { job, projects } = item;
+    const range = formatResumeRange(job.start, job.end);
+
+    item.el = createEl("li", { className: `tl_entry${projects.length ? " has_project" : ""}`, data_category: job.category || "" }, [
+      createEl("p", { className: "tl_time", text: range }),
+      createEl("p", { className: "tl_role" }, [
+        createEl("strong", { text: job.role || "" }),
+        job.org ? document.createTextNode(`, ${job.org}`) : null,
+      ]),
+      job.description ? createEl("p", { className: "tl_desc", text: job.description }) : null,
+      projects.length
+        ? createEl(
+            "div",
+            { className: "tl_projects" },
+            projects.map((p) =>
+              createEl("button", {
+                className: "chip chip_toggle",
+                type: "button",
+                data_timeline_project: p.slug,
+                "aria-label": t("project_open", { title: p.title }),
+                text: p.title,
+              })
+            )
+          )
+        : null,
+    ]);
+    item.el.style.setProperty("--tl_start", pos(item.start));
+    // At least two weeks wide so very short roles stay clickable
+    item.el.style.setProperty("--tl_span", (Math.max(item.end - item.start, 14 * TIMELINE_DAY) / total).toFixed(4));
+    list.appendChild(item.el);
+  });
+
+  const chart = createEl("div", { className: "tl_chart" }, [list, axis]);
+  const empty = createEl("p", { className: "muted tl_empty", text: t("timeline_empty"), hidden: true });
+
+  // Category chips, unless the page is about one category already
+  const categories = Array.from(new Set(items.map((i) => i.job.category).filter(Boolean)));
+  let filters = null;
+  if (!fixedCategory && categories.length > 1) {
+    filters = createEl(
+      "div",
+      { className: "chip_row tl_filters", role: "group", "aria-label": t("timeline_filter_label") },
+      ["all"].concat(categories).map((cat) =>
+        createEl("button", {
+          className: `chip chip_toggle${cat === "all" ? " is_active" : ""}`,
+          type: "button",
+          "aria-pressed": cat === "all" ? "true" : "false",
+          data_timeline_filter: cat,
+          text: cat === "all" ? t("timeline_all") : categoryLabel(cat),
+        })
+      )
+    );
+  }
+
+  const layout = (category) => {
+    const shown = items.filter((i) => category === "all" || i.job.category === category);
+    items.forEach((i) => {
+      i.el.hidden = !shown.includes(i);
+    });
+
+    const lanes = assignLanes(shown);
+    shown.forEach((i) => i.el.style.setProperty("--tl_lane", i.lane));
+    chart.style.setProperty("--tl_lanes", lanes);
+    empty.hidden = shown.length > 0;
+  };
+
+  root.appendChild(createEl("div", { className: "timeline_widget" }, [filters, chart, empty]));
+  layout("all");
+
+  return listen(root, "click", (e) => {
+    const chip = e.target.closest("[data_timeline_filter]");
+    if (chip) {
+      qsa("[data_timeline_filter]", root).forEach((c) => {
+        const on = c === chip;
+        c.classList.toggle("is_active", on);
+        c.setAttribute("aria-pressed", on ? "true" : "false");
+      });
+      layout(chip.getAttribute("data_timeline_filter"));
+      return;
+    }
+
+    // A project button opens that project; anywhere else on the entry opens its first one
+    const entry = e.target.closest(".tl_entry");
+    const projectBtn = e.target.closest("[data_timeline_project]") || (entry ? qs("[data_timeline_project]", entry) : null);
+    if (!projectBtn) return;
+    emit("project_open", { slug: projectBtn.getAttribute("data_timeline_project") });
+  });
+};
+
+// Sections with no roles (or no data) are hidden rather than left empty
+const hideSection = (root) => {
+  const section = root.closest("[data_timeline_section]");
+  if (section) section.hidden = true;
+};
+
+// [data_timeline], optionally limited with data_timeline_category
+export const mountTimeline = (root) =>
+  Promise.all([loadResume(), loadProjects().catch(() => [])])
+    .then(([resume]) => {
+      const off = renderTimeline(root, (resume && resume.experience) || [], root.getAttribute("data_timeline_category"));
+      if (!off) hideSection(root);
+
+      // The static list stays for print and for when the data can't load
+      qsa("[data_timeline_fallback]").forEach((el) => el.classList.add("print_only"));
+      return off ? { destroy: off } : null;
+    })
+    .catch((err) => {
+      console.warn("[timeline] Could not load experience.", err);
+      hideSection(root);
+      return null;
+    });
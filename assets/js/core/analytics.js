@@ -0,0 +1,105 @@
+// assets/js/core/analytics.js
+// Anonymous, batched event counts. Off unless "analytics" is set in site.json,
+// and always off when the browser sends Do Not Track or Global Privacy Control.
+
+import { currentPage } from "./dom.js";
+import { loadSite } from "./site.js";
+
+const ANALYTICS_BATCH_SIZE = 10;
+const ANALYTICS_FLUSH_MS = 5000;
+const ANALYTICS_LOG_KEY = "site_analytics_log";
+const ANALYTICS_LOG_MAX = 200;
+
+const privacySignal = () =>
+  navigator.globalPrivacyControl === true || [navigator.doNotTrack, window.doNotTrack].some((v) => v === "1" || v === "yes");
+
+// Sinks take (events, config). Pick one with "analytics": { "sink": "..." } in site.json.
+const ANALYTICS_SINKS = {
+  // Plain text body so cross origin endpoints need no preflight; it is still JSON
+  beacon: (events, config) => {
+    if (!config.endpoint) return;
+    const body = JSON.stringify({ events });
+    if (navigator.sendBeacon && navigator.sendBeacon(config.endpoint, body)) return;
+    // No sendBeacon, or the browser refused the payload
+    fetch(config.endpoint, { method: "POST", body, keepalive: true }).catch(() => {});
+  },
+
+  // Development: nothing leaves the page
+  console: (events) => events.forEach((event) => console.info("[analytics]", event.name, event)),
+
+  local: (events) => {
+    try {
+      const log = JSON.parse(localStorage.getItem(ANALYTICS_LOG_KEY) || "[]");
+      localStorage.setItem(ANALYTICS_LOG_KEY, JSON.stringify(log.concat(events).slice(-ANALYTICS_LOG_MAX)));
+    } catch (err) {
+      // Storage full or blocked: drop the batch
+    }
+  },
+};
+
+// Events wait here until site.json says where they go (or that they go nowhere)
+const analyticsQueue = [];
+let analyticsSink = null;
+let analyticsOff = privacySignal();
+let analyticsTimer = 0;
+
+const flushAnalytics = () => {
+  window.clearTimeout(analyticsTimer);
+  analyticsTimer = 0;
+  if (!analyticsSink || !analyticsQueue.length) return;
+  analyticsSink(analyticsQueue.splice(0));
+};
+
+// No visitor, session or device ids: just what happened, on which page, and when
+export const track = (name, data) => {
+  if (analyticsOff) return;
+  analyticsQueue.push(Object.assign({ name, page: currentPage(), time: Date.now() }, data));
+
+  if (!analyticsSink) return;
+  if (analyticsQueue.length >= ANALYTICS_BATCH_SIZE) flushAnalytics();
+  else if (!analyticsTimer) analyticsTimer = window.setTimeout(flushAnalytics, ANALYTICS_FLUSH_MS);
+};
+
+const trackLinkClicks = () => {
+  document.addEventListener("click", (e) => {
+    const link = e.target.closest ? e.target.closest("a[href]") : null;
+    if (!link) return;
+
+    if (link.hasAttribute("data_resume_pdf") || /\.pdf$/i.test(link.pathname)) {
+      track("resume_download", {});
+    } else if (/^https?:$/.test(link.protocol) && link.host !== window.location.host) {
+      // Host only; full URLs can carry identifiers
+      track("outbound_click", { host: link.hostname });
+    }
+  });
+};
+
+export const initAnalytics = () => {
+  if (analyticsOff) return;
+
+  track("page_view", {});
+
+  loadSite()
+    .then((site) => {
+      const config = (site && site.analytics) || {};
+      const sink = ANALYTICS_SINKS[config.sink];
+      if (!sink) throw new Error("Analytics disabled");
+      return (events) => sink(events, config);
+    })
+    .then((sink) => {
+      analyticsSink = sink;
+      trackLinkClicks();
+
+      // Last chance to send before the page goes away
+      document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "hidden") flushAnalytics();
+      });
+      window.addEventListener("pagehide", flushAnalytics);
+
+      if (analyticsQueue.length) analyticsTimer = window.setTimeout(flushAnalytics, ANALYTICS_FLUSH_MS);
+    })
+    .catch(() => {
+      analyticsOff = true;
+      analyticsQueue.length = 0;
+    });
+};
@@ -0,0 +1,36 @@
+// assets/js/core/bus.js
+// Events between components, so nothing needs a window global:
+//   const off = on("modal_close", handler);  emit("modal_close");  off();
+//
+// In use:
+//   prefs_change   { prefs }           appearance settings were saved
+//   project_open   { slug, card? }     open the project quick view
+//   image_open     { trigger }         open the image viewer at a [data_image_open] button
+//   search_open                        open the search palette
+//   modal_close                        close whichever modal is open
+//   modal_change   { modal, open }     a modal opened or closed
+
+const handlers = new Map();
+
+export const off = (name, handler) => {
+  const set = handlers.get(name);
+  if (set) set.delete(handler);
+};
+
+// Returns the matching off() so components can unsubscribe in destroy()
+export const on = (name, handler) => {
+  if (!handlers.has(name)) handlers.set(name, new Set());
+  handlers.get(name).add(handler);
+  return () => off(name, handler);
+};
+
+// One failing handler does not stop the others
+export const emit = (name, detail = {}) => {
+  Array.from(handlers.get(name) || []).forEach((handler) => {
+    try {
+      handler(detail);
+    } catch (err) {
+      console.error(`[bus] "${name}" handler failed.`, err);
+    }
+  });
+};
@@ -0,0 +1,112 @@
+// assets/js/core/dom.js
+// DOM and fetch helpers shared by every module.
+
+export const qs = (sel, root = document) => root.querySelector(sel);
+export const qsa = (sel, root = document) => Array.from(root.querySelectorAll(sel));
+
+export const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+
+export const prefersReducedMotion = () =>
+  window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+
+export const prefersDark = () =>
+  window.matchMedia && window.matchMedia("(prefers-color-scheme: dark)").matches;
+
+export const setAriaExpanded = (btn, val) => {
+  if (!btn) return;
+  btn.setAttribute("aria-expanded", val ? "true" : "false");
+};
+
+// Updates or creates <meta name|property="key">
+export const setMeta = (attr, key, content) => {
+  let meta = qs(`meta[${attr}="${key}"]`);
+  if (!meta) {
+    meta = createEl("meta", { [attr]: key });
+    document.head.appendChild(meta);
+  }
+  meta.setAttribute("content", content);
+};
+
+export const fetchJson = (url) =>
+  fetch(url, { cache: "no-cache" }).then((res) => {
+    if (!res.ok) throw new Error(`Could not load ${url} (${res.status})`);
+    return res.json();
+  });
+
+// Like fetchJson, for Markdown and other text files
+export const fetchText = (url) =>
+  fetch(url, { cache: "no-cache" }).then((res) => {
+    if (!res.ok) throw new Error(`Could not load ${url} (${res.status})`);
+    return res.text();
+  });
+
+// "Project Title 1" -> "project-title-1"
+export const slugify = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// Small DOM builder for rendered content.
+// attrs: className, text, or any attribute (true -> empty attribute, false/null -> skipped)
+export const createEl = (tag, attrs = {}, children = []) => {
+  const el = document.createElement(tag);
+  Object.entries(attrs).forEach(([key, val]) => {
+    if (val === null || val === undefined || val === false) return;
+    if (key === "className") el.className = val;
+    else if (key === "text") el.textContent = val;
+    else el.setAttribute(key, val === true ? "" : String(val));
+  });
+  children.forEach((child) => {
+    if (child) el.appendChild(child);
+  });
+  return el;
+};
+
+// createEl for SVG: same attrs, elements in the SVG namespace
+export const createSvgEl = (tag, attrs = {}, children = []) => {
+  const el = document.createElementNS("http://www.w3.org/2000/svg", tag);
+  Object.entries(attrs).forEach(([key, val]) => {
+    if (val === null || val === undefined || val === false) return;
+    if (key === "className") el.setAttribute("class", val);
+    else if (key === "text") el.textContent = val;
+    else el.setAttribute(key, val === true ? "" : String(val));
+  });
+  children.forEach((child) => {
+    if (child) el.appendChild(child);
+  });
+  return el;
+};
+
+// addEventListener that hands back its own remove function, for destroy()
+export const listen = (target, type, handler, options) => {
+  target.addEventListener(type, handler, options);
+  return () => target.removeEventListener(type, handler, options);
+};
+
+export const currentPage = () => window.location.pathname.split("/").pop() || "index.html";
+
+// Fills {name}, {email}, ... from site.json values
+export const fillTemplate = (text, site) =>
+  String(text || "").replace(/\{(\w+)\}/g, (m, key) => (typeof site[key] === "string" ? site[key] : m));
+
+// decodeURIComponent, or null for text that is not valid percent encoding ("#project=%E0")
+export const decodeComponent = (text) => {
+  try {
+    return decodeURIComponent(text);
+  } catch (err) {
+    return null;
+  }
+};
+
+// Anchors inside a closed <details> (the resume timeline) open it when targeted
+export const revealHashTarget = () => {
+  const id = decodeComponent(window.location.hash.slice(1));
+  const target = id && !id.includes("=") ? document.getElementById(id) : null;
+  if (!target) return;
+
+  const details = target.matches("details") ? target : target.closest("details");
+  if (details) details.open = true;
+};
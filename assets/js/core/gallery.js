@@ -0,0 +1,33 @@
+// assets/js/core/gallery.js
+// Gallery images (assets/data/gallery.json), loaded once and shared by the gallery page
+// and the content editor.
+
+import { fetchJson } from "./dom.js";
+import { localized } from "./i18n.js";
+
+const GALLERY_URL = "assets/data/gallery.json";
+
+// "path.jpg" or { "src": "path.jpg", "alt": "...", "caption": "...", "type": "cad" }
+export const normalizeGalleryItem = (raw) => {
+  const item = typeof raw === "string" ? { src: raw } : localized(raw || {});
+  return {
+    src: item.src || "",
+    alt: item.alt || "",
+    caption: item.caption || "",
+    // Matches the [data_gallery_filter] chips
+    type: item.type || "",
+  };
+};
+
+// Loaded once and shared
+let galleryPromise = null;
+
+export const loadGallery = () => {
+  if (!galleryPromise) {
+    galleryPromise = fetchJson(GALLERY_URL).then((data) => {
+      const list = Array.isArray(data) ? data : data && data.items;
+      return (Array.isArray(list) ? list : []).map(normalizeGalleryItem).filter((item) => item.src);
+    });
+  }
+  return galleryPromise;
+};
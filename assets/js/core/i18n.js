@@ -0,0 +1,229 @@
+// assets/js/core/i18n.js
+// UI strings by key. English is built in; other locales load from
+// assets/data/i18n/<code>.json and fall back to English key by key.
+
+import { fetchJson, qsa } from "./dom.js";
+import { readPrefs } from "./prefs.js";
+
+const I18N_DIR = "assets/data/i18n";
+export const DEFAULT_LOCALE = "en";
+
+// NOTE: Same list as assets/js/prefs.js
+const RTL_LANGS = ["ar", "fa", "he", "ur"];
+
+// "{name}" is filled from the vars passed to t(); "key_one" / "key_other" are picked by vars.count
+const DEFAULT_MESSAGES = {
+  pref_theme: "Theme",
+  pref_contrast: "Contrast",
+  pref_accent: "Accent color",
+  pref_font_scale: "Text size",
+  pref_motion: "Motion",
+  pref_system: "System",
+  pref_dark: "Dark",
+  pref_light: "Light",
+  pref_standard: "Standard",
+  pref_high: "High",
+  pref_navy: "Navy",
+  pref_teal: "Teal",
+  pref_crimson: "Crimson",
+  pref_violet: "Violet",
+  pref_default: "Default",
+  pref_large: "Large",
+  pref_larger: "Larger",
+  pref_reduced: "Reduced",
+  pref_full: "Full",
+  pref_reset: "Reset to defaults",
+  theme_button: "Theme: {value}",
+  motion_button: "Motion: {value}",
+
+  nav_primary: "Primary",
+  nav_menu: "Menu",
+  nav_search: "Search",
+  nav_search_label: "Search the site",
+  nav_theme_label: "Toggle theme",
+  nav_motion_label: "Toggle reduced motion",
+  nav_appearance: "Appearance",
+  nav_appearance_label: "Appearance settings",
+  nav_language_label: "Language",
+  ui_email: "Email",
+
+  project_fallback_title: "Project",
+  project_tags: "Project tags",
+  project_problem: "Problem",
+  project_approach: "Approach",
+  project_result: "Result",
+  project_details: "Details",
+  project_page: "Project page",
+  project_quick_view: "Quick view",
+  project_not_found: "Project not found",
+  project_image_alt: "{title}, image {n}",
+  project_previous: "Previous: {title}",
+  project_next: "Next: {title}",
+  project_open: "Open project: {title}",
+  project_count_one: "{count} project",
+  project_count_other: "{count} projects",
+  involvement_not_found: "Page not found",
+
+  category_formula_sae: "Formula SAE",
+  category_robotics: "Robotics",
+  category_scouting: "Scouting and Leadership",
+  category_personal: "Personal",
+
+  skills_table_label: "Skills and the projects that use them",
+  skills_col_skill: "Skill",
+  skills_col_experience: "Experience",
+  skills_col_projects: "Projects",
+  skills_show_projects: "{skill}: show the projects that use it",
+  skills_projects_using: "Projects using {skill}",
+  skills_years_one: "{count} year",
+  skills_years_other: "{count} years",
+
+  resume_present: "Present",
+  resume_range: "{start} to {end}",
+  resume_graduation: "Graduation",
+  resume_coursework: "Coursework: {list}",
+
+  chart_projects_per_year: "Projects per year",
+  chart_skills: "Projects per skill",
+  chart_empty: "Nothing to chart yet.",
+  chart_entry: "{label}: {value}",
+
+  timeline_filter_label: "Filter roles by category",
+  timeline_all: "All",
+  timeline_empty: "No roles in this category.",
+
+  image_title: "Image",
+  image_counter: "{n} of {count}",
+  image_loading: "Loading image...",
+  image_error: "This image could not be loaded.",
+
+  model_label: "3D model of {title}. Drag to rotate, Shift+drag or right-drag to pan, scroll to zoom.",
+  model_loading: "Loading 3D model...",
+  model_hint: "Drag to rotate, scroll or pinch to zoom. Arrow keys rotate, Shift+arrows pan, + and - zoom.",
+  model_controls: "3D model controls",
+  model_reset: "Reset view",
+  model_wireframe: "Wireframe",
+  model_explode: "Explode",
+  model_section: "Section",
+
+  search_label: "Search the site",
+  search_placeholder: "Search projects, pages, images, skills...",
+  search_close: "Close search",
+  search_results: "Search results",
+  search_hint: "Up and down arrows to move, Enter to open, Esc to close",
+  search_loading: "Loading search...",
+  search_prompt: "Search projects, involvement, gallery, skills and resume.",
+  search_no_results: "No results for \"{query}\".",
+  search_unavailable: "Search is unavailable right now.",
+  search_group_project: "Projects",
+  search_group_page: "Involvement",
+  search_group_image: "Gallery",
+  search_group_skill: "Skills",
+  search_group_resume: "Resume",
+
+  contact_name_missing: "Please enter your name.",
+  contact_email_missing: "Please enter your email.",
+  contact_email_invalid: "Please enter a valid email address.",
+  contact_reason_missing: "Please choose a reason.",
+  contact_message_short: "Please write a short message (at least 10 characters).",
+  contact_restored: "Your unsent message was restored.",
+  contact_fix_fields: "Please fix the highlighted fields.",
+  contact_sending: "Sending your message...",
+  contact_sending_button: "Sending...",
+  contact_sent: "Thanks, your message was sent.",
+  contact_failed: "Sorry, your message could not be sent. It has been saved here so you can try again, or use email instead.",
+
+  update_available: "Updated content available.",
+  update_reload: "Reload",
+  update_later: "Later",
+};
+
+export let locale = DEFAULT_LOCALE;
+let messages = {};
+
+export const hasMessage = (key) => key in messages || key in DEFAULT_MESSAGES;
+
+export const t = (key, vars = {}) => {
+  let id = key;
+  if (typeof vars.count === "number") {
+    const plural = `${key}_${new Intl.PluralRules(locale).select(vars.count)}`;
+    if (hasMessage(plural)) id = plural;
+  }
+  const text = id in messages ? messages[id] : id in DEFAULT_MESSAGES ? DEFAULT_MESSAGES[id] : key;
+  return String(text).replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+};
+
+// options: decimals (fixed digits; the most shown with compact), compact ("1.2K"),
+// prefix ("$") and suffix ("+", " h")
+export const formatNumber = (n, options = {}) => {
+  const format = options.compact ? { notation: "compact" } : {};
+  if (options.decimals !== undefined && options.decimals !== null && options.decimals !== "") {
+    const decimals = Math.min(6, Math.max(0, Math.round(Number(options.decimals) || 0)));
+    format.maximumFractionDigits = decimals;
+    if (!options.compact) format.minimumFractionDigits = decimals;
+  }
+  return `${options.prefix || ""}${new Intl.NumberFormat(locale, format).format(n)}${options.suffix || ""}`;
+};
+
+const textDirection = (code) => (RTL_LANGS.includes(String(code).split("-")[0].toLowerCase()) ? "rtl" : "ltr");
+
+// Data files translate by adding "i18n": { "<code>": { ...fields } } next to the English fields
+export const localized = (item) => {
+  if (!item || typeof item !== "object" || !item.i18n) return item;
+  const extra = item.i18n[locale] || item.i18n[locale.split("-")[0]];
+  return extra ? { ...item, ...extra } : item;
+};
+
+// Saved choice, then the browser languages (exact, then same base language), then the first listed
+const pickLocale = (codes) => {
+  const base = (code) => String(code).split("-")[0].toLowerCase();
+  const wanted = [readPrefs().lang].concat(navigator.languages || [navigator.language]).filter(Boolean);
+
+  for (const code of wanted) {
+    const match = codes.find((c) => c.toLowerCase() === code.toLowerCase()) || codes.find((c) => base(c) === base(code));
+    if (match) return match;
+  }
+  return codes[0] || DEFAULT_LOCALE;
+};
+
+// Static text in the pages: data_i18n="key" replaces the text,
+// data_i18n_attr="aria-label:key, placeholder:key" replaces attributes.
+// The HTML is English, so anything the catalog lacks stays as written.
+const applyPageText = () => {
+  qsa("[data_i18n]").forEach((el) => {
+    const key = el.getAttribute("data_i18n");
+    if (key in messages) el.textContent = messages[key];
+  });
+
+  qsa("[data_i18n_attr]").forEach((el) => {
+    el.getAttribute("data_i18n_attr")
+      .split(",")
+      .forEach((pair) => {
+        const [attr, key] = pair.split(":").map((part) => part.trim());
+        if (attr && key in messages) el.setAttribute(attr, messages[key]);
+      });
+  });
+};
+
+// site: site.json (or null when it is missing). Resolves once the catalog is in place.
+export const initI18n = (site) =>
+  Promise.resolve()
+    .then(() => {
+      const codes = ((site && site.locales) || []).map((l) => l.code).filter(Boolean);
+      locale = codes.length ? pickLocale(codes) : DEFAULT_LOCALE;
+
+      if (locale === DEFAULT_LOCALE) return null;
+      return fetchJson(`${I18N_DIR}/${locale}.json`).then((catalog) => {
+        messages = (catalog && catalog.messages) || {};
+      });
+    })
+    .catch((err) => {
+      console.warn("[i18n] Using English.", err);
+      locale = DEFAULT_LOCALE;
+      messages = {};
+    })
+    .then(() => {
+      document.documentElement.setAttribute("lang", locale);
+      document.documentElement.setAttribute("dir", textDirection(locale));
+      applyPageText();
+    });
@@ -0,0 +1,146 @@
+// assets/js/core/images.js
+// Responsive images (assets/data/images.json), built by scripts/build_images.js:
+// widths, AVIF/WebP variants, blurred placeholders.
+
+import { createEl, fetchJson, qs, qsa } from "./dom.js";
+import { t } from "./i18n.js";
+
+const IMAGE_MANIFEST_URL = "assets/data/images.json";
+
+// Rendered widths, matching the layout in main.css
+const MASONRY_SIZES = "(max-width: 640px) 100vw, (max-width: 980px) 50vw, 280px";
+
+export const IMAGE_MODAL_SIZES = "(max-width: 984px) calc(100vw - 24px), 960px";
+export const PROJECT_MODAL_SIZES = "(max-width: 984px) calc(100vw - 24px), 480px";
+
+// Empty when the manifest is missing: images then load from their src as written
+let imageManifest = {};
+
+export const loadImageManifest = () =>
+  fetchJson(IMAGE_MANIFEST_URL)
+    .then((data) => {
+      imageManifest = (data && data.images) || {};
+    })
+    .catch((err) => {
+      console.warn("[images] No manifest, using original files.", err);
+    });
+
+// Keys are site relative paths, as written in the HTML and data files
+const imageEntry = (src) => imageManifest[String(src || "").replace(/^\.\//, "")] || null;
+
+const srcsetFor = (variants) => variants.map((v) => `${v.src} ${v.width}w`).join(", ");
+
+// Sets src (and srcset/sizes when the manifest has the image). AVIF and WebP go in
+// <source>s of a <picture> around the img; the original format stays on the img.
+export const setResponsiveImage = (img, src, sizes) => {
+  const entry = imageEntry(src);
+  let picture = img.parentElement && img.parentElement.tagName === "PICTURE" ? img.parentElement : null;
+
+  if (picture) qsa("source", picture).forEach((el) => el.remove());
+  img.removeAttribute("srcset");
+  img.removeAttribute("sizes");
+  img.style.removeProperty("--image_ratio");
+
+  if (entry) {
+    if (!picture) {
+      picture = createEl("picture", { className: "picture" });
+      img.parentNode.insertBefore(picture, img);
+      picture.appendChild(img);
+    }
+
+    ["avif", "webp"].forEach((format) => {
+      const variants = (entry.sources || {})[format] || [];
+      if (variants.length) picture.insertBefore(createEl("source", { type: `image/${format}`, srcset: srcsetFor(variants), sizes }), img);
+    });
+
+    const fallback = (entry.sources || {}).fallback || [];
+    if (fallback.length) {
+      img.srcset = srcsetFor(fallback);
+      img.sizes = sizes;
+    }
+
+    // Lets CSS reserve the box so the placeholder has somewhere to show
+    if (entry.width && entry.height) img.style.setProperty("--image_ratio", `${entry.width} / ${entry.height}`);
+  }
+
+  if (src) img.src = src;
+  else img.removeAttribute("src");
+  return entry;
+};
+
+// Latest load per img, so a slow earlier image can't overwrite a newer state
+const imageLoads = new WeakMap();
+
+// Points img at src and reports "loading" then "loaded" or "error" ("empty" for no src).
+// The blurred placeholder stays behind the image until it has decoded.
+export const loadImage = (img, src, sizes, onState = () => {}) => {
+  const id = (imageLoads.get(img) || 0) + 1;
+  imageLoads.set(img, id);
+
+  const entry = setResponsiveImage(img, src, sizes);
+  const placeholder = entry && entry.placeholder;
+
+  img.classList.toggle("is_placeholder", !!placeholder);
+  img.style.backgroundImage = placeholder ? `url("${placeholder}")` : "";
+
+  const finish = (state) => {
+    if (imageLoads.get(img) !== id) return;
+    img.classList.remove("is_placeholder");
+    img.style.backgroundImage = "";
+    onState(state);
+  };
+
+  if (!src) {
+    finish("empty");
+    return;
+  }
+
+  onState("loading");
+  const decoded = () => (img.decode ? img.decode().catch(() => {}) : Promise.resolve()).then(() => finish("loaded"));
+
+  if (img.complete && img.naturalWidth) {
+    decoded();
+    return;
+  }
+  img.addEventListener("load", decoded, { once: true });
+  img.addEventListener("error", () => finish("error"), { once: true });
+};
+
+// Wraps a modal image in a frame with a spinner / error message.
+// Returns the onState callback for loadImage.
+export const imageStatus = (img) => {
+  if (!img) return () => {};
+
+  let frame = img.closest(".image_frame");
+  if (!frame) {
+    const target = img.closest("picture") || img;
+    frame = createEl("div", { className: "image_frame" });
+    target.parentNode.insertBefore(frame, target);
+    frame.appendChild(target);
+    frame.appendChild(
+      createEl("div", { className: "image_status", role: "status", "aria-live": "polite" }, [
+        createEl("span", { className: "spinner", "aria-hidden": "true" }),
+        createEl("span", { className: "image_status_text" }),
+      ])
+    );
+  }
+
+  const text = qs(".image_status_text", frame);
+  const STATE_MESSAGES = { loading: "image_loading", error: "image_error" };
+
+  return (state) => {
+    frame.setAttribute("data_image_state", state);
+    text.textContent = STATE_MESSAGES[state] ? t(STATE_MESSAGES[state]) : "";
+  };
+};
+
+// Thumbnails and other page images already in the DOM
+export const initResponsiveImages = () => {
+  qsa("img[src]").forEach((img) => {
+    const src = img.getAttribute("src");
+    if (!imageEntry(src) || img.closest(".modal")) return;
+
+    const sizes = img.closest(".masonry_item") ? MASONRY_SIZES : img.getAttribute("sizes") || "100vw";
+    loadImage(img, src, sizes);
+  });
+};
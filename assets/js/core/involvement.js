@@ -0,0 +1,73 @@
+// assets/js/core/involvement.js
+// Involvement pages written in Markdown (assets/content/involvement/<slug>.md), rendered by
+// involvement.html?id=<slug>. A translation sits next to the English file as <slug>.<locale>.md.
+
+import { fetchText } from "./dom.js";
+import { DEFAULT_LOCALE, locale } from "./i18n.js";
+import { parseFrontMatter } from "./markdown.js";
+import { loadResume } from "./resume.js";
+
+const INVOLVEMENT_DIR = "assets/content/involvement";
+
+// Keeps ?id= from reaching outside the folder
+const SLUG_PATTERN = /^[\w-]+$/;
+
+export const involvementPageUrl = (slug) => `involvement.html?id=${encodeURIComponent(slug)}`;
+
+// "a, b" or [a, b] -> [a, b]
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((item) => (typeof item === "string" ? item.trim() : item))
+    .filter(Boolean);
+
+// Front matter: title, role, description, start, end, category, tools, hours, images
+export const normalizeInvolvement = (slug, text) => {
+  const { data, body } = parseFrontMatter(text);
+  return {
+    slug,
+    title: data.title || slug,
+    role: data.role || "",
+    description: data.description || "",
+    start: data.start || "",
+    end: data.end || "",
+    // Matches project categories: the related projects link and the timeline use it
+    category: data.category || "",
+    tools: toList(data.tools).map(String),
+    // Summed by the "involvement_hours" metric
+    hours: Number.isFinite(Number(data.hours)) && data.hours !== "" ? Number(data.hours) : null,
+    images: toList(data.images)
+      .map((img) => (typeof img === "string" ? { src: img } : img))
+      .map((img) => ({ src: img.src || "", alt: img.alt || "", caption: img.caption || "" }))
+      .filter((img) => img.src),
+    body,
+  };
+};
+
+// Page language file first ("es-MX", then "es"), then the English one
+const candidates = (slug) => {
+  const codes = locale === DEFAULT_LOCALE ? [] : [locale, locale.split("-")[0]];
+  return Array.from(new Set(codes))
+    .filter((code) => code !== DEFAULT_LOCALE)
+    .map((code) => `${INVOLVEMENT_DIR}/${slug}.${code}.md`)
+    .concat(`${INVOLVEMENT_DIR}/${slug}.md`);
+};
+
+// Resolves to the page, or null when there is no file for the slug
+export const loadInvolvement = (slug) => {
+  if (!slug || !SLUG_PATTERN.test(slug)) return Promise.resolve(null);
+
+  const tryNext = (urls) =>
+    urls.length ? fetchText(urls[0]).catch(() => tryNext(urls.slice(1))) : Promise.resolve(null);
+
+  return tryNext(candidates(slug)).then((text) => (text === null ? null : normalizeInvolvement(slug, text)));
+};
+
+// Every page linked from "involvement" in resume.json, in that order. Missing files are left out.
+export const loadInvolvementPages = () =>
+  loadResume().then((resume) => {
+    const slugs = ((resume && resume.involvement) || [])
+      .map((item) => String((item && item.link) || "").match(/^involvement\.html\?id=([\w-]+)/))
+      .filter(Boolean)
+      .map((m) => m[1]);
+    return Promise.all(Array.from(new Set(slugs), loadInvolvement)).then((pages) => pages.filter(Boolean));
+  });
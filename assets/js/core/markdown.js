@@ -0,0 +1,372 @@
+// assets/js/core/markdown.js
+// Front matter and a small Markdown renderer for the files in assets/content/.
+// Everything is built with createEl and text nodes, never innerHTML, so a content file
+// cannot add markup, scripts or event handlers; raw HTML in the Markdown shows as text.
+// Supported: # headings, paragraphs, - and 1. lists (nested by indenting), > quotes,
+// ``` code blocks, | tables |, --- rules, and inline `code`, **strong**, *em*,
+// [links](url), ![images](src "caption") and \ escapes.
+
+import { createEl } from "./dom.js";
+
+/* ===========================
+   Front matter
+   A YAML subset between --- lines: "key: value", "key: [a, b]", and "- item" or
+   "- key: value" lists under an empty "key:". Values are strings; quote one that has ": " in it.
+   The build scripts run this same function (scripts/content.js).
+   =========================== */
+
+const unquote = (raw) => {
+  const value = raw.trim();
+  const m = value.match(/^(["'])(.*)\1$/);
+  return m ? m[2] : value;
+};
+
+const scalar = (raw) => {
+  const value = (raw || "").trim();
+  if (/^\[.*\]$/.test(value)) return value.slice(1, -1).split(",").map(unquote).filter(Boolean);
+  return unquote(value);
+};
+
+const KEY_VALUE = /^([\w-]+):(?:\s+(.*))?$/;
+
+// text -> { data, body }. Without front matter data is {} and body is the whole text.
+export const parseFrontMatter = (text) => {
+  const source = String(text || "").replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+  const block = source.match(/^---\n([\s\S]*?)\n?---[ \t]*(?:\n|$)/);
+  if (!block) return { data: {}, body: source };
+
+  const data = {};
+  let key = null; // last top-level key, which "- " lines belong to
+  let item = null; // map started by the last "- key: value"
+
+  block[1].split("\n").forEach((line) => {
+    if (!line.trim() || /^\s*#/.test(line)) return;
+
+    const top = !/^\s/.test(line) && !line.startsWith("- ") && line.match(KEY_VALUE);
+    if (top) {
+      key = top[1];
+      item = null;
+      data[key] = scalar(top[2]);
+      return;
+    }
+
+    const entry = line.match(/^\s*-\s+(.*)$/);
+    if (entry && key) {
+      if (!Array.isArray(data[key])) data[key] = [];
+      const pair = entry[1].match(KEY_VALUE);
+      item = pair ? { [pair[1]]: scalar(pair[2]) } : null;
+      data[key].push(item || scalar(entry[1]));
+      return;
+    }
+
+    const more = item && line.trim().match(KEY_VALUE);
+    if (more) item[more[1]] = scalar(more[2]);
+  });
+
+  return { data, body: source.slice(block[0].length) };
+};
+
+/* ===========================
+   Blocks
+   =========================== */
+
+const FENCE = /^\s{0,3}(`{3,}|~{3,})\s*([\w+-]*)[^`]*$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^\s{0,3}>\s?(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const indentOf = (line) => line.match(/^\s*/)[0].length;
+
+const isTableStart = (lines, i) => lines[i].includes("|") && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1]);
+
+const isBlockStart = (lines, i) => {
+  const line = lines[i];
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line) || isTableStart(lines, i);
+};
+
+// "| a | b \| c |" -> ["a", "b | c"]
+const splitRow = (line) =>
+  line
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/\|$/, "")
+    .replace(/\\\|/g, "\u0000")
+    .split("|")
+    .map((cell) => cell.replace(/\u0000/g, "|").trim());
+
+const cellAlign = (cell) => {
+  if (/^:-+:$/.test(cell)) return "center";
+  if (/-:$/.test(cell)) return "right";
+  if (/^:-/.test(cell)) return "left";
+  return null;
+};
+
+// Items at the first item's indent; deeper lines belong to the item above them
+const parseList = (lines, start) => {
+  const first = lines[start].match(LIST_ITEM);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const sameList = (line) => {
+    const m = line.match(LIST_ITEM);
+    return m && m[1].length === indent && /\d/.test(m[2]) === ordered ? m : null;
+  };
+  const nextFilled = (from) => {
+    let j = from;
+    while (j < lines.length && !lines[j].trim()) j += 1;
+    return j;
+  };
+
+  const items = [];
+  let loose = false;
+  let i = start;
+
+  while (i < lines.length) {
+    const m = sameList(lines[i]);
+    if (!m) break;
+    const contentIndent = m[0].length - m[3].length;
+    const body = [m[3]];
+    i += 1;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        const j = nextFilled(i);
+        if (j >= lines.length || indentOf(lines[j]) <= indent) break;
+        loose = true;
+        body.push("");
+      } else if (indentOf(line) > indent) {
+        body.push(line.slice(Math.min(indentOf(line), contentIndent)));
+      } else if (body[body.length - 1] && !isBlockStart(lines, i)) {
+        // Lazy continuation of the item's paragraph
+        body.push(line.trim());
+      } else {
+        break;
+      }
+      i += 1;
+    }
+    items.push(parseBlocks(body));
+
+    // A blank line between two items makes the list loose
+    const j = nextFilled(i);
+    if (j >= lines.length || !sameList(lines[j])) break;
+    if (j > i) loose = true;
+    i = j;
+  }
+
+  return { block: { type: "list", ordered, start: ordered ? parseInt(first[2], 10) : 1, loose, items }, next: i };
+};
+
+const parseBlocks = (lines) => {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    let m;
+
+    if (!line.trim()) {
+      i += 1;
+    } else if ((m = line.match(FENCE))) {
+      const close = new RegExp(`^\\s{0,3}${m[1][0]}{${m[1].length},}\\s*$`);
+      const code = [];
+      i += 1;
+      while (i < lines.length && !close.test(lines[i])) code.push(lines[i++]);
+      blocks.push({ type: "code", lang: m[2], text: code.join("\n") });
+      i += 1;
+    } else if ((m = line.match(HEADING))) {
+      blocks.push({ type: "heading", level: m[1].length, text: m[2] });
+      i += 1;
+    } else if (RULE.test(line)) {
+      blocks.push({ type: "rule" });
+      i += 1;
+    } else if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && (m = lines[i].match(QUOTE))) {
+        quoted.push(m[1]);
+        i += 1;
+      }
+      blocks.push({ type: "quote", children: parseBlocks(quoted) });
+    } else if (LIST_ITEM.test(line)) {
+      const list = parseList(lines, i);
+      blocks.push(list.block);
+      i = list.next;
+    } else if (isTableStart(lines, i)) {
+      const head = splitRow(line);
+      const align = splitRow(lines[i + 1]).map(cellAlign);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].trim() && lines[i].includes("|")) {
+        const cells = splitRow(lines[i++]);
+        rows.push(head.map((cell, c) => cells[c] || ""));
+      }
+      blocks.push({ type: "table", head, align, rows });
+    } else {
+      const text = [line.trim()];
+      i += 1;
+      while (i < lines.length && lines[i].trim() && !isBlockStart(lines, i)) text.push(lines[i++].trim());
+      blocks.push({ type: "paragraph", text: text.join("\n") });
+    }
+  }
+
+  return blocks;
+};
+
+/* ===========================
+   Inline
+   =========================== */
+
+// Links may use http(s), mailto and tel, or be relative; images http(s) or relative.
+// Anything else (javascript:, data:, ...) is dropped.
+const safeUrl = (raw, schemes) => {
+  const url = String(raw || "").replace(/[\u0000- \u007f]/g, "");
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || schemes.includes(scheme[1].toLowerCase()) ? url : "";
+};
+
+const LINK_SCHEMES = ["http", "https", "mailto", "tel"];
+const IMAGE_SCHEMES = ["http", "https"];
+
+// Checked in order at each position; "y" keeps a match anchored there
+const INLINE = [
+  ["escape", /\\([!-/:-@[-`{-~])/y],
+  ["break", /(?: {2,}|\\)\n/y],
+  ["code", /(`+)([\s\S]*?[^`])\1(?!`)/y],
+  ["image", /!\[([^\]]*)\]\(\s*<?([^\s)>]*)>?(?:\s+"([^"]*)")?\s*\)/y],
+  ["link", /\[((?:[^[\]]|\[[^\]]*\])*)\]\(\s*<?([^\s)>]*)>?(?:\s+"([^"]*)")?\s*\)/y],
+  ["autolink", /<((?:https?:\/\/|mailto:)[^\s<>]+)>/y],
+  ["strong", /(\*\*|__)(?=\S)([\s\S]*?\S)\1(?![\w*])/y],
+  ["em", /([*_])(?=\S)([\s\S]*?\S)\1(?![\w*])/y],
+];
+
+const renderImage = (alt, src, title) =>
+  createEl("img", { src: safeUrl(src, IMAGE_SCHEMES) || null, alt, title: title || null, loading: "lazy", decoding: "async" });
+
+const inlineNode = (type, m) => {
+  switch (type) {
+    case "escape":
+      return document.createTextNode(m[1]);
+    case "break":
+      return createEl("br");
+    case "code":
+      return createEl("code", { text: m[2].replace(/^ (.*) $/, "$1") });
+    case "image":
+      return renderImage(m[1], m[2], m[3]);
+    case "autolink":
+      return createEl("a", { className: "text_link", href: m[1], text: m[1].replace(/^mailto:/, "") });
+    case "link": {
+      const href = safeUrl(m[2], LINK_SCHEMES);
+      const el = href ? createEl("a", { className: "text_link", href, title: m[3] || null }) : createEl("span");
+      if (/^https?:/i.test(href)) {
+        el.setAttribute("target", "_blank");
+        el.setAttribute("rel", "noreferrer");
+      }
+      appendInline(el, m[1]);
+      return el;
+    }
+    default: {
+      const el = createEl(type);
+      appendInline(el, m[2]);
+      return el;
+    }
+  }
+};
+
+const appendInline = (parent, text) => {
+  let plain = "";
+  const flush = () => {
+    if (plain) parent.appendChild(document.createTextNode(plain));
+    plain = "";
+  };
+
+  let pos = 0;
+  while (pos < text.length) {
+    // "_" only emphasises at word edges, so snake_case stays as written
+    const wordBefore = pos > 0 && /\w/.test(text[pos - 1]);
+    let hit = null;
+    for (const [type, pattern] of INLINE) {
+      if ((type === "em" || type === "strong") && text[pos] === "_" && wordBefore) continue;
+      pattern.lastIndex = pos;
+      const m = pattern.exec(text);
+      if (m) {
+        hit = { type, m };
+        break;
+      }
+    }
+
+    if (!hit) {
+      plain += text[pos];
+      pos += 1;
+      continue;
+    }
+    flush();
+    parent.appendChild(inlineNode(hit.type, hit.m));
+    pos += hit.m[0].length;
+  }
+  flush();
+  return parent;
+};
+
+/* ===========================
+   Render
+   =========================== */
+
+const ALONE_IMAGE = /^!\[([^\]]*)\]\(\s*<?([^\s)>]*)>?(?:\s+"([^"]*)")?\s*\)$/;
+
+// options.headingOffset: added to heading levels, so "#" sits under the page's own <h1>
+const renderBlock = (block, options) => {
+  switch (block.type) {
+    case "heading":
+      return appendInline(createEl(`h${Math.min(6, block.level + options.headingOffset)}`), block.text);
+    case "rule":
+      return createEl("hr");
+    case "code":
+      return createEl("pre", {}, [createEl("code", { data_lang: block.lang || null, text: block.text })]);
+    case "quote":
+      return createEl("blockquote", {}, block.children.map((child) => renderBlock(child, options)));
+    case "list":
+      return createEl(
+        block.ordered ? "ol" : "ul",
+        { start: block.ordered && block.start !== 1 ? block.start : null },
+        block.items.map((children) => {
+          const li = createEl("li");
+          children.forEach((child) => {
+            // Tight lists keep their text straight in the <li>
+            if (child.type === "paragraph" && !block.loose) appendInline(li, child.text);
+            else li.appendChild(renderBlock(child, options));
+          });
+          return li;
+        })
+      );
+    case "table": {
+      const cell = (tag, text, c) => appendInline(createEl(tag, { data_align: block.align[c] || null }), text);
+      const table = createEl("table", {}, [
+        createEl("thead", {}, [createEl("tr", {}, block.head.map((text, c) => cell("th", text, c)))]),
+        createEl("tbody", {}, block.rows.map((row) => createEl("tr", {}, row.map((text, c) => cell("td", text, c))))),
+      ]);
+      // Wide tables scroll on their own; tabindex lets keyboards scroll them too
+      return createEl("div", { className: "table_scroll", tabindex: 0 }, [table]);
+    }
+    default: {
+      // An image on its own line is a figure, its title the caption
+      const image = block.text.match(ALONE_IMAGE);
+      if (image) {
+        return createEl("figure", {}, [
+          renderImage(image[1], image[2]),
+          image[3] ? createEl("figcaption", { text: image[3] }) : null,
+        ]);
+      }
+      return appendInline(createEl("p"), block.text);
+    }
+  }
+};
+
+// markdown -> DocumentFragment
+export const renderMarkdown = (markdown, options = {}) => {
+  const settings = { headingOffset: 0, ...options };
+  const lines = String(markdown || "").replace(/\r\n?/g, "\n").replace(/\t/g, "    ").split("\n");
+  const fragment = document.createDocumentFragment();
+  parseBlocks(lines).forEach((block) => fragment.appendChild(renderBlock(block, settings)));
+  return fragment;
+};
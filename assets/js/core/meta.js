@@ -0,0 +1,97 @@
+// assets/js/core/meta.js
+// Structured data + social previews: schema.org JSON-LD, Open Graph and Twitter card tags
+// from site.json and projects.json.
+
+import { createEl, qs, setMeta } from "./dom.js";
+import { categoryLabel, projectPageUrl } from "./projects.js";
+
+// Relative to site.url when set (canonical links), else to the current page.
+// The home page is the site root, matching sitemap.xml.
+export const absoluteUrl = (path, site) =>
+  new URL(path === "index.html" ? "./" : path, (site && site.url) || window.location.href).href;
+
+// One <script type="application/ld+json"> per id, replaced on re-render
+export const setJsonLd = (id, data) => {
+  let script = qs(`script[data_jsonld="${id}"]`);
+  if (!data) {
+    if (script) script.remove();
+    return;
+  }
+  if (!script) {
+    script = createEl("script", { type: "application/ld+json", data_jsonld: id });
+    document.head.appendChild(script);
+  }
+  script.textContent = JSON.stringify({ "@context": "https://schema.org", ...data });
+};
+
+const personId = (site) => `${absoluteUrl("index.html", site)}#person`;
+
+export const personSchema = (site) => ({
+  "@type": "Person",
+  "@id": personId(site),
+  name: site.name,
+  url: absoluteUrl("index.html", site),
+  jobTitle: site.role || undefined,
+  email: site.email ? `mailto:${site.email}` : undefined,
+  alumniOf: site.school ? { "@type": "CollegeOrUniversity", name: site.school } : undefined,
+  sameAs: (site.social || []).map((link) => link.url),
+});
+
+export const projectSchema = (project, site) => ({
+  "@type": "CreativeWork",
+  name: project.title,
+  description: project.summary || project.description,
+  url: absoluteUrl(projectPageUrl(project.slug), site),
+  image: project.images.map((img) => absoluteUrl(img.src, site)),
+  dateCreated: project.year || undefined,
+  keywords: project.skills.join(", ") || undefined,
+  genre: categoryLabel(project.category) || undefined,
+  creator: { "@id": personId(site) },
+});
+
+// Home -> (nav entry that lists this page in "match") -> this page.
+// url: the page's own link when it needs a query (project.html?id=...)
+export const breadcrumbTrail = (site, page, title, url = page) => {
+  const trail = [{ name: "Home", url: "index.html" }];
+  if (page === "index.html") return trail;
+
+  const parent = (site.nav || []).find((item) => (item.match || []).includes(page));
+  if (parent) trail.push({ name: parent.label, url: parent.href });
+  trail.push({ name: title, url });
+  return trail;
+};
+
+export const breadcrumbSchema = (site, trail) => ({
+  "@type": "BreadcrumbList",
+  itemListElement: trail.map((crumb, i) => ({
+    "@type": "ListItem",
+    position: i + 1,
+    name: crumb.name,
+    item: absoluteUrl(crumb.url, site),
+  })),
+});
+
+// meta: { title, description, image, url, type }. Without an image the card falls back to "summary".
+export const applySocialMeta = (site, meta) => {
+  const image = meta.image ? absoluteUrl(meta.image, site) : "";
+
+  setMeta("property", "og:site_name", site.name);
+  setMeta("property", "og:type", meta.type || "website");
+  setMeta("property", "og:title", meta.title);
+  setMeta("property", "og:description", meta.description || "");
+  setMeta("property", "og:url", meta.url);
+
+  setMeta("name", "twitter:card", image ? "summary_large_image" : "summary");
+  setMeta("name", "twitter:title", meta.title);
+  setMeta("name", "twitter:description", meta.description || "");
+
+  // Drop image tags rather than leave one pointing at a missing file
+  ["meta[property=\"og:image\"]", "meta[name=\"twitter:image\"]"].forEach((sel) => {
+    const el = qs(sel);
+    if (el && !image) el.remove();
+  });
+  if (image) {
+    setMeta("property", "og:image", image);
+    setMeta("name", "twitter:image", image);
+  }
+};
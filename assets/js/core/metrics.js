@@ -0,0 +1,109 @@
+// assets/js/core/metrics.js
+// Numbers for the About metrics and charts, worked out from the project and involvement data
+// so they stay in step with it. A metric in site.json names a "source" below, or gives a fixed
+// "value" for things the data does not hold (funds raised).
+
+import { loadInvolvementPages } from "./involvement.js";
+import { loadProjects, skillKey } from "./projects.js";
+
+const sumHours = (items) => items.reduce((total, item) => total + (Number.isFinite(item.hours) ? item.hours : 0), 0);
+
+// data: which list the source reads; value: list -> number
+export const METRIC_SOURCES = {
+  projects: { data: "projects", value: (projects) => projects.length },
+  project_hours: { data: "projects", value: sumHours },
+  skills: { data: "projects", value: (projects) => new Set(projects.flatMap((p) => p.skills.map(skillKey))).size },
+  involvement: { data: "involvement", value: (pages) => pages.length },
+  involvement_hours: { data: "involvement", value: sumHours },
+};
+
+const LOADERS = {
+  projects: loadProjects,
+  involvement: loadInvolvementPages,
+};
+
+// "category" narrows either list, "skill" the projects
+const matches = (metric) => (item) =>
+  (!metric.category || item.category === metric.category) &&
+  (!metric.skill || (item.skills || []).some((skill) => skillKey(skill) === skillKey(metric.skill)));
+
+// Count up formatting: { prefix, suffix, decimals, compact } (see formatNumber in i18n.js)
+export const metricFormat = (metric) => ({
+  prefix: metric.prefix || "",
+  suffix: metric.suffix || "",
+  decimals: metric.decimals,
+  compact: Boolean(metric.compact),
+});
+
+/**
+ * Resolves to the metrics with "value" filled in from their source. Only the data the
+ * sources need is loaded. When it cannot be loaded the metric keeps its typed "value".
+ */
+export const resolveMetrics = (metrics) => {
+  const needed = Array.from(new Set(metrics.map((m) => METRIC_SOURCES[m.source]).filter(Boolean).map((s) => s.data)));
+
+  return Promise.all(
+    needed.map((name) =>
+      LOADERS[name]().catch((err) => {
+        console.warn(`[metrics] Could not load ${name}.`, err);
+        return null;
+      })
+    )
+  ).then((lists) => {
+    const data = Object.fromEntries(needed.map((name, i) => [name, lists[i]]));
+    return metrics.map((metric) => {
+      const source = METRIC_SOURCES[metric.source];
+      const list = source && data[source.data];
+      const value = list ? source.value(list.filter(matches(metric))) : Number(metric.value);
+      return { ...metric, value: Number.isFinite(value) ? value : 0 };
+    });
+  });
+};
+
+/* ===========================
+   Chart series
+   Each returns [{ label, value }] in display order.
+   =========================== */
+
+// Years outside this range are typos (202, 20245) and would stretch the chart over centuries
+const FIRST_YEAR = 1950;
+const YEARS_AHEAD = 5;
+
+const isPlausibleYear = (year) => Number.isInteger(year) && year >= FIRST_YEAR && year <= new Date().getFullYear() + YEARS_AHEAD;
+
+// One bar per year from the first to the last, so quiet years show as gaps
+const projectsPerYear = (projects) => {
+  const counts = new Map();
+  projects.forEach((p) => {
+    const year = Number(p.year);
+    if (isPlausibleYear(year)) counts.set(year, (counts.get(year) || 0) + 1);
+  });
+  if (!counts.size) return [];
+
+  const years = Array.from(counts.keys());
+  const series = [];
+  for (let year = Math.min(...years); year <= Math.max(...years); year += 1) {
+    series.push({ label: String(year), value: counts.get(year) || 0 });
+  }
+  return series;
+};
+
+// Most used skills first; the spelling of the first project that uses one is shown
+const skillDistribution = (projects, limit = 6) => {
+  const counts = new Map();
+  projects.forEach((p) => {
+    new Set(p.skills.map(skillKey)).forEach((key) => {
+      const entry = counts.get(key) || { label: p.skills.find((s) => skillKey(s) === key), value: 0 };
+      entry.value += 1;
+      counts.set(key, entry);
+    });
+  });
+  return Array.from(counts.values())
+    .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label))
+    .slice(0, limit);
+};
+
+export const CHART_SERIES = {
+  projects_per_year: projectsPerYear,
+  skills: skillDistribution,
+};
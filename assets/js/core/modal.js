@@ -0,0 +1,138 @@
+// assets/js/core/modal.js
+// Open / close / focus handling shared by every modal, and the URL hash routes
+// (#project=<slug>, #image=<n>) that open them. The modal components register a route
+// per type; nothing else needs to know which modals a page has.
+
+import { emit, on } from "./bus.js";
+import { decodeComponent, qs, qsa } from "./dom.js";
+
+let lastFocus = null;
+
+export const getFocusable = (root) => {
+  const selectors = [
+    "a[href]",
+    "button:not([disabled])",
+    "input:not([disabled])",
+    "select:not([disabled])",
+    "textarea:not([disabled])",
+    "[tabindex]:not([tabindex='-1'])",
+  ];
+  return qsa(selectors.join(","), root).filter((el) => el.offsetParent !== null);
+};
+
+export const isOpen = (modal) => !!modal && modal.classList.contains("is_open");
+
+export const openModal = (modal) => {
+  if (!modal) return;
+  // Already open (e.g. refilled from a URL change): keep the original focus origin
+  if (isOpen(modal)) return;
+  lastFocus = document.activeElement;
+
+  modal.classList.add("is_open");
+  modal.setAttribute("aria-hidden", "false");
+
+  // Prevent background scroll
+  document.body.style.overflow = "hidden";
+
+  const focusable = getFocusable(modal);
+  if (focusable.length) focusable[0].focus();
+
+  emit("modal_change", { modal, open: true });
+};
+
+export const closeModal = (modal) => {
+  if (!modal) return;
+
+  modal.classList.remove("is_open");
+  modal.setAttribute("aria-hidden", "true");
+
+  document.body.style.overflow = "";
+
+  if (lastFocus && typeof lastFocus.focus === "function") {
+    lastFocus.focus();
+  }
+  lastFocus = null;
+
+  emit("modal_change", { modal, open: false });
+};
+
+/* ===========================
+   URL hash (deep links)
+   #project=<slug> opens a project quick view, #image=<n> the nth image on the page (1 based).
+   Opening pushes a history entry, so Back closes the modal and closing restores the URL.
+   =========================== */
+
+let pushedModalHash = false;
+
+export const parseModalHash = (hash) => {
+  const m = String(hash || "").match(/^#(project|image)=(.+)$/);
+  const value = m && decodeComponent(m[2]);
+  return value ? { type: m[1], value } : null;
+};
+
+const readModalHash = () => parseModalHash(window.location.hash);
+
+const urlWithoutHash = () => `${window.location.pathname}${window.location.search}`;
+
+// mode: "push" when a modal opens from a click, "replace" while stepping inside it
+export const setModalHash = (hash, mode) => {
+  if (window.location.hash === hash) return;
+  const url = `${urlWithoutHash()}${hash}`;
+  if (mode === "replace") {
+    history.replaceState(history.state, "", url);
+    return;
+  }
+  history.pushState(history.state, "", url);
+  pushedModalHash = true;
+};
+
+// Close from the UI (button, overlay, Escape) and put the URL back
+export const dismissModal = (modal) => {
+  closeModal(modal);
+  if (!readModalHash()) return;
+
+  if (pushedModalHash) {
+    pushedModalHash = false;
+    history.back();
+  } else {
+    // Landed on the page with the hash: drop it instead of leaving the site
+    history.replaceState(history.state, "", urlWithoutHash());
+  }
+};
+
+// type -> (value, fromUrl) => true if it pointed at something on this page
+const routes = new Map();
+
+// Returns the matching remove function for destroy()
+export const addRoute = (type, open) => {
+  routes.set(type, open);
+  return () => {
+    if (routes.get(type) === open) routes.delete(type);
+  };
+};
+
+// fromUrl: the URL already has the hash (load, back/forward) so nothing is pushed
+export const openRoute = (route, fromUrl) => {
+  const open = routes.get(route.type);
+  return open ? open(route.value, fromUrl) : false;
+};
+
+export const openFromHash = () => {
+  const route = readModalHash();
+  return route ? openRoute(route, true) : false;
+};
+
+// Back / forward (and hand-edited hashes) open or close to match the URL.
+// modal_close on the bus closes whichever modal is open.
+export const initModalRoutes = () => {
+  window.addEventListener("popstate", () => {
+    if (openFromHash()) return;
+    pushedModalHash = false;
+    qsa(".modal.is_open").forEach((m) => closeModal(m));
+  });
+
+  on("modal_close", () => {
+    const open = qs(".modal.is_open");
+    if (open) dismissModal(open);
+  });
+};
@@ -0,0 +1,336 @@
+// assets/js/core/model_formats.js
+// CAD models for the 3D viewer: STL (binary or ASCII) and glTF 2.0 (.gltf or .glb).
+// Every format ends up as flat triangle lists, one per part:
+//   { name, positions: Float32Array, normals: Float32Array, color: [r, g, b] | null }
+// Positions are in model units with Y up.
+
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const GLB_JSON = 0x4e4f534a;
+const GLB_BIN = 0x004e4942;
+
+// glTF accessor component types -> typed array
+const COMPONENT_TYPES = {
+  5120: Int8Array,
+  5121: Uint8Array,
+  5122: Int16Array,
+  5123: Uint16Array,
+  5125: Uint32Array,
+  5126: Float32Array,
+};
+
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT4: 16 };
+
+// "parts/bracket.STL" -> "stl"; an explicit format wins
+export const modelFormat = (src, format) => {
+  const ext = String(format || String(src || "").split(/[?#]/)[0].split(".").pop()).toLowerCase();
+  return ["stl", "gltf", "glb"].includes(ext) ? ext : "";
+};
+
+const fetchBuffer = (url) =>
+  fetch(url).then((res) => {
+    if (!res.ok) throw new Error(`Could not load ${url} (${res.status})`);
+    return res.arrayBuffer();
+  });
+
+// Bytes to text without TextDecoder, for STL headers and ASCII files
+const bytesToText = (bytes) => {
+  let text = "";
+  for (let i = 0; i < bytes.length; i += 8192) text += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  return text;
+};
+
+const utf8 = (bytes) => (typeof TextDecoder === "function" ? new TextDecoder().decode(bytes) : decodeURIComponent(escape(bytesToText(bytes))));
+
+/* ===========================
+   Geometry helpers
+   =========================== */
+
+// One normal per triangle: CAD exports are faceted, and STL normals are often zero
+const flatNormals = (positions) => {
+  const normals = new Float32Array(positions.length);
+  for (let i = 0; i < positions.length; i += 9) {
+    const ax = positions[i + 3] - positions[i];
+    const ay = positions[i + 4] - positions[i + 1];
+    const az = positions[i + 5] - positions[i + 2];
+    const bx = positions[i + 6] - positions[i];
+    const by = positions[i + 7] - positions[i + 1];
+    const bz = positions[i + 8] - positions[i + 2];
+    let nx = ay * bz - az * by;
+    let ny = az * bx - ax * bz;
+    let nz = ax * by - ay * bx;
+    const len = Math.hypot(nx, ny, nz) || 1;
+    nx /= len;
+    ny /= len;
+    nz /= len;
+    for (let v = 0; v < 9; v += 3) {
+      normals[i + v] = nx;
+      normals[i + v + 1] = ny;
+      normals[i + v + 2] = nz;
+    }
+  }
+  return normals;
+};
+
+// Z-up exports (most CAD packages) -> Y up: (x, y, z) -> (x, z, -y)
+const zUpToYUp = (values) => {
+  for (let i = 0; i < values.length; i += 3) {
+    const y = values[i + 1];
+    values[i + 1] = values[i + 2];
+    values[i + 2] = -y;
+  }
+};
+
+/* ===========================
+   STL
+   =========================== */
+
+const parseBinaryStl = (view, count) => {
+  const positions = new Float32Array(count * 9);
+  for (let tri = 0; tri < count; tri += 1) {
+    // 12 bytes of normal, 3 vertices, 2 bytes of attributes
+    const offset = 84 + tri * 50 + 12;
+    for (let i = 0; i < 9; i += 1) positions[tri * 9 + i] = view.getFloat32(offset + i * 4, true);
+  }
+  return [{ name: "", positions }];
+};
+
+// Every "solid ... endsolid" block is a part
+const parseAsciiStl = (text) => {
+  const solids = text.split(/^\s*endsolid[^\n]*$/m).filter((block) => /\bvertex\b/.test(block));
+  return solids.map((block) => {
+    const name = ((block.match(/^\s*solid[ \t]+([^\r\n]*)/m) || [])[1] || "").trim();
+    const values = [];
+    const vertex = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+    let m;
+    while ((m = vertex.exec(block))) values.push(Number(m[1]), Number(m[2]), Number(m[3]));
+    // Drop an incomplete last triangle
+    return { name, positions: new Float32Array(values.slice(0, values.length - (values.length % 9))) };
+  });
+};
+
+export const parseStl = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+
+  // Binary files are exactly 84 + 50 bytes per triangle, whatever their header says
+  const count = bytes.length >= 84 ? view.getUint32(80, true) : -1;
+  const parts = count >= 0 && bytes.length === 84 + count * 50 ? parseBinaryStl(view, count) : parseAsciiStl(bytesToText(bytes));
+
+  return parts
+    .filter((part) => part.positions.length)
+    .map((part) => ({ name: part.name, positions: part.positions, normals: null, color: null }));
+};
+
+/* ===========================
+   glTF 2.0
+   =========================== */
+
+const mat4Multiply = (a, b) => {
+  const out = new Array(16);
+  for (let col = 0; col < 4; col += 1) {
+    for (let row = 0; row < 4; row += 1) {
+      let sum = 0;
+      for (let k = 0; k < 4; k += 1) sum += a[k * 4 + row] * b[col * 4 + k];
+      out[col * 4 + row] = sum;
+    }
+  }
+  return out;
+};
+
+// translation, rotation (quaternion) and scale -> column-major matrix
+const nodeMatrix = (node) => {
+  if (Array.isArray(node.matrix)) return node.matrix;
+  const [tx, ty, tz] = node.translation || [0, 0, 0];
+  const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+  const [sx, sy, sz] = node.scale || [1, 1, 1];
+  return [
+    (1 - 2 * (y * y + z * z)) * sx, 2 * (x * y + z * w) * sx, 2 * (x * z - y * w) * sx, 0,
+    2 * (x * y - z * w) * sy, (1 - 2 * (x * x + z * z)) * sy, 2 * (y * z + x * w) * sy, 0,
+    2 * (x * z + y * w) * sz, 2 * (y * z - x * w) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+    tx, ty, tz, 1,
+  ];
+};
+
+// Upper 3x3 inverse transpose, so normals survive non-uniform scale
+const normalMatrix = (m) => {
+  const [a, b, c, d, e, f, g, h, i] = [m[0], m[1], m[2], m[4], m[5], m[6], m[8], m[9], m[10]];
+  const det = a * (e * i - f * h) - d * (b * i - c * h) + g * (b * f - c * e) || 1;
+  return [
+    (e * i - f * h) / det, (g * f - d * i) / det, (d * h - g * e) / det,
+    (h * c - b * i) / det, (a * i - g * c) / det, (g * b - a * h) / det,
+    (b * f - e * c) / det, (d * c - a * f) / det, (a * e - d * b) / det,
+  ];
+};
+
+// -> { values, size } with the accessor's elements packed tightly
+const readAccessor = (gltf, buffers, index) => {
+  const accessor = gltf.accessors[index];
+  const size = TYPE_SIZES[accessor.type];
+  const ArrayType = COMPONENT_TYPES[accessor.componentType];
+  if (!size || !ArrayType) throw new Error(`Unsupported accessor ${index}`);
+
+  const values = new ArrayType(accessor.count * size);
+  if (accessor.bufferView === undefined) return { values, size };
+
+  const view = gltf.bufferViews[accessor.bufferView];
+  const buffer = buffers[view.buffer];
+  const start = (view.byteOffset || 0) + (accessor.byteOffset || 0);
+  const stride = view.byteStride || size * ArrayType.BYTES_PER_ELEMENT;
+
+  for (let i = 0; i < accessor.count; i += 1) {
+    const element = new ArrayType(buffer, start + i * stride, size);
+    values.set(element, i * size);
+  }
+  return { values, size };
+};
+
+const transform = (values, m, isNormal) => {
+  const out = new Float32Array(values.length);
+  const n = isNormal ? normalMatrix(m) : null;
+  for (let i = 0; i < values.length; i += 3) {
+    const [x, y, z] = [values[i], values[i + 1], values[i + 2]];
+    if (n) {
+      const nx = n[0] * x + n[3] * y + n[6] * z;
+      const ny = n[1] * x + n[4] * y + n[7] * z;
+      const nz = n[2] * x + n[5] * y + n[8] * z;
+      const len = Math.hypot(nx, ny, nz) || 1;
+      out[i] = nx / len;
+      out[i + 1] = ny / len;
+      out[i + 2] = nz / len;
+    } else {
+      out[i] = m[0] * x + m[4] * y + m[8] * z + m[12];
+      out[i + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+      out[i + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+    }
+  }
+  return out;
+};
+
+// Indexed -> one entry per triangle corner
+const unindex = (values, indices) => {
+  if (!indices) return values;
+  const out = new Float32Array(indices.length * 3);
+  indices.forEach((index, i) => out.set(values.subarray(index * 3, index * 3 + 3), i * 3));
+  return out;
+};
+
+const primitiveColor = (gltf, primitive) => {
+  const material = (gltf.materials || [])[primitive.material];
+  const factor = material && material.pbrMetallicRoughness && material.pbrMetallicRoughness.baseColorFactor;
+  return Array.isArray(factor) ? factor.slice(0, 3) : null;
+};
+
+// buffers: ArrayBuffers in the order of gltf.buffers. Node transforms are baked in.
+export const parseGltf = (gltf, buffers) => {
+  const parts = [];
+  const scene = (gltf.scenes || [])[gltf.scene || 0];
+  const roots = scene ? scene.nodes : (gltf.nodes || []).map((n, i) => i);
+
+  const visit = (index, parentMatrix) => {
+    const node = gltf.nodes[index];
+    const matrix = mat4Multiply(parentMatrix, nodeMatrix(node));
+    const mesh = node.mesh !== undefined ? gltf.meshes[node.mesh] : null;
+
+    if (mesh) {
+      mesh.primitives
+        // Triangles only (mode 4 is the default); lines and points have no surface
+        .filter((primitive) => (primitive.mode === undefined || primitive.mode === 4) && primitive.attributes.POSITION !== undefined)
+        .forEach((primitive) => {
+          const indices = primitive.indices !== undefined ? readAccessor(gltf, buffers, primitive.indices).values : null;
+          const positions = unindex(transform(readAccessor(gltf, buffers, primitive.attributes.POSITION).values, matrix, false), indices);
+          const normals =
+            primitive.attributes.NORMAL !== undefined
+              ? unindex(transform(readAccessor(gltf, buffers, primitive.attributes.NORMAL).values, matrix, true), indices)
+              : null;
+
+          parts.push({ name: node.name || mesh.name || "", positions, normals, color: primitiveColor(gltf, primitive) });
+        });
+    }
+
+    (node.children || []).forEach((child) => visit(child, matrix));
+  };
+
+  const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+  roots.forEach((index) => visit(index, identity));
+  return parts.filter((part) => part.positions.length);
+};
+
+// "data:application/octet-stream;base64,..." -> ArrayBuffer
+const decodeDataUri = (uri) => {
+  const binary = atob(uri.slice(uri.indexOf(",") + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i);
+  return bytes.buffer;
+};
+
+// Buffers are embedded (data: URIs) or files next to the .gltf
+const loadGltfBuffers = (gltf, src, glbBuffer) =>
+  Promise.all(
+    (gltf.buffers || []).map((buffer, i) => {
+      if (!buffer.uri) return i === 0 && glbBuffer ? glbBuffer : new ArrayBuffer(buffer.byteLength || 0);
+      if (buffer.uri.startsWith("data:")) return decodeDataUri(buffer.uri);
+      return fetchBuffer(new URL(buffer.uri, new URL(src, window.location.href)).href);
+    })
+  );
+
+const parseGlb = (buffer) => {
+  const view = new DataView(buffer);
+  if (view.getUint32(0, true) !== GLB_MAGIC) throw new Error("Not a .glb file");
+
+  let json = null;
+  let bin = null;
+  for (let offset = 12; offset < view.byteLength; ) {
+    const length = view.getUint32(offset, true);
+    const type = view.getUint32(offset + 4, true);
+    const chunk = buffer.slice(offset + 8, offset + 8 + length);
+    if (type === GLB_JSON) json = JSON.parse(utf8(new Uint8Array(chunk)));
+    else if (type === GLB_BIN) bin = chunk;
+    offset += 8 + length;
+  }
+  if (!json) throw new Error("The .glb file has no JSON chunk");
+  return { json, bin };
+};
+
+/* ===========================
+   Loading
+   =========================== */
+
+// model: { src, format, up } from projects.json. Resolves to { parts }.
+export const loadModel = (model) => {
+  const format = modelFormat(model.src, model.format);
+
+  let parts;
+  if (format === "stl") {
+    parts = fetchBuffer(model.src).then(parseStl);
+  } else if (format === "glb") {
+    parts = fetchBuffer(model.src)
+      .then(parseGlb)
+      .then(({ json, bin }) => loadGltfBuffers(json, model.src, bin).then((buffers) => parseGltf(json, buffers)));
+  } else if (format === "gltf") {
+    parts = fetch(model.src)
+      .then((res) => {
+        if (!res.ok) throw new Error(`Could not load ${model.src} (${res.status})`);
+        return res.json();
+      })
+      .then((json) => loadGltfBuffers(json, model.src).then((buffers) => parseGltf(json, buffers)));
+  } else {
+    return Promise.reject(new Error(`Unknown model format for ${model.src}`));
+  }
+
+  // STL is usually Z up, glTF is always Y up; "up" in projects.json overrides either
+  const up = model.up || (format === "stl" ? "z" : "y");
+
+  return parts.then((list) => {
+    if (!list.length) throw new Error(`${model.src} has no triangles`);
+    return {
+      parts: list.map((part) => {
+        const normals = part.normals || flatNormals(part.positions);
+        if (up === "z") {
+          zUpToYUp(part.positions);
+          zUpToYUp(normals);
+        }
+        return { ...part, normals };
+      }),
+    };
+  });
+};
@@ -0,0 +1,70 @@
+// assets/js/core/offline.js
+// Offline support: registers sw.js and offers a reload when an update is waiting.
+
+import { createEl, qs } from "./dom.js";
+import { t } from "./i18n.js";
+
+const SW_URL = "sw.js";
+
+const showUpdateToast = (onReload) => {
+  if (qs("[data_update_toast]")) return;
+
+  const reload = createEl("button", { className: "button small primary", type: "button", text: t("update_reload") });
+  const dismiss = createEl("button", { className: "button small ghost", type: "button", text: t("update_later") });
+
+  const toast = createEl("div", { className: "toast", role: "status", "aria-live": "polite", data_update_toast: true }, [
+    createEl("p", { className: "toast_text", text: t("update_available") }),
+    reload,
+    dismiss,
+  ]);
+
+  reload.addEventListener("click", () => {
+    reload.disabled = true;
+    onReload();
+  });
+  dismiss.addEventListener("click", () => toast.remove());
+
+  document.body.appendChild(toast);
+};
+
+export const initServiceWorker = () => {
+  if (!("serviceWorker" in navigator)) return;
+  // Service workers need http(s); opening files from disk just skips this
+  if (!/^https?:$/.test(window.location.protocol)) return;
+
+  // Reload once the worker the visitor asked for has taken over. The first install also
+  // changes the controller (clients.claim() in sw.js), and that must not reload the page.
+  let reloadRequested = false;
+  let reloading = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (!reloadRequested || reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  const promptUpdate = (worker) => {
+    showUpdateToast(() => {
+      reloadRequested = true;
+      worker.postMessage({ type: "SKIP_WAITING" });
+    });
+  };
+
+  navigator.serviceWorker
+    .register(SW_URL)
+    .then((reg) => {
+      // An update finished installing on a previous visit
+      if (reg.waiting && navigator.serviceWorker.controller) promptUpdate(reg.waiting);
+
+      reg.addEventListener("updatefound", () => {
+        const worker = reg.installing;
+        if (!worker) return;
+        worker.addEventListener("statechange", () => {
+          // No controller means first install: nothing to update yet
+          if (worker.state === "installed" && navigator.serviceWorker.controller) promptUpdate(worker);
+        });
+      });
+    })
+    .catch((err) => {
+      console.warn("[sw] Registration failed.", err);
+    });
+};
@@ -0,0 +1,131 @@
+// assets/js/core/prefs.js
+// Appearance preferences: theme, contrast, accent, text size, and motion, saved together
+// as one object. assets/js/prefs.js applies the saved values before first paint.
+
+import { prefersDark, prefersReducedMotion, qsa } from "./dom.js";
+import { emit } from "./bus.js";
+
+const PREFS_KEY = "site_prefs";
+
+// Saved before the appearance panel existed; read once, then folded into PREFS_KEY
+const LEGACY_THEME_KEY = "site_theme";
+const LEGACY_MOTION_KEY = "site_motion";
+
+// First option of each is the default; labels are message keys
+export const PREF_OPTIONS = {
+  theme: [
+    { value: "system", label: "pref_system" },
+    { value: "dark", label: "pref_dark" },
+    { value: "light", label: "pref_light" },
+  ],
+  contrast: [
+    { value: "system", label: "pref_system" },
+    { value: "standard", label: "pref_standard" },
+    { value: "high", label: "pref_high" },
+  ],
+  accent: [
+    { value: "navy", label: "pref_navy" },
+    { value: "teal", label: "pref_teal" },
+    { value: "crimson", label: "pref_crimson" },
+    { value: "violet", label: "pref_violet" },
+  ],
+  fontScale: [
+    { value: "1", label: "pref_default" },
+    { value: "1.125", label: "pref_large" },
+    { value: "1.25", label: "pref_larger" },
+  ],
+  motion: [
+    { value: "system", label: "pref_system" },
+    { value: "reduced", label: "pref_reduced" },
+    { value: "full", label: "pref_full" },
+  ],
+};
+
+export const PREF_LEGENDS = {
+  theme: "pref_theme",
+  contrast: "pref_contrast",
+  accent: "pref_accent",
+  fontScale: "pref_font_scale",
+  motion: "pref_motion",
+};
+
+export const defaultPrefs = () =>
+  Object.keys(PREF_OPTIONS).reduce((prefs, key) => {
+    prefs[key] = PREF_OPTIONS[key][0].value;
+    return prefs;
+  }, {});
+
+const isPrefValue = (key, value) => (PREF_OPTIONS[key] || []).some((opt) => opt.value === String(value));
+
+export const readPrefs = () => {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(PREFS_KEY) || "{}") || {};
+    if (!saved.theme) saved.theme = localStorage.getItem(LEGACY_THEME_KEY);
+    if (!saved.motion) saved.motion = localStorage.getItem(LEGACY_MOTION_KEY);
+  } catch (err) {
+    // Bad JSON, or storage blocked: the defaults apply
+    saved = {};
+  }
+
+  // Unknown or stale values fall back to the default
+  const prefs = defaultPrefs();
+  Object.keys(prefs).forEach((key) => {
+    if (isPrefValue(key, saved[key])) prefs[key] = String(saved[key]);
+  });
+
+  // Language codes are listed in site.json, so any well formed tag is kept here
+  if (typeof saved.lang === "string" && /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(saved.lang)) prefs.lang = saved.lang;
+  return prefs;
+};
+
+export const savePrefs = (patch) => {
+  const prefs = { ...readPrefs(), ...patch };
+  try {
+    localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
+    localStorage.removeItem(LEGACY_THEME_KEY);
+    localStorage.removeItem(LEGACY_MOTION_KEY);
+  } catch (err) {
+    // Storage full or blocked: the change still applies to this page
+  }
+  return prefs;
+};
+
+const prefersMoreContrast = () =>
+  window.matchMedia && window.matchMedia("(prefers-contrast: more)").matches;
+
+// Resolves "system" values and writes the data_* attributes on <html>
+const applyPrefs = (prefs) => {
+  const root = document.documentElement;
+
+  const theme = prefs.theme === "system" ? (prefersDark() ? "dark" : "light") : prefs.theme;
+  const motion = prefs.motion === "system" ? (prefersReducedMotion() ? "reduced" : "full") : prefs.motion;
+  const contrast = prefs.contrast === "system" ? (prefersMoreContrast() ? "high" : "standard") : prefs.contrast;
+
+  root.setAttribute("data_theme", theme);
+  root.setAttribute("data_motion", motion);
+  root.setAttribute("data_contrast", contrast);
+  root.setAttribute("data_accent", prefs.accent);
+  root.style.setProperty("--font_scale", prefs.fontScale);
+
+  // If motion is reduced, immediately reveal animations
+  if (motion === "reduced") qsa("[data_animate]").forEach((el) => el.classList.add("in_view"));
+};
+
+// Saves, applies, and lets the header controls know (prefs_change)
+export const updatePrefs = (patch) => {
+  const prefs = savePrefs(patch);
+  applyPrefs(prefs);
+  emit("prefs_change", { prefs });
+  return prefs;
+};
+
+export const initThemeAndMotion = () => {
+  applyPrefs(readPrefs());
+
+  // Update on OS changes for anything left on "system"
+  ["(prefers-color-scheme: dark)", "(prefers-reduced-motion: reduce)", "(prefers-contrast: more)"].forEach((query) => {
+    const mq = window.matchMedia && window.matchMedia(query);
+    if (mq && mq.addEventListener) mq.addEventListener("change", () => applyPrefs(readPrefs()));
+  });
+};
@@ -0,0 +1,106 @@
+// assets/js/core/projects.js
+// Project data (assets/data/projects.json), loaded once and shared by the cards,
+// the project page, the skills matrix, the timeline and the quick view.
+
+import { fetchJson, slugify } from "./dom.js";
+import { hasMessage, localized, t } from "./i18n.js";
+import { modelFormat } from "./model_formats.js";
+
+const PROJECTS_URL = "assets/data/projects.json";
+
+export const skillKey = (skill) => String(skill).trim().toLowerCase();
+
+// "parts/bracket.stl" or { "src": "...", "format": "stl" | "gltf" | "glb", "up": "y" | "z" }
+const normalizeModel = (raw) => {
+  const model = typeof raw === "string" ? { src: raw } : raw;
+  if (!model || !model.src) return null;
+  const format = modelFormat(model.src, model.format);
+  if (!format) return null;
+  const up = model.up === "y" || model.up === "z" ? model.up : "";
+  return { src: model.src, format, up };
+};
+
+export const normalizeProject = (raw) => {
+  const p = localized(raw || {});
+  const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : null);
+  return {
+    // Stable id for links (#project=<slug>); set it in the JSON so renaming a title keeps old links working.
+    // Always from the English title so links are the same in every language.
+    slug: p.slug || slugify((raw || {}).title),
+    title: p.title || t("project_fallback_title"),
+    summary: p.summary || "",
+    description: p.description || p.summary || "",
+    category: p.category || "",
+    year: p.year ? String(p.year) : "",
+    skills: Array.isArray(p.skills) ? p.skills.filter(Boolean) : [],
+    impact: num(p.impact),
+    technical: num(p.technical),
+    // Time spent, summed by the "project_hours" metric
+    hours: num(p.hours),
+    problem: p.problem || "",
+    approach: p.approach || "",
+    result: p.result || "",
+    // "path.jpg" or { "src": "path.jpg", "alt": "...", "caption": "..." }
+    images: (Array.isArray(p.images) ? p.images : [])
+      .map((img) => (typeof img === "string" ? { src: img } : localized(img) || {}))
+      .filter((img) => img.src)
+      .map((img) => ({ src: img.src, alt: img.alt || "", caption: img.caption || "" })),
+    featured: Boolean(p.featured),
+    model: normalizeModel(p.model),
+  };
+};
+
+export const projectPageUrl = (slug, sort) => {
+  const params = new URLSearchParams({ id: slug });
+  if (sort && sort !== "recent") params.set("sort", sort);
+  return `project.html?${params.toString()}`;
+};
+
+// Same orderings as the projects page sort select, on project data.
+// Relevance needs a search, so it falls back to recent here.
+export const sortProjects = (projects, sort) => {
+  const score = (p, key) => (Number.isFinite(p[key]) ? p[key] : 0);
+  const year = (p) => (p.year && Number.isFinite(Number(p.year)) ? Number(p.year) : null);
+  const list = projects.slice();
+
+  if (sort === "impact") return list.sort((a, b) => score(b, "impact") - score(a, "impact"));
+  if (sort === "technical") return list.sort((a, b) => score(b, "technical") - score(a, "technical"));
+
+  return list.sort((a, b) => {
+    const ay = year(a);
+    const by = year(b);
+    if (ay !== null && by !== null) return by - ay;
+    if (ay !== null) return -1;
+    if (by !== null) return 1;
+    return 0;
+  });
+};
+
+// Filled by loadProjects; lets pages without cards open a quick view by slug
+export const projectsBySlug = new Map();
+
+// Optional per skill "level" / "years" from the "skills" object in projects.json, by skillKey
+export const skillDetails = new Map();
+
+// Loaded once and shared
+let projectsPromise = null;
+
+export const loadProjects = () => {
+  if (!projectsPromise) {
+    projectsPromise = fetchJson(PROJECTS_URL).then((data) => {
+      const list = Array.isArray(data) ? data : data && data.projects;
+      const projects = Array.isArray(list) ? list.map(normalizeProject) : [];
+      projects.forEach((p) => projectsBySlug.set(p.slug, p));
+
+      Object.entries((data && data.skills) || {}).forEach(([skill, details]) => {
+        skillDetails.set(skillKey(skill), localized(details) || {});
+      });
+      return projects;
+    });
+  }
+  return projectsPromise;
+};
+
+// Known categories have a category_<name> message; others are shown from the name
+export const categoryLabel = (cat) =>
+  hasMessage(`category_${cat}`) ? t(`category_${cat}`) : String(cat || "").replace(/_/g, " ").replace(/^./, (c) => c.toUpperCase());
@@ -0,0 +1,91 @@
+// assets/js/core/registry.js
+// Components keyed by the data attribute that marks their elements:
+//   register("data_modal", () => import("../components/modal.js").then((m) => m.mountModal));
+// A component's module is only loaded once an element with its attribute is on the page.
+// mount(el) returns { destroy() }, a promise of one, or null when there is nothing to undo.
+// Elements added later are mounted as they arrive; removed ones are destroyed.
+
+import { qsa } from "./dom.js";
+
+// attr -> () => Promise<mount>
+const components = new Map();
+
+// attr -> Promise<mount>, loaded once
+const loaded = new Map();
+
+// element -> Map(attr -> Promise<instance>)
+const mounted = new Map();
+
+let observer = null;
+
+export const register = (attr, load) => {
+  components.set(attr, load);
+};
+
+const loadComponent = (attr) => {
+  if (!loaded.has(attr)) loaded.set(attr, Promise.resolve().then(components.get(attr)));
+  return loaded.get(attr);
+};
+
+const mountOne = (el, attr) => {
+  if (!mounted.has(el)) mounted.set(el, new Map());
+  const instances = mounted.get(el);
+  if (instances.has(attr)) return instances.get(attr);
+
+  const instance = loadComponent(attr)
+    .then((mount) => mount(el))
+    .catch((err) => {
+      console.error(`[registry] Could not mount ${attr}.`, err);
+      return null;
+    });
+  instances.set(attr, instance);
+  return instance;
+};
+
+// root itself and everything under it, in document order
+const withAttr = (root, attr) => {
+  const found = qsa(`[${attr}]`, root);
+  return root.hasAttribute && root.hasAttribute(attr) ? [root].concat(found) : found;
+};
+
+// Resolves once every component under root has mounted
+export const mount = (root = document.body) =>
+  Promise.all(Array.from(components.keys()).flatMap((attr) => withAttr(root, attr).map((el) => mountOne(el, attr))));
+
+const destroyElement = (el) => {
+  const instances = mounted.get(el);
+  mounted.delete(el);
+  instances.forEach((instance, attr) => {
+    instance.then((inst) => {
+      if (inst && typeof inst.destroy === "function") inst.destroy();
+    }).catch((err) => console.error(`[registry] Could not destroy ${attr}.`, err));
+  });
+};
+
+// Destroys the components on root and everything under it
+export const destroy = (root = document.body) => {
+  Array.from(mounted.keys())
+    .filter((el) => el === root || root.contains(el))
+    .forEach(destroyElement);
+};
+
+// Nodes moved within the page are both removed and added; they keep their instance
+const onMutations = (records) => {
+  records.forEach((record) => {
+    record.removedNodes.forEach((node) => {
+      if (node.nodeType === 1 && !node.isConnected) destroy(node);
+    });
+    record.addedNodes.forEach((node) => {
+      if (node.nodeType === 1 && node.isConnected) mount(node);
+    });
+  });
+};
+
+// Mounts the page and starts watching for added and removed nodes
+export const start = () => {
+  if (!observer) {
+    observer = new MutationObserver(onMutations);
+    observer.observe(document.body, { childList: true, subtree: true });
+  }
+  return mount(document.body);
+};
@@ -0,0 +1,34 @@
+// assets/js/core/resume.js
+// Resume data (assets/data/resume.json), shared by the resume page and the timelines.
+
+import { fetchJson } from "./dom.js";
+import { locale, localized, t } from "./i18n.js";
+
+const RESUME_URL = "assets/data/resume.json";
+
+// Loaded once and shared (resume page and timelines)
+let resumePromise = null;
+
+export const loadResume = () => {
+  if (!resumePromise) {
+    resumePromise = fetchJson(RESUME_URL).then((data) => {
+      const resume = localized(data);
+      ["experience", "education", "skills", "involvement"].forEach((key) => {
+        if (Array.isArray(resume[key])) resume[key] = resume[key].map(localized);
+      });
+      return resume;
+    });
+  }
+  return resumePromise;
+};
+
+// "2024" stays, "2024-09" -> "Sep 2024" (in the page language), empty or "present" -> "Present", anything else as written
+export const formatResumeDate = (value) => {
+  if (!value || String(value).toLowerCase() === "present") return t("resume_present");
+  const m = String(value).match(/^(\d{4})-(\d{2})$/);
+  if (!m) return String(value);
+  return new Date(Number(m[1]), Number(m[2]) - 1, 1).toLocaleString(locale, { month: "short", year: "numeric" });
+};
+
+export const formatResumeRange = (start, end) =>
+  start ? t("resume_range", { start: formatResumeDate(start), end: formatResumeDate(end) }) : formatResumeDate(end);
@@ -0,0 +1,123 @@
+// assets/js/core/search.js
+// Token based, typo tolerant search. Used by the projects filters and the search palette.
+
+import { createEl } from "./dom.js";
+
+// Field weights: a hit in the title counts more than one in body text
+const SEARCH_WEIGHTS = { title: 3, tags: 2, body: 1 };
+
+// Lowercase, strip accents, split on anything that is not a letter or digit
+export const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// Levenshtein distance that gives up (returns max + 1) once it is past max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+};
+
+// Longer words tolerate more typos; short ones must be typed correctly
+const typoBudget = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+// 1 exact, 0.8 prefix (still typing), 0.5 within typo budget, 0 no match
+export const matchTerm = (term, word) => {
+  if (word === term) return 1;
+  if (word.startsWith(term)) return 0.8;
+  const budget = typoBudget(term);
+  if (budget && editDistance(term, word, budget) <= budget) return 0.5;
+  return 0;
+};
+
+// Plain words plus operators that map onto the filters:
+// skill:cad  year:2025  category:robotics (or cat:)  -robotics (exclude)
+export const parseSearch = (raw) => {
+  const query = { terms: [], skills: [], years: [], categories: [], exclude: [] };
+
+  String(raw || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((part) => {
+      const lower = part.toLowerCase();
+      const op = lower.match(/^(skill|year|category|cat):(.+)$/);
+
+      if (op) {
+        const [, key, val] = op;
+        if (key === "skill") query.skills.push(val);
+        else if (key === "year") query.years.push(val);
+        else query.categories.push(val);
+        return;
+      }
+
+      if (lower.length > 1 && lower.startsWith("-")) {
+        query.exclude.push(...tokenize(lower.slice(1)));
+        return;
+      }
+
+      query.terms.push(...tokenize(lower));
+    });
+
+  return query;
+};
+
+// fields: { title: [words], tags: [words], body: [words] }
+// Every term has to match somewhere; the best weighted hit per term is summed.
+export const scoreFields = (fields, terms) => {
+  let total = 0;
+
+  for (const term of terms) {
+    let best = 0;
+    Object.keys(SEARCH_WEIGHTS).forEach((field) => {
+      (fields[field] || []).forEach((word) => {
+        best = Math.max(best, matchTerm(term, word) * SEARCH_WEIGHTS[field]);
+      });
+    });
+    if (!best) return 0;
+    total += best;
+  }
+
+  return total;
+};
+
+// Rebuilds el from its original text, wrapping words that match a term in <mark>
+export const highlightTerms = (el, original, terms) => {
+  el.textContent = original;
+  if (!terms.length) return;
+
+  const frag = document.createDocumentFragment();
+  let hit = false;
+
+  // Capturing split keeps the separators so the text reads the same
+  original.split(/([^\p{L}\p{N}]+)/u).forEach((piece) => {
+    if (!piece) return;
+    const word = tokenize(piece)[0];
+    if (word && terms.some((t) => matchTerm(t, word) > 0)) {
+      frag.appendChild(createEl("mark", { className: "search_mark", text: piece }));
+      hit = true;
+    } else {
+      frag.appendChild(document.createTextNode(piece));
+    }
+  });
+
+  if (!hit) return;
+  el.textContent = "";
+  el.appendChild(frag);
+};
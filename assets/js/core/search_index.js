@@ -0,0 +1,105 @@
+// assets/js/core/search_index.js
+// Site search index for the search palette, built by scripts/build_search_index.js
+// from the pages and data files.
+
+import { createEl, fetchJson, qs } from "./dom.js";
+import { t } from "./i18n.js";
+import { scoreFields, tokenize } from "./search.js";
+
+const SEARCH_INDEX_URL = "assets/data/search_index.json";
+
+// Result groups, in display order; labels are message keys
+const SEARCH_GROUPS = [
+  { type: "project", label: "search_group_project" },
+  { type: "page", label: "search_group_page" },
+  { type: "image", label: "search_group_image" },
+  { type: "skill", label: "search_group_skill" },
+  { type: "resume", label: "search_group_resume" },
+];
+
+const SEARCH_GROUP_LIMIT = 5;
+const SNIPPET_LENGTH = 90;
+
+// Loaded on first open; entries get their tokens precomputed once
+let searchIndexPromise = null;
+
+export const loadSearchIndex = () => {
+  if (!searchIndexPromise) {
+    searchIndexPromise = fetchJson(SEARCH_INDEX_URL)
+      .then((data) =>
+        (data.entries || []).map((entry) => {
+          const text = String(entry.text || "");
+          return {
+            type: entry.type,
+            title: String(entry.title || ""),
+            url: entry.url,
+            snippet: text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH).replace(/\s+\S*$/, "")}...` : text,
+            fields: {
+              title: tokenize(entry.title),
+              tags: tokenize((entry.tags || []).join(" ")),
+              body: tokenize(text),
+            },
+          };
+        })
+      )
+      .catch((err) => {
+        // Allow a retry on the next open
+        searchIndexPromise = null;
+        throw err;
+      });
+  }
+  return searchIndexPromise;
+};
+
+// -> [{ type, label, entries }] with empty groups left out
+export const rankSearchEntries = (entries, terms) => {
+  if (!terms.length) return [];
+
+  const scored = entries
+    .map((entry) => ({ entry, score: scoreFields(entry.fields, terms) }))
+    .filter((r) => r.score > 0);
+
+  return SEARCH_GROUPS.map((group) => ({
+    type: group.type,
+    label: t(group.label),
+    entries: scored
+      .filter((r) => r.entry.type === group.type)
+      .sort((a, b) => b.score - a.score || a.entry.title.localeCompare(b.entry.title))
+      .slice(0, SEARCH_GROUP_LIMIT)
+      .map((r) => r.entry),
+  })).filter((group) => group.entries.length);
+};
+
+// One palette per page, shared by the header button and the shortcuts
+export const renderSearchPalette = () => {
+  if (qs('.modal[data_modal="search"]')) return;
+
+  document.body.appendChild(
+    createEl("div", { className: "modal search_palette", role: "dialog", "aria-modal": "true", "aria-hidden": "true", "aria-label": t("search_label"), data_modal: "search" }, [
+      createEl("div", { className: "modal_overlay", data_modal_close: true, tabindex: "-1" }),
+      createEl("div", { className: "modal_panel", role: "document" }, [
+        createEl("div", { className: "modal_header" }, [
+          createEl("input", {
+            className: "input palette_input",
+            type: "search",
+            role: "combobox",
+            "aria-label": t("search_label"),
+            "aria-expanded": "true",
+            "aria-controls": "search_palette_results",
+            "aria-autocomplete": "list",
+            autocomplete: "off",
+            spellcheck: "false",
+            placeholder: t("search_placeholder"),
+            data_search_input: true,
+          }),
+          createEl("button", { className: "icon_button", type: "button", data_modal_close: true, "aria-label": t("search_close"), text: "Esc" }),
+        ]),
+        createEl("div", { className: "palette_body" }, [
+          createEl("p", { className: "palette_empty", role: "status", data_search_empty: true }),
+          createEl("div", { className: "palette_results", id: "search_palette_results", role: "listbox", "aria-label": t("search_results"), data_search_results: true }),
+        ]),
+        createEl("p", { className: "palette_hint", text: t("search_hint") }),
+      ]),
+    ])
+  );
+};
@@ -0,0 +1,202 @@
+// assets/js/core/site.js
+// Site identity (assets/data/site.json): shared header, footer, name, email, links,
+// and page titles.
+
+import { createEl, currentPage, fetchJson, fillTemplate, qs, qsa, setMeta } from "./dom.js";
+import { locale, localized, t } from "./i18n.js";
+import { absoluteUrl, applySocialMeta, breadcrumbSchema, breadcrumbTrail, personSchema, setJsonLd } from "./meta.js";
+
+const SITE_URL = "assets/data/site.json";
+
+// Loaded once and shared; resolves to null when the file is missing
+let sitePromise = null;
+
+export const loadSite = () => {
+  if (!sitePromise) {
+    sitePromise = fetchJson(SITE_URL).catch((err) => {
+      console.warn("[site] Using page defaults.", err);
+      return null;
+    });
+  }
+  return sitePromise;
+};
+
+const localizeSite = (site) => ({
+  ...localized(site),
+  nav: (site.nav || []).map(localized),
+  pages: (site.pages || []).map(localized),
+  metrics: (site.metrics || []).map(localized),
+});
+
+// Called once the language is known; everything after this sees the translated site.json
+export const useLocalizedSite = () => {
+  sitePromise = loadSite().then((site) => site && localizeSite(site));
+  return sitePromise;
+};
+
+const renderSiteHeader = (header, site, page) => {
+  const links = createEl("div", { className: "nav_links", id: "nav_links" });
+
+  (site.nav || []).forEach((item) => {
+    const [path, hash] = String(item.href || "").split("#");
+    const onPage = (path || "index.html") === page;
+    // Anchors on the current page stay plain #id so scrollspy can track them
+    const sameAnchor = onPage && !!hash;
+    // "match" lists other pages that belong to this entry (project.html -> Projects)
+    const current = (!hash && path === page) || (item.match || []).includes(page);
+
+    links.appendChild(
+      createEl("a", {
+        className: "nav_link",
+        href: sameAnchor ? `#${hash}` : item.href,
+        data_scrollspy: sameAnchor,
+        "aria-current": current ? "page" : null,
+        text: item.label,
+      })
+    );
+  });
+
+  links.appendChild(
+    createEl("div", { className: "nav_controls" }, [
+      createEl("button", {
+        className: "icon_button",
+        type: "button",
+        data_search_open: true,
+        "aria-label": t("nav_search_label"),
+        "aria-keyshortcuts": "Control+K Meta+K /",
+        text: t("nav_search"),
+      }),
+      createEl("button", {
+        className: "icon_button",
+        type: "button",
+        data_theme_toggle: true,
+        "aria-label": t("nav_theme_label"),
+        text: t("pref_theme"),
+      }),
+      createEl("button", {
+        className: "icon_button",
+        type: "button",
+        data_motion_toggle: true,
+        "aria-label": t("nav_motion_label"),
+        text: t("pref_motion"),
+      }),
+      createEl("div", { className: "appearance" }, [
+        createEl("button", {
+          className: "icon_button",
+          type: "button",
+          data_appearance_toggle: true,
+          "aria-expanded": "false",
+          "aria-controls": "appearance_panel",
+          text: t("nav_appearance"),
+        }),
+        createEl("div", {
+          className: "appearance_panel",
+          id: "appearance_panel",
+          role: "group",
+          "aria-label": t("nav_appearance_label"),
+          hidden: true,
+        }),
+      ]),
+      languageSelect(site),
+    ])
+  );
+
+  const nav = createEl("nav", { className: "nav", "aria-label": t("nav_primary") }, [
+    createEl("div", { className: "nav_left" }, [createEl("a", { className: "nav_brand", href: "index.html", text: site.name })]),
+    createEl("button", {
+      className: "nav_toggle",
+      type: "button",
+      "aria-expanded": "false",
+      "aria-controls": "nav_links",
+      data_nav_toggle: true,
+      text: t("nav_menu"),
+    }),
+    links,
+  ]);
+
+  header.textContent = "";
+  header.appendChild(nav);
+};
+
+// Only with more than one entry in "locales"; options are labelled in their own language
+const languageSelect = (site) => {
+  const locales = (site.locales || []).filter((l) => l.code);
+  if (locales.length < 2) return null;
+
+  return createEl(
+    "select",
+    { className: "lang_select", "aria-label": t("nav_language_label"), data_lang_select: true },
+    locales.map((l) => createEl("option", { value: l.code, lang: l.code, selected: l.code === locale, text: l.label || l.code }))
+  );
+};
+
+const socialLinks = (site) =>
+  (site.social || []).map((link) =>
+    createEl("a", { className: "text_link", href: link.url, target: "_blank", rel: "noreferrer", text: link.label })
+  );
+
+const renderSiteFooter = (footer, site) => {
+  const copyright = createEl("p", { className: "muted" }, [createEl("span", { id: "footer_year", data_footer_year: true })]);
+  copyright.insertBefore(document.createTextNode("© "), copyright.firstChild);
+  copyright.appendChild(document.createTextNode(` ${site.name}`));
+
+  footer.textContent = "";
+  footer.appendChild(
+    createEl("div", { className: "container footer_inner" }, [
+      copyright,
+      createEl("div", { className: "footer_right" }, [
+        site.email ? createEl("a", { className: "text_link", href: `mailto:${site.email}`, text: t("ui_email") }) : null,
+        ...socialLinks(site),
+      ]),
+    ])
+  );
+};
+
+// Name / email / links used inside page content
+const applySiteIdentity = (site, page) => {
+  qsa("[data_site_name]").forEach((el) => {
+    el.textContent = site.name;
+  });
+
+  if (site.email) {
+    qsa("[data_site_email]").forEach((el) => {
+      if (el.tagName === "A") el.href = `mailto:${site.email}`;
+      el.textContent = site.email;
+    });
+  }
+
+  qsa("[data_site_social]").forEach((list) => {
+    list.textContent = "";
+    socialLinks(site).forEach((a) => list.appendChild(createEl("li", {}, [a])));
+  });
+
+  const entry = (site.pages || []).find((p) => p.path === page);
+  if (!entry) return;
+
+  document.title = `${site.name} | ${entry.title}`;
+  const description = fillTemplate(entry.description, site);
+  if (entry.description) setMeta("name", "description", description);
+
+  setJsonLd("person", personSchema(site));
+  setJsonLd("breadcrumb", breadcrumbSchema(site, breadcrumbTrail(site, page, entry.title)));
+  applySocialMeta(site, {
+    title: document.title,
+    description,
+    image: entry.image || site.image,
+    url: absoluteUrl(page, site),
+    type: page === "index.html" ? "profile" : "website",
+  });
+};
+
+export const initSiteChrome = () =>
+  loadSite().then((site) => {
+    if (!site) return;
+    const page = currentPage();
+
+    const header = qs("[data_site_header]");
+    const footer = qs("[data_site_footer]");
+    if (header) renderSiteHeader(header, site, page);
+    if (footer) renderSiteFooter(footer, site);
+
+    applySiteIdentity(site, page);
+  });
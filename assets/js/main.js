@@ -0,0 +1,115 @@
+// assets/js/main.js
+// Entry point (<script type="module">). Shared setup runs here; everything tied to an
+// element lives in assets/js/components/ and is registered below by the data attribute
+// that marks it, so a page only loads the components it uses.
+
+import { initAnalytics } from "./core/analytics.js";
+import { qsa, revealHashTarget } from "./core/dom.js";
+import { initI18n } from "./core/i18n.js";
+import { initResponsiveImages, loadImageManifest } from "./core/images.js";
+import { initModalRoutes, openFromHash } from "./core/modal.js";
+import { initServiceWorker } from "./core/offline.js";
+import { initThemeAndMotion } from "./core/prefs.js";
+import { register, start } from "./core/registry.js";
+import { renderSearchPalette } from "./core/search_index.js";
+import { initSiteChrome, loadSite, useLocalizedSite } from "./core/site.js";
+
+/* ===========================
+   Components
+   =========================== */
+
+// Loads a component module on first use and picks its mount function
+const component = (path, name) => () => import(path).then((m) => m[name]);
+
+const COMPONENTS = {
+  // Header and footer
+  data_nav_toggle: component("./components/site_chrome.js", "mountNav"),
+  data_scroll_progress: component("./components/site_chrome.js", "mountScrollProgress"),
+  data_footer_year: component("./components/site_chrome.js", "mountFooterYear"),
+  data_lang_select: component("./components/site_chrome.js", "mountLanguageSelect"),
+  data_theme_toggle: component("./components/appearance.js", "mountThemeToggle"),
+  data_motion_toggle: component("./components/appearance.js", "mountMotionToggle"),
+  data_appearance_toggle: component("./components/appearance.js", "mountAppearancePanel"),
+
+  // Scroll effects
+  data_animate: component("./components/scroll_effects.js", "mountAnimate"),
+  data_countup: component("./components/scroll_effects.js", "mountCountUp"),
+  data_scrollspy: component("./components/scroll_effects.js", "mountScrollSpy"),
+
+  // Content from the data files
+  data_projects_container: component("./components/projects.js", "mountFeatured"),
+  data_projects_grid: component("./components/projects.js", "mountGrid"),
+  data_project_detail: component("./components/projects.js", "mountDetail"),
+  data_skills_matrix: component("./components/skills_matrix.js", "mountSkillsMatrix"),
+  data_resume: component("./components/resume.js", "mountResume"),
+  data_timeline: component("./components/timeline.js", "mountTimeline"),
+  data_gallery: component("./components/gallery.js", "mountGallery"),
+  data_metrics: component("./components/metrics.js", "mountMetrics"),
+  data_chart: component("./components/charts.js", "mountChart"),
+  data_involvement: component("./components/involvement.js", "mountInvolvement"),
+
+  // Modals and what opens them
+  data_modal: component("./components/modal.js", "mountModal"),
+  data_image_open: component("./components/modal_triggers.js", "mountImageTrigger"),
+  data_project_quickview: component("./components/modal_triggers.js", "mountQuickView"),
+  data_search_open: component("./components/modal_triggers.js", "mountSearchTrigger"),
+
+  data_gallery_filter: component("./components/gallery_filters.js", "mountGalleryFilter"),
+  data_contact_form: component("./components/contact_form.js", "mountContactForm"),
+  data_admin: component("./components/admin.js", "mountAdmin"),
+};
+
+Object.entries(COMPONENTS).forEach(([attr, load]) => register(attr, load));
+
+/* ===========================
+   Print
+   Closed <details> do not print their content, so open them for the printout.
+   =========================== */
+
+const initPrintSupport = () => {
+  let opened = [];
+
+  window.addEventListener("beforeprint", () => {
+    opened = qsa("details:not([open])");
+    opened.forEach((d) => d.setAttribute("open", ""));
+  });
+
+  window.addEventListener("afterprint", () => {
+    opened.forEach((d) => d.removeAttribute("open"));
+    opened = [];
+  });
+};
+
+/* ===========================
+   Init
+   =========================== */
+
+const init = () => {
+  initThemeAndMotion();
+  initServiceWorker();
+  initAnalytics();
+
+  // Everything below renders text, so the language comes first
+  loadSite()
+    .then(initI18n)
+    .then(useLocalizedSite)
+    .then(() => {
+      initPrintSupport();
+      initModalRoutes();
+      renderSearchPalette();
+
+      revealHashTarget();
+      window.addEventListener("hashchange", revealHashTarget);
+
+      // Components mount once the shared header they live in is rendered
+      return initSiteChrome().catch((err) => console.warn("[site] Could not render header/footer.", err));
+    })
+    .then(() => Promise.all([start(), loadImageManifest()]))
+    .then(() => {
+      initResponsiveImages();
+      openFromHash();
+    });
+};
+
+// Modules run after parsing, like defer
+init();
@@ -0,0 +1,36 @@
+// assets/js/prefs.js
+// Loaded in <head> without defer so saved appearance settings apply before first paint.
+// NOTE: Mirrors readPrefs/applyPrefs in core/prefs.js. Keep the key and attributes in sync.
+
+(() => {
+  "use strict";
+
+  const media = (query) => window.matchMedia && window.matchMedia(query).matches;
+
+  let prefs = {};
+  try {
+    prefs = JSON.parse(localStorage.getItem("site_prefs") || "{}") || {};
+    // Settings saved before the appearance panel existed
+    if (!prefs.theme) prefs.theme = localStorage.getItem("site_theme");
+    if (!prefs.motion) prefs.motion = localStorage.getItem("site_motion");
+  } catch (err) {
+    prefs = {};
+  }
+
+  const root = document.documentElement;
+  const theme = prefs.theme === "light" || prefs.theme === "dark" ? prefs.theme : media("(prefers-color-scheme: dark)") ? "dark" : "light";
+  const motion = prefs.motion === "reduced" || prefs.motion === "full" ? prefs.motion : media("(prefers-reduced-motion: reduce)") ? "reduced" : "full";
+  const contrast = prefs.contrast === "high" || prefs.contrast === "standard" ? prefs.contrast : media("(prefers-contrast: more)") ? "high" : "standard";
+
+  root.setAttribute("data_theme", theme);
+  root.setAttribute("data_motion", motion);
+  root.setAttribute("data_contrast", contrast);
+  if (prefs.accent) root.setAttribute("data_accent", prefs.accent);
+  if (Number(prefs.fontScale) > 0) root.style.setProperty("--font_scale", String(prefs.fontScale));
+
+  // Saved language; main.js checks it against site.json and loads the messages
+  if (typeof prefs.lang === "string" && /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(prefs.lang)) {
+    root.setAttribute("lang", prefs.lang);
+    root.setAttribute("dir", ["ar", "fa", "he", "ur"].includes(prefs.lang.split("-")[0].toLowerCase()) ? "rtl" : "ltr");
+  }
+})();
@@ -0,0 +1,113 @@
+// scripts/analytics_receiver.js
+// Tiny local endpoint for testing the "beacon" analytics sink. Prints each event and
+// keeps counts in memory; nothing is written to disk and no addresses are logged.
+//   node scripts/analytics_receiver.js            (listens on http://localhost:8787)
+//   PORT=9000 node scripts/analytics_receiver.js
+// Then set "analytics": { "sink": "beacon", "endpoint": "http://localhost:8787/collect" }
+// in assets/data/site.json. GET http://localhost:8787/ shows the counts.
+
+"use strict";
+
+const http = require("http");
+
+const PORT = Number(process.env.PORT) || 8787;
+
+// Beacons are small; anything bigger is not from the site
+const MAX_BODY = 64 * 1024;
+
+/* ===========================
+   State
+   =========================== */
+
+const counts = {};
+let received = 0;
+
+/* ===========================
+   Helpers
+   =========================== */
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    // The site usually runs on another port
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(body === undefined ? "" : `${JSON.stringify(body, null, 2)}\n`);
+};
+
+const isEvent = (event) => event && typeof event === "object" && typeof event.name === "string" && event.name.length <= 64;
+
+// "time" is ms since 1970 from the page; anything a Date cannot hold is logged with the arrival time
+const MAX_TIME = 8.64e15;
+const eventTime = (event) => {
+  const time = Number(event.time);
+  return Number.isFinite(time) && Math.abs(time) <= MAX_TIME ? time : Date.now();
+};
+
+// Event name + page, e.g. "project_open projects.html"
+const countKey = (event) => [event.name, event.page].filter((part) => typeof part === "string").join(" ");
+
+const collect = (req, res) => {
+  let body = "";
+  let tooLarge = false;
+
+  req.setEncoding("utf8");
+  req.on("data", (chunk) => {
+    if (tooLarge) return;
+    body += chunk;
+    if (body.length > MAX_BODY) {
+      tooLarge = true;
+      body = "";
+      // Answer, then drop the connection instead of reading the rest
+      res.setHeader("Connection", "close");
+      res.on("finish", () => req.destroy());
+      send(res, 413, { error: `Body over ${MAX_BODY} bytes` });
+    }
+  });
+
+  req.on("end", () => {
+    if (tooLarge) return;
+
+    let events;
+    try {
+      events = JSON.parse(body).events;
+    } catch (err) {
+      send(res, 400, { error: "Body must be JSON: { \"events\": [...] }" });
+      return;
+    }
+    if (!Array.isArray(events)) {
+      send(res, 400, { error: "Missing events array" });
+      return;
+    }
+
+    const valid = events.filter(isEvent);
+    valid.forEach((event) => {
+      const key = countKey(event);
+      counts[key] = (counts[key] || 0) + 1;
+      console.log(new Date(eventTime(event)).toISOString(), JSON.stringify(event));
+    });
+    received += valid.length;
+
+    send(res, 204);
+  });
+};
+
+/* ===========================
+   Server
+   =========================== */
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (req.method === "POST" && pathname === "/collect") return collect(req, res);
+  if (req.method === "GET" && pathname === "/") return send(res, 200, { received, counts });
+
+  return send(res, 404, { error: "Not found" });
+});
+
+server.listen(PORT, () => {
+  console.log(`Analytics receiver on http://localhost:${PORT} (POST /collect, GET / for counts)`);
+});
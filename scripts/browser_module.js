@@ -0,0 +1,35 @@
+// scripts/browser_module.js
+// Loads a module from assets/js/ into the build scripts, so they share the pages' code instead
+// of keeping copies of it. The module (and what it imports) is bundled to CommonJS on first use.
+// Only for modules that do not touch the DOM when they load.
+
+"use strict";
+
+const path = require("path");
+const vm = require("vm");
+const esbuild = require("esbuild");
+
+const JS_DIR = path.join(__dirname, "../assets/js");
+
+const loaded = new Map();
+
+// file: relative to assets/js ("core/markdown.js") -> its exports
+const requireBrowserModule = (file) => {
+  if (!loaded.has(file)) {
+    const entry = path.join(JS_DIR, file);
+    const { outputFiles } = esbuild.buildSync({
+      entryPoints: [entry],
+      bundle: true,
+      format: "cjs",
+      platform: "neutral",
+      write: false,
+      logLevel: "silent",
+    });
+    const module = { exports: {} };
+    vm.runInThisContext(`(function (module, exports) {\n${outputFiles[0].text}\n})`, { filename: entry })(module, module.exports);
+    loaded.set(file, module.exports);
+  }
+  return loaded.get(file);
+};
+
+module.exports = { requireBrowserModule };
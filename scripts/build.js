@@ -0,0 +1,300 @@
+// scripts/build.js
+// Builds the deployable site into dist/:
+//   - copies the pages and assets/, leaving out the local content editor (admin.html)
+//   - prerenders every indexable page with its data (scripts/page_runtime.js), plus one static
+//     page per project (project_<slug>.html) and per involvement file (involvement_<slug>.html);
+//     links to project.html?id=<slug> and involvement.html?id=<slug> point at them
+//   - minifies the JS and CSS, content hashes main.js and main.css and rewrites their references
+//   - gives sw.js a VERSION that changes with the output, so visitors get the update toast
+// Then checks the output: broken internal links, missing images and leftover "NOTE:"
+// placeholders are errors (warnings with draft: true).
+// Used by scripts/site.js (npm run build / npm run check). Needs node --experimental-vm-modules.
+
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const esbuild = require("esbuild");
+const { requireBrowserModule } = require("./browser_module");
+const { checkSite } = require("./check_links");
+const { involvementPages } = require("./content");
+const { openPage } = require("./page_runtime");
+
+const ROOT = path.resolve(__dirname, "..");
+
+// Root files that ship; everything else at the root (README, package.json, ...) stays behind
+const SITE_FILES = /\.(html|js|xml|txt|webmanifest|ico)$/i;
+
+// The content editor (README "Content editor") runs locally and never ships
+const LOCAL_ONLY = new Set(["admin.html", "assets/js/components/admin.js"]);
+
+const MAIN_JS = "assets/js/main.js";
+const MAIN_CSS = "assets/css/main.css";
+
+// One page per item, rendered from the template by setting its slug attribute
+const TEMPLATES = [
+  {
+    page: "project.html",
+    attribute: "data_project_detail",
+    // The slugs the pages link to: "slug", else the title slugified (normalizeProject)
+    slugs: (root) => {
+      const { normalizeProject } = requireBrowserModule("core/projects.js");
+      const data = JSON.parse(fs.readFileSync(path.join(root, "assets/data/projects.json"), "utf8"));
+      return (Array.isArray(data) ? data : data.projects || []).map((project) => normalizeProject(project).slug).filter(Boolean);
+    },
+  },
+  {
+    page: "involvement.html",
+    attribute: "data_involvement",
+    slugs: (root) => involvementPages(root).map((page) => page.slug),
+  },
+];
+
+/* ===========================
+   Helpers
+   =========================== */
+
+const read = (file) => fs.readFileSync(file, "utf8");
+
+const hash = (text, length = 10) => crypto.createHash("sha256").update(text).digest("hex").slice(0, length);
+
+const isNoindex = (html) => /<meta\s+name="robots"\s+content="[^"]*noindex/i.test(html);
+
+const lineAt = (text, index) => text.slice(0, index).split("\n").length;
+
+// Every file under dir, as paths relative to it with forward slashes
+const listFiles = (dir, base = dir) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(full, base);
+    return [path.relative(base, full).split(path.sep).join("/")];
+  });
+
+const staticName = (page, slug) => `${page.replace(/\.html$/, "")}_${slug}.html`;
+
+/* ===========================
+   Prerendering
+   =========================== */
+
+// Leaves the markup the page would have before any script ran, plus the rendered content.
+// Anything tied to this visit (appearance attributes, the search palette, toasts, scroll
+// reveal state, lazy image loading) is taken back out; main.js redoes it in the browser.
+const cleanUp = (document, htmlAttributes) => {
+  const html = document.documentElement;
+  Array.from(html.attributes).forEach((attr) => html.removeAttribute(attr.name));
+  htmlAttributes.forEach(([name, value]) => html.setAttribute(name, value));
+
+  document.querySelectorAll(".search_palette, .toast").forEach((el) => el.remove());
+  document.querySelectorAll(".in_view").forEach((el) => el.classList.remove("in_view"));
+  document.querySelectorAll(".is_placeholder").forEach((el) => {
+    el.classList.remove("is_placeholder");
+    el.style.removeProperty("background-image");
+  });
+  document.querySelectorAll('[class=""]').forEach((el) => el.removeAttribute("class"));
+  document.querySelectorAll('[style=""]').forEach((el) => el.removeAttribute("style"));
+
+  const walker = document.createTreeWalker(document, document.defaultView.NodeFilter.SHOW_COMMENT);
+  const comments = [];
+  while (walker.nextNode()) comments.push(walker.currentNode);
+  comments.forEach((node) => node.remove());
+};
+
+// Resolves to { html, errors } for `page` in root, loaded at url
+const prerender = async (root, page, { url, before } = {}) => {
+  let htmlAttributes = [];
+  const result = await openPage(root, page, {
+    url,
+    // Count ups land on their final value at once
+    prefs: { motion: "reduced" },
+    before: (window) => {
+      const html = window.document.documentElement;
+      htmlAttributes = Array.from(html.attributes).map((attr) => [attr.name, attr.value]);
+      // Analytics stays off while prerendering
+      Object.defineProperty(window.navigator, "globalPrivacyControl", { value: true });
+      if (before) before(window);
+    },
+  });
+
+  const { document, window } = result;
+  document.querySelectorAll("[data_countup]").forEach((el) => window.__intersect(el));
+  await result.settle();
+
+  cleanUp(document, htmlAttributes);
+  const html = result.dom.serialize();
+  window.close();
+  return { html, errors: result.errors.map((err) => `${page}: ${err}`) };
+};
+
+/* ===========================
+   Steps
+   =========================== */
+
+const copySite = (root, out) => {
+  fs.readdirSync(root, { withFileTypes: true })
+    .filter((entry) => entry.isFile() && SITE_FILES.test(entry.name) && !LOCAL_ONLY.has(entry.name))
+    .forEach((entry) => fs.copyFileSync(path.join(root, entry.name), path.join(out, entry.name)));
+  fs.cpSync(path.join(root, "assets"), path.join(out, "assets"), {
+    recursive: true,
+    filter: (file) => !LOCAL_ONLY.has(path.relative(root, file).split(path.sep).join("/")),
+  });
+
+  // site.json lists the editor's page for its title; the shipped copy does not
+  const siteFile = path.join(out, "assets/data/site.json");
+  if (fs.existsSync(siteFile)) {
+    const site = JSON.parse(read(siteFile));
+    if (Array.isArray(site.pages)) {
+      site.pages = site.pages.filter((page) => !LOCAL_ONLY.has(page.path));
+      fs.writeFileSync(siteFile, `${JSON.stringify(site, null, 2)}\n`);
+    }
+  }
+};
+
+// Resolves to { built: [file], errors }
+const prerenderSite = async (root, out, log) => {
+  const built = [];
+  const errors = [];
+  const templates = new Set(TEMPLATES.map((template) => template.page));
+
+  const write = async (file, page, options) => {
+    log(`  prerender ${file}`);
+    const result = await prerender(root, page, options);
+    fs.writeFileSync(path.join(out, file), result.html);
+    errors.push(...result.errors);
+    built.push(file);
+  };
+
+  const pages = fs
+    .readdirSync(root)
+    .filter((file) => /\.html$/i.test(file) && !templates.has(file) && !isNoindex(read(path.join(root, file))))
+    .sort();
+  for (const page of pages) await write(page, page);
+
+  for (const template of TEMPLATES) {
+    for (const slug of template.slugs(root)) {
+      await write(staticName(template.page, slug), template.page, {
+        url: `http://localhost/${template.page}?id=${encodeURIComponent(slug)}`,
+        // Kept in the output so the page shows the same item when main.js runs again
+        before: (window) => {
+          const el = window.document.querySelector(`[${template.attribute}]`);
+          if (el) el.setAttribute(template.attribute, slug);
+        },
+      });
+    }
+  }
+
+  return { built, errors };
+};
+
+// project.html?id=<slug> -> project_<slug>.html, for the pages that were built
+const rewriteItemLinks = (out, built) => {
+  const files = new Set(built);
+  const pattern = new RegExp(`\\b(${TEMPLATES.map((t) => t.page.replace(/\.html$/, "")).join("|")})\\.html\\?id=([\\w-]+)`, "g");
+
+  listFiles(out)
+    .filter((file) => /\.(html|xml)$/i.test(file))
+    .forEach((file) => {
+      const full = path.join(out, file);
+      const text = read(full);
+      const next = text.replace(pattern, (m, page, slug) => (files.has(staticName(`${page}.html`, slug)) ? staticName(`${page}.html`, slug) : m));
+      if (next !== text) fs.writeFileSync(full, next);
+    });
+};
+
+const minifyAssets = (out) => {
+  listFiles(path.join(out, "assets"))
+    .filter((file) => /\.(js|css)$/i.test(file))
+    .forEach((file) => {
+      const full = path.join(out, "assets", file);
+      const loader = file.endsWith(".css") ? "css" : "js";
+      fs.writeFileSync(full, esbuild.transformSync(read(full), { loader, minify: true, legalComments: "none" }).code);
+    });
+};
+
+// main.js -> main.<hash>.js (same for main.css); returns { "assets/js/main.js": "assets/js/main.<hash>.js", ... }
+const hashEntryPoints = (out) => {
+  const renamed = {};
+  [MAIN_JS, MAIN_CSS].forEach((file) => {
+    const full = path.join(out, file);
+    const ext = path.extname(file);
+    const next = `${file.slice(0, -ext.length)}.${hash(read(full))}${ext}`;
+    fs.renameSync(full, path.join(out, next));
+    renamed[file] = next;
+  });
+
+  const files = listFiles(out).filter((file) => /\.html$/i.test(file) || file === "sw.js");
+  files.forEach((file) => {
+    const full = path.join(out, file);
+    const text = read(full);
+    const next = Object.entries(renamed).reduce((acc, [from, to]) => acc.split(from).join(to), text);
+    if (next !== text) fs.writeFileSync(full, next);
+  });
+  return renamed;
+};
+
+// The cache name follows the output, so any change reaches returning visitors
+const versionServiceWorker = (out) => {
+  const swPath = path.join(out, "sw.js");
+  if (!fs.existsSync(swPath)) return;
+
+  const digest = crypto.createHash("sha256");
+  listFiles(out)
+    .filter((file) => file !== "sw.js")
+    .sort()
+    .forEach((file) => digest.update(file).update(fs.readFileSync(path.join(out, file))));
+
+  const sw = read(swPath).replace(/const VERSION = "([^"]*)"/, (m, version) => `const VERSION = "${version}-${digest.digest("hex").slice(0, 8)}"`);
+  fs.writeFileSync(swPath, esbuild.transformSync(sw, { loader: "js", minify: true, legalComments: "none" }).code);
+};
+
+// "NOTE:" marks text still to be written. Comments in the HTML are for editors and are skipped.
+const findPlaceholders = (out) =>
+  listFiles(out)
+    .filter((file) => /\.(html|json|md|xml)$/i.test(file))
+    .flatMap((file) => {
+      let text = read(path.join(out, file));
+      if (/\.html$/i.test(file)) text = text.replace(/<!--[\s\S]*?-->/g, (c) => c.replace(/[^\n]/g, " "));
+      const lines = new Set([...text.matchAll(/NOTE:/g)].map((m) => lineAt(text, m.index)));
+      return Array.from(lines, (line) => `${file}:${line}: "NOTE:" placeholder`);
+    });
+
+/* ===========================
+   Build
+   =========================== */
+
+/**
+ * Builds root into out (emptied first).
+ * options: draft (placeholders and missing images warn instead of failing), log (line) => {}
+ * Resolves to { errors, warnings, files } where files lists the output, relative to out.
+ */
+const buildSite = async ({ root = ROOT, out = path.join(ROOT, "dist"), draft = false, log = () => {} } = {}) => {
+  const outDir = path.resolve(out);
+  if (outDir === path.resolve(root) || path.resolve(root).startsWith(`${outDir}${path.sep}`)) {
+    throw new Error(`Refusing to build into ${outDir}: it holds the source`);
+  }
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+
+  log("copy");
+  copySite(root, outDir);
+
+  log("prerender");
+  const { built, errors } = await prerenderSite(root, outDir, log);
+  rewriteItemLinks(outDir, built);
+
+  log("minify and hash");
+  minifyAssets(outDir);
+  hashEntryPoints(outDir);
+  versionServiceWorker(outDir);
+
+  log("check");
+  const warnings = [];
+  const links = checkSite(outDir, { strict: !draft });
+  errors.push(...links.errors);
+  warnings.push(...links.warnings);
+  (draft ? warnings : errors).push(...findPlaceholders(outDir));
+
+  return { errors, warnings, files: listFiles(outDir).sort() };
+};
+
+module.exports = { buildSite };
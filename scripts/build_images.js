@@ -0,0 +1,161 @@
+// scripts/build_images.js
+// Makes responsive variants of everything in assets/images and writes the manifest
+// main.js reads (assets/data/images.json):
+//   - widths in WIDTHS (never wider than the original)
+//   - AVIF and WebP at each width, plus the original format as the fallback
+//   - a tiny blurred WebP placeholder, inlined as a data URI
+//
+// Needs sharp, an optional dependency in package.json (npm install skips it on platforms it
+// has no build for):
+//   npm install
+//   npm run images
+//
+// Unchanged images are skipped; pass --force to rebuild everything.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+let sharp;
+try {
+  sharp = require("sharp");
+} catch (err) {
+  // Not installed, or installed without the native build for this platform
+  const missing = err.code === "MODULE_NOT_FOUND" && /'sharp'/.test(err.message);
+  console.error(
+    missing
+      ? "scripts/build_images.js needs sharp, which is not installed. Run npm install (it is an optional dependency), then try again."
+      : `scripts/build_images.js could not load sharp:\n${err.message}`
+  );
+  process.exit(1);
+}
+
+const ROOT = path.resolve(__dirname, "..");
+const SRC_DIR = path.join(ROOT, "assets/images");
+const OUT_DIR = path.join(SRC_DIR, "generated");
+const MANIFEST = path.join(ROOT, "assets/data/images.json");
+
+/* ===========================
+   Config
+   =========================== */
+
+const WIDTHS = [480, 960, 1600];
+
+const QUALITY = { avif: 50, webp: 72, jpeg: 78, png: 80 };
+
+// Placeholder width in px; it is scaled up and blurred, so tiny is fine
+const PLACEHOLDER_WIDTH = 24;
+
+const FORCE = process.argv.includes("--force");
+
+/* ===========================
+   Helpers
+   =========================== */
+
+// Site relative path with forward slashes, the same as src="" in the HTML
+const sitePath = (file) => path.relative(ROOT, file).split(path.sep).join("/");
+
+const listImages = (dir) => {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return full === OUT_DIR ? [] : listImages(full);
+    return /\.(jpe?g|png)$/i.test(entry.name) ? [full] : [];
+  });
+};
+
+const isFresh = (out, src) => !FORCE && fs.existsSync(out) && fs.statSync(out).mtimeMs >= fs.statSync(src).mtimeMs;
+
+const readManifest = () => {
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST, "utf8")).images || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+/* ===========================
+   Build
+   =========================== */
+
+const buildImage = async (file, previous) => {
+  const meta = await sharp(file).metadata();
+  const fallbackFormat = meta.format === "png" ? "png" : "jpeg";
+  const fallbackExt = fallbackFormat === "png" ? "png" : "jpg";
+
+  // Steps below the original width, plus the original itself when it is under the top step
+  const widths = WIDTHS.filter((w) => w < meta.width);
+  if (!widths.length || meta.width <= WIDTHS[WIDTHS.length - 1]) widths.push(meta.width);
+
+  const rel = path.relative(SRC_DIR, file);
+  const base = path.join(OUT_DIR, path.dirname(rel), path.basename(rel, path.extname(rel)));
+  fs.mkdirSync(path.dirname(base), { recursive: true });
+
+  // Checked before writing anything, since writing makes every output look fresh
+  const unchanged = isFresh(`${base}-${widths[0]}.webp`, file);
+
+  const sources = { avif: [], webp: [], fallback: [] };
+  const formats = [
+    ["avif", "avif", "avif"],
+    ["webp", "webp", "webp"],
+    ["fallback", fallbackFormat, fallbackExt],
+  ];
+
+  for (const width of widths) {
+    for (const [key, format, ext] of formats) {
+      const out = `${base}-${width}.${ext}`;
+      if (!isFresh(out, file)) {
+        await sharp(file)
+          .rotate()
+          .resize({ width, withoutEnlargement: true })
+          .toFormat(format, { quality: QUALITY[format] })
+          .toFile(out);
+      }
+      sources[key].push({ src: sitePath(out), width });
+    }
+  }
+
+  // Reuse the old placeholder when the source has not changed
+  const placeholder =
+    unchanged && previous && previous.placeholder
+      ? previous.placeholder
+      : `data:image/webp;base64,${(
+          await sharp(file).rotate().resize({ width: PLACEHOLDER_WIDTH }).blur(2).webp({ quality: 40 }).toBuffer()
+        ).toString("base64")}`;
+
+  // EXIF orientation 5-8 swaps the axes after rotate()
+  const swapped = meta.orientation >= 5;
+  return {
+    width: swapped ? meta.height : meta.width,
+    height: swapped ? meta.width : meta.height,
+    placeholder,
+    sources,
+  };
+};
+
+const build = async () => {
+  const files = listImages(SRC_DIR).sort();
+  if (!files.length) console.warn(`No images found in ${sitePath(SRC_DIR)}; writing an empty manifest.`);
+
+  const previous = readManifest();
+  const images = {};
+
+  for (const file of files) {
+    const key = sitePath(file);
+    try {
+      images[key] = await buildImage(file, previous[key]);
+      console.log(`ok   ${key}`);
+    } catch (err) {
+      console.warn(`skip ${key}: ${err.message}`);
+    }
+  }
+
+  fs.writeFileSync(MANIFEST, `${JSON.stringify({ images }, null, 2)}\n`);
+  console.log(`Wrote ${Object.keys(images).length} images to ${sitePath(MANIFEST)}`);
+};
+
+build().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
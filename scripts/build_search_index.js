@@ -0,0 +1,171 @@
+// scripts/build_search_index.js
+// Builds assets/data/search_index.json for the site search palette (Ctrl+K).
+// Run from anywhere after editing pages or data files:
+//   node scripts/build_search_index.js
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { requireBrowserModule } = require("./browser_module");
+const { involvementPages, markdownText } = require("./content");
+
+const { normalizeProject } = requireBrowserModule("core/projects.js");
+
+const ROOT = path.resolve(__dirname, "..");
+const OUT = path.join(ROOT, "assets/data/search_index.json");
+
+/* ===========================
+   Helpers
+   =========================== */
+
+const read = (file) => fs.readFileSync(path.join(ROOT, file), "utf8");
+const readJson = (file) => JSON.parse(read(file));
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'", apos: "'", nbsp: " " };
+
+const decodeEntities = (text) => text.replace(/&(#?\w+);/g, (all, name) => (name in ENTITIES ? ENTITIES[name] : all));
+
+const attr = (tagHtml, name) => {
+  const m = tagHtml.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return m ? decodeEntities(m[1]) : "";
+};
+
+const skillKey = (skill) => String(skill).trim().toLowerCase();
+
+// Keeps the index small: body text is only used for matching
+const MAX_TEXT = 400;
+const clip = (text) => (text.length > MAX_TEXT ? `${text.slice(0, MAX_TEXT).replace(/\s+\S*$/, "")}...` : text);
+
+/* ===========================
+   Sources
+   =========================== */
+
+const projectEntries = (projects) =>
+  projects.map((p) => ({
+    type: "project",
+    title: p.title,
+    text: clip([p.summary, p.description, p.problem, p.approach, p.result].filter(Boolean).join(" ")),
+    tags: [p.category, String(p.year || "")].concat(p.skills || []).filter(Boolean),
+    // The palette opens the quick view when the card is on the current page
+    url: `projects.html#project=${encodeURIComponent(normalizeProject(p).slug)}`,
+  }));
+
+// One per Markdown file; the English text, like the other entries
+const involvementEntries = () =>
+  involvementPages(ROOT).map((page) => {
+    const { data } = page;
+    const tools = Array.isArray(data.tools) ? data.tools : String(data.tools || "").split(",");
+    return {
+      type: "page",
+      title: data.title || page.slug,
+      text: clip([data.role, data.description, markdownText(page.body)].filter(Boolean).join(" ")),
+      tags: tools.map((tool) => String(tool).trim()).filter(Boolean),
+      url: `involvement.html?id=${encodeURIComponent(page.slug)}`,
+    };
+  });
+
+// Same numbering as #image=<n> in the image viewer: every [data_image_open] on the page, 1 based.
+// gallery.json when there is one (the page renders from it), else the buttons in gallery.html.
+const galleryImages = () => {
+  if (fs.existsSync(path.join(ROOT, "assets/data/gallery.json"))) {
+    const data = readJson("assets/data/gallery.json");
+    return ((Array.isArray(data) ? data : data.items) || [])
+      .map((item) => (typeof item === "string" ? { src: item } : item))
+      .filter((item) => item && item.src);
+  }
+  const html = read("gallery.html");
+  return [...html.matchAll(/<button\b[^>]*\sdata_image_open\b[^>]*>/g)].map((m) => ({
+    caption: attr(m[0], "data_image_caption"),
+    alt: attr(m[0], "data_image_alt"),
+    type: attr(m[0], "data_image_type"),
+  }));
+};
+
+const galleryEntries = () =>
+  galleryImages().map((image, i) => ({
+    type: "image",
+    title: image.caption || image.alt || `Image ${i + 1}`,
+    text: image.alt || "",
+    tags: [image.type].filter(Boolean),
+    url: `gallery.html#image=${i + 1}`,
+  }));
+
+// Project skills filter the projects page; resume-only skills point at the resume
+const skillEntries = (projects, resume) => {
+  const skills = new Map();
+
+  projects.forEach((p) =>
+    (p.skills || []).forEach((skill) => {
+      const key = skillKey(skill);
+      if (skills.has(key)) return;
+      skills.set(key, {
+        type: "skill",
+        title: skill,
+        text: "Projects using this skill",
+        tags: [],
+        url: `projects.html?skills=${encodeURIComponent(key)}`,
+      });
+    })
+  );
+
+  (resume.skills || []).forEach((group) =>
+    (group.items || []).forEach((skill) => {
+      const key = skillKey(skill);
+      if (skills.has(key)) return;
+      skills.set(key, {
+        type: "skill",
+        title: skill,
+        text: group.group,
+        tags: [],
+        url: "resume.html#resume_skills",
+      });
+    })
+  );
+
+  return Array.from(skills.values());
+};
+
+const resumeEntries = (resume) => {
+  const experience = (resume.experience || []).map((job) => ({
+    type: "resume",
+    title: [job.role, job.org].filter(Boolean).join(", "),
+    text: job.description || "",
+    tags: [job.category].filter(Boolean),
+    url: "resume.html#resume_timeline",
+  }));
+
+  const education = (resume.education || []).map((edu) => ({
+    type: "resume",
+    title: [edu.degree, edu.school].filter(Boolean).join(", "),
+    text: (edu.coursework || []).join(", "),
+    tags: [],
+    url: "resume.html#resume_education",
+  }));
+
+  return experience.concat(education);
+};
+
+/* ===========================
+   Build
+   =========================== */
+
+const build = () => {
+  const projects = readJson("assets/data/projects.json").projects || [];
+  const resume = readJson("assets/data/resume.json");
+
+  const entries = [].concat(
+    projectEntries(projects),
+    involvementEntries(),
+    galleryEntries(),
+    skillEntries(projects, resume),
+    resumeEntries(resume)
+  );
+
+  // One entry per line keeps diffs of the generated file readable
+  const lines = entries.map((entry) => `    ${JSON.stringify(entry)}`).join(",\n");
+  fs.writeFileSync(OUT, `{\n  "entries": [\n${lines}\n  ]\n}\n`);
+  console.log(`Wrote ${entries.length} entries to ${path.relative(ROOT, OUT)}`);
+};
+
+build();
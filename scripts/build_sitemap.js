@@ -0,0 +1,90 @@
+// scripts/build_sitemap.js
+// Writes sitemap.xml from the pages in assets/data/site.json plus one project.html?id=<slug>
+// per project and one involvement.html?id=<slug> per Markdown file in assets/content/involvement/.
+// URLs are absolute, based on "url" in site.json.
+//   node scripts/build_sitemap.js
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { requireBrowserModule } = require("./browser_module");
+const { involvementPages } = require("./content");
+
+const { normalizeProject } = requireBrowserModule("core/projects.js");
+
+const ROOT = path.resolve(__dirname, "..");
+const OUT = path.join(ROOT, "sitemap.xml");
+
+/* ===========================
+   Helpers
+   =========================== */
+
+const read = (file) => fs.readFileSync(path.join(ROOT, file), "utf8");
+const readJson = (file) => JSON.parse(read(file));
+
+const escapeXml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[c]);
+
+// Pages that ask not to be indexed (offline.html) stay out of the sitemap
+const isNoindex = (file) => /<meta\s+name="robots"\s+content="[^"]*noindex/i.test(read(file));
+
+// Last commit date of the file (YYYY-MM-DD), or nothing outside a git checkout
+const lastModified = (files) => {
+  try {
+    const out = execFileSync("git", ["log", "-1", "--format=%cs", "--", ...files], { cwd: ROOT, encoding: "utf8" });
+    return out.trim();
+  } catch (err) {
+    return "";
+  }
+};
+
+/* ===========================
+   Build
+   =========================== */
+
+const build = () => {
+  const site = readJson("assets/data/site.json");
+  if (!site.url) throw new Error('Set "url" in assets/data/site.json to the address the site is published at');
+
+  const projects = readJson("assets/data/projects.json").projects || [];
+  const urls = [];
+
+  (site.pages || []).forEach((page) => {
+    if (!fs.existsSync(path.join(ROOT, page.path)) || isNoindex(page.path)) return;
+
+    // The templates only mean something with an id; their pages are listed below
+    if (page.path === "project.html" || page.path === "involvement.html") return;
+
+    urls.push({ loc: page.path === "index.html" ? "" : page.path, lastmod: lastModified([page.path]) });
+  });
+
+  const projectsMod = lastModified(["assets/data/projects.json"]);
+  projects.forEach((project) => {
+    urls.push({ loc: `project.html?id=${encodeURIComponent(normalizeProject(project).slug)}`, lastmod: projectsMod });
+  });
+
+  involvementPages(ROOT).forEach((page) => {
+    urls.push({ loc: `involvement.html?id=${encodeURIComponent(page.slug)}`, lastmod: lastModified([page.file, ...page.translations]) });
+  });
+
+  const entries = urls.map(({ loc, lastmod }) => {
+    const tags = [`    <loc>${escapeXml(new URL(loc, site.url).href)}</loc>`];
+    if (lastmod) tags.push(`    <lastmod>${lastmod}</lastmod>`);
+    return `  <url>\n${tags.join("\n")}\n  </url>`;
+  });
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries,
+    "</urlset>",
+    "",
+  ].join("\n");
+
+  fs.writeFileSync(OUT, xml);
+  console.log(`Wrote ${urls.length} URLs to ${path.relative(ROOT, OUT)}`);
+};
+
+build();
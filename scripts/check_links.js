@@ -0,0 +1,172 @@
+// scripts/check_links.js
+// Checks that every local link and asset the site refers to exists:
+//   - src / href / data / srcset / poster / data_image_src in the HTML pages
+//   - #anchors, on the same page or another one (index.html#about)
+//   - paths in the data files (site.json nav and pages, project images and models, gallery
+//     images, the resume PDF, the image manifest) and the sw.js precache list
+//   - images and links in the Markdown content (assets/content/), front matter included
+// External URLs are not fetched.
+//   node scripts/check_links.js            (missing images are warnings)
+//   node scripts/check_links.js --strict   (missing images are errors too)
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { involvementPages, markdownImages, readFrontMatter } = require("./content");
+
+const ROOT = path.resolve(__dirname, "..");
+
+/* ===========================
+   Helpers
+   =========================== */
+
+// Placeholder photos are expected until the real ones are added, so they only warn
+const IMAGE_EXT = /\.(png|jpe?g|gif|webp|avif|svg|ico)$/i;
+
+// http:, mailto:, data:, //cdn... are not files in this repo
+const isExternal = (url) => /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url);
+
+// Comments hold example markup; blank them out but keep the line numbers
+const stripComments = (html) => html.replace(/<!--[\s\S]*?-->/g, (c) => c.replace(/[^\n]/g, " "));
+
+const lineAt = (text, index) => text.slice(0, index).split("\n").length;
+
+const ATTR_PATTERN = /\s(src|href|data|poster|srcset|data_image_src)="([^"]*)"/g;
+
+const readJson = (root, file) => {
+  const full = path.join(root, file);
+  if (!fs.existsSync(full)) return null;
+  return JSON.parse(fs.readFileSync(full, "utf8"));
+};
+
+/* ===========================
+   Checks
+   =========================== */
+
+const checkSite = (root = ROOT, options = {}) => {
+  const errors = [];
+  const warnings = [];
+  const idsByPage = new Map();
+
+  const ids = (page) => {
+    if (!idsByPage.has(page)) {
+      const full = path.join(root, page);
+      const html = fs.existsSync(full) ? stripComments(fs.readFileSync(full, "utf8")) : "";
+      idsByPage.set(page, new Set([...html.matchAll(/\sid="([^"]+)"/g)].map((m) => m[1])));
+    }
+    return idsByPage.get(page);
+  };
+
+  const report = (where, message, target) => {
+    const list = !options.strict && IMAGE_EXT.test(target) ? warnings : errors;
+    list.push(`${where}: ${message}`);
+  };
+
+  // url is relative to the file it appears in (fromDir, relative to root)
+  const checkUrl = (url, fromPage, where) => {
+    const value = url.trim();
+    if (!value || isExternal(value)) return;
+
+    const [withoutHash, hash = ""] = value.split("#");
+    const file = withoutHash.split("?")[0];
+    const fromDir = path.dirname(fromPage);
+    const target = file ? path.normalize(path.join(fromDir, decodeURIComponent(file))) : fromPage;
+    const targetPath = path.join(root, target);
+
+    if (file && !fs.existsSync(targetPath)) {
+      report(where, `missing file "${value}"`, file);
+      return;
+    }
+
+    // "#project=<slug>" and "#image=<n>" are modal routes, not element ids
+    if (!hash || hash.includes("=") || !/\.html?$/i.test(target)) return;
+    if (fs.statSync(targetPath).isDirectory()) return;
+    if (!ids(target).has(decodeURIComponent(hash))) report(where, `no element with id "${hash}" in ${target}`, target);
+  };
+
+  const pages = fs.readdirSync(root).filter((file) => /\.html$/i.test(file)).sort();
+
+  pages.forEach((page) => {
+    const html = stripComments(fs.readFileSync(path.join(root, page), "utf8"));
+    for (const m of html.matchAll(ATTR_PATTERN)) {
+      const where = `${page}:${lineAt(html, m.index)}`;
+      const urls = m[1] === "srcset" ? m[2].split(",").map((part) => part.trim().split(/\s+/)[0]) : [m[2]];
+      urls.forEach((url) => checkUrl(url, page, where));
+    }
+  });
+
+  const site = readJson(root, "assets/data/site.json");
+  if (site) {
+    (site.nav || []).forEach((item, i) => checkUrl(item.href || "", "index.html", `site.json nav[${i}]`));
+    (site.pages || []).forEach((item, i) => checkUrl(item.path || "", "index.html", `site.json pages[${i}]`));
+    if (site.image) checkUrl(site.image, "index.html", "site.json image");
+  }
+
+  const projectsData = readJson(root, "assets/data/projects.json");
+  const projects = (projectsData && (Array.isArray(projectsData) ? projectsData : projectsData.projects)) || [];
+  projects.forEach((project) => {
+    (project.images || []).forEach((img) => {
+      const src = typeof img === "string" ? img : img && img.src;
+      if (src) checkUrl(src, "index.html", `projects.json ${project.slug || project.title}`);
+    });
+    const model = typeof project.model === "string" ? project.model : project.model && project.model.src;
+    if (model) checkUrl(model, "index.html", `projects.json ${project.slug || project.title} model`);
+  });
+
+  const gallery = readJson(root, "assets/data/gallery.json");
+  ((gallery && (Array.isArray(gallery) ? gallery : gallery.items)) || []).forEach((item, i) => {
+    const src = typeof item === "string" ? item : item && item.src;
+    if (src) checkUrl(src, "index.html", `gallery.json items[${i}]`);
+  });
+
+  // Markdown files are rendered into involvement.html, so their paths are relative to it
+  involvementPages(root).forEach((page) => {
+    [page.file].concat(page.translations).forEach((file) => {
+      const doc = file === page.file ? page : readFrontMatter(fs.readFileSync(path.join(root, file), "utf8"));
+      markdownImages(doc).forEach((src) => checkUrl(src, "involvement.html", file));
+      [...doc.body.matchAll(/(?<!!)\[[^\]]*\]\(\s*<?([^\s)>]+)/g)].forEach((m) => checkUrl(m[1], "involvement.html", file));
+    });
+  });
+
+  const resume = readJson(root, "assets/data/resume.json");
+  if (resume && resume.pdf) checkUrl(resume.pdf, "index.html", "resume.json pdf");
+
+  const manifest = readJson(root, "assets/data/images.json");
+  Object.entries((manifest && manifest.images) || {}).forEach(([src, entry]) => {
+    checkUrl(src, "index.html", "images.json");
+    Object.values((entry && entry.sources) || {}).forEach((list) =>
+      (list || []).forEach((source) => checkUrl(source.src, "index.html", `images.json ${src}`))
+    );
+  });
+
+  const swPath = path.join(root, "sw.js");
+  if (fs.existsSync(swPath)) {
+    const sw = fs.readFileSync(swPath, "utf8");
+    const list = sw.match(/PRECACHE_URLS\s*=\s*\[([\s\S]*?)\]/);
+    if (list) {
+      const start = list.index + list[0].indexOf("[") + 1;
+      [...list[1].matchAll(/"([^"]+)"/g)].forEach((m) => {
+        if (m[1] !== "./") checkUrl(m[1], "sw.js", `sw.js:${lineAt(sw, start + m.index)}`);
+      });
+    }
+  }
+
+  return { errors, warnings };
+};
+
+/* ===========================
+   CLI
+   =========================== */
+
+if (require.main === module) {
+  const { errors, warnings } = checkSite(ROOT, { strict: process.argv.includes("--strict") });
+
+  warnings.forEach((line) => console.warn(`warn  ${line}`));
+  errors.forEach((line) => console.error(`error ${line}`));
+  console.log(`${errors.length} errors, ${warnings.length} warnings`);
+
+  if (errors.length) process.exit(1);
+}
+
+module.exports = { checkSite };
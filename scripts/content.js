@@ -0,0 +1,72 @@
+// scripts/content.js
+// Reads the Markdown content files (assets/content/) for the build scripts.
+// The pages render them in the browser with assets/js/core/markdown.js.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { requireBrowserModule } = require("./browser_module");
+
+const INVOLVEMENT_DIR = "assets/content/involvement";
+
+/* ===========================
+   Front matter
+   The pages' own parser (parseFrontMatter in assets/js/core/markdown.js), so the build
+   scripts and the pages read the files the same way.
+   =========================== */
+
+// text -> { data, body }
+const readFrontMatter = (text) => requireBrowserModule("core/markdown.js").parseFrontMatter(text);
+
+/* ===========================
+   Markdown
+   =========================== */
+
+// Plain text for the search index: markers out, link and image text kept
+const markdownText = (markdown) =>
+  String(markdown || "")
+    .replace(/^\s*(`{3,}|~{3,}).*$/gm, " ")
+    .replace(/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/gm, " ")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d{1,9}[.)])\s+/gm, "")
+    .replace(/[*_`|]+/g, " ")
+    .replace(/\\([!-/:-@[-`{-~])/g, "$1")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Local image paths in the front matter and the body, for the link checker
+const markdownImages = (page) => {
+  const images = [].concat(page.data.images || []).map((img) => (typeof img === "string" ? img : img && img.src));
+  const inline = [...page.body.matchAll(/!\[[^\]]*\]\(\s*<?([^\s)>]+)/g)].map((m) => m[1]);
+  return images.concat(inline).filter(Boolean);
+};
+
+/* ===========================
+   Files
+   =========================== */
+
+// involvement.html?id=<slug> for every <slug>.md; translations (<slug>.<locale>.md) are listed
+// under their page. Returns [{ slug, file, data, body, translations: [file] }], sorted by slug.
+const involvementPages = (root) => {
+  const dir = path.join(root, INVOLVEMENT_DIR);
+  if (!fs.existsSync(dir)) return [];
+
+  const files = fs.readdirSync(dir).filter((file) => /\.md$/i.test(file)).sort();
+  return files
+    .filter((file) => /^[\w-]+\.md$/i.test(file))
+    .map((file) => {
+      const slug = file.replace(/\.md$/i, "");
+      const { data, body } = readFrontMatter(fs.readFileSync(path.join(dir, file), "utf8"));
+      return {
+        slug,
+        file: `${INVOLVEMENT_DIR}/${file}`,
+        data,
+        body,
+        translations: files.filter((other) => other.startsWith(`${slug}.`) && other !== file).map((other) => `${INVOLVEMENT_DIR}/${other}`),
+      };
+    });
+};
+
+module.exports = { INVOLVEMENT_DIR, involvementPages, markdownImages, markdownText, readFrontMatter };
@@ -0,0 +1,233 @@
+// scripts/page_runtime.js
+// Runs a page and its main.js modules in jsdom, with stand-ins for the browser APIs
+// jsdom lacks (matchMedia, IntersectionObserver, layout). Shared by the prerenderer
+// (scripts/build.js) and the tests (tests/helpers/dom.js).
+// Needs node --experimental-vm-modules.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { JSDOM, VirtualConsole } = require("jsdom");
+const { isInside } = require("./serve");
+
+/* ===========================
+   Browser stand-ins
+   =========================== */
+
+// Observers only fire when something calls window.__intersect(el)
+const installIntersectionObserver = (window) => {
+  const observers = new Set();
+
+  window.IntersectionObserver = class {
+    constructor(callback) {
+      this.callback = callback;
+      this.targets = new Set();
+      observers.add(this);
+    }
+
+    observe(el) {
+      this.targets.add(el);
+    }
+
+    unobserve(el) {
+      this.targets.delete(el);
+    }
+
+    disconnect() {
+      this.targets.clear();
+      observers.delete(this);
+    }
+  };
+
+  window.__intersect = (el, ratio = 1) => {
+    observers.forEach((obs) => {
+      if (obs.targets.has(el)) obs.callback([{ target: el, isIntersecting: ratio > 0, intersectionRatio: ratio }], obs);
+    });
+  };
+};
+
+// jsdom has no layout, so offsetParent is always null; hidden / display: none is enough here
+const installOffsetParent = (window) => {
+  Object.defineProperty(window.HTMLElement.prototype, "offsetParent", {
+    configurable: true,
+    get() {
+      for (let el = this; el; el = el.parentElement) {
+        if (el.hidden || el.style.display === "none") return null;
+      }
+      return this.parentElement || null;
+    },
+  });
+};
+
+/* ===========================
+   ES modules
+   jsdom does not run <script type="module">, so the modules are linked with node:vm
+   inside the page's context.
+   =========================== */
+
+// One module map per page, so importing a module gives the instance the page uses.
+// Returns (url) => Promise<module> for urls like http://localhost/assets/js/main.js;
+// every file it reads is added to loaded.
+const moduleLoader = (root, dom, importing, loaded) => {
+  const context = dom.getInternalVMContext();
+  const modules = new Map();
+
+  const fileFor = (href) => path.join(root, decodeURIComponent(new URL(href).pathname));
+
+  const moduleAt = (href) => {
+    if (!modules.has(href)) {
+      loaded.push(decodeURIComponent(new URL(href).pathname).replace(/^\//, ""));
+      modules.set(
+        href,
+        new vm.SourceTextModule(fs.readFileSync(fileFor(href), "utf8"), {
+          identifier: href,
+          context,
+          importModuleDynamically: (specifier, referrer) => importing(loadQueued(new URL(specifier, referrer.identifier).href)),
+        })
+      );
+    }
+    return modules.get(href);
+  };
+
+  const linker = (specifier, referrer) => moduleAt(new URL(specifier, referrer.identifier).href);
+
+  const load = async (href) => {
+    const mod = moduleAt(href);
+    if (mod.status === "unlinked") await mod.link(linker);
+    await mod.evaluate();
+    return mod;
+  };
+
+  // Two imports sharing a dependency must not link it at the same time
+  let queue = Promise.resolve();
+  const loadQueued = (href) => {
+    const next = queue.then(() => load(href));
+    queue = next.catch(() => {});
+    return next;
+  };
+
+  return loadQueued;
+};
+
+/* ===========================
+   Runner
+   =========================== */
+
+/**
+ * Loads `page` (e.g. "projects.html") from the `root` folder and runs its module script.
+ * options:
+ *   url      full URL to load at (default http://localhost/<page>)
+ *   respond  (file) => body for a fetch of `file` (relative to root): a string or Buffer,
+ *            null for a 404, undefined to read the file from root
+ *   prefs    object saved under site_prefs before main.js runs
+ *   media    { "(prefers-color-scheme: dark)": true } answers for matchMedia
+ *   before   (window) => {} runs right before main.js
+ * Resolves to { dom, window, document, errors, warnings, fetches, settle, modules, importModule,
+ * navigations } once the page has settled. modules lists the module files loaded so far;
+ * navigations() counts the reloads and navigations away the page tried (jsdom cannot do them);
+ * importModule("assets/js/core/bus.js") gives the module instance the page is using.
+ */
+const openPage = async (root, page, options = {}) => {
+  if (!vm.SourceTextModule) throw new Error("Running the page modules needs node --experimental-vm-modules");
+
+  const html = fs.readFileSync(path.join(root, page), "utf8");
+  const errors = [];
+  const warnings = [];
+  const fetches = [];
+
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on("error", (...args) => errors.push(args.join(" ")));
+  virtualConsole.on("warn", (...args) => warnings.push(args.join(" ")));
+  // jsdom cannot leave the page: reloads and real navigations are only counted
+  let navigations = 0;
+  virtualConsole.on("jsdomError", (err) => {
+    if (/Not implemented: navigation/.test(err.message)) navigations += 1;
+    else errors.push(err.message);
+  });
+
+  const dom = new JSDOM(html, {
+    url: options.url || `http://localhost/${page}`,
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+    virtualConsole,
+  });
+  const { window } = dom;
+
+  const media = options.media || {};
+  window.matchMedia = (query) => ({ matches: !!media[query], media: query, addEventListener() {}, removeEventListener() {} });
+  window.CSS = window.CSS || {};
+  window.CSS.escape = window.CSS.escape || ((value) => String(value).replace(/[^\w-]/g, (c) => `\\${c}`));
+  window.scrollTo = () => {};
+  window.HTMLElement.prototype.scrollIntoView = function scrollIntoView() {};
+  installIntersectionObserver(window);
+  installOffsetParent(window);
+
+  let inFlight = 0;
+  const respondWith = options.respond || (() => undefined);
+  window.fetch = (input) => {
+    const url = new URL(String(input), window.location.href);
+    const file = decodeURIComponent(url.pathname).replace(/^\//, "");
+    fetches.push(file);
+    inFlight += 1;
+
+    const respond = () => {
+      let body = respondWith(file);
+      if (body === undefined) {
+        const full = path.join(root, file);
+        body = isInside(root, full) && fs.existsSync(full) && fs.statSync(full).isFile() ? fs.readFileSync(full) : null;
+      }
+
+      const ok = body !== null;
+      const bytes = ok ? Buffer.from(body) : Buffer.alloc(0);
+      return {
+        ok,
+        status: ok ? 200 : 404,
+        json: async () => JSON.parse(bytes.toString("utf8")),
+        text: async () => bytes.toString("utf8"),
+        // In the page's realm, like a real response
+        arrayBuffer: async () => new window.Uint8Array(bytes).buffer,
+      };
+    };
+
+    return new Promise((resolve) => {
+      window.setTimeout(() => {
+        inFlight -= 1;
+        resolve(respond());
+      }, 0);
+    });
+  };
+
+  if (options.prefs) window.localStorage.setItem("site_prefs", JSON.stringify(options.prefs));
+  if (options.before) options.before(window);
+
+  // Component modules load while the page settles, like data files
+  const importing = (promise) => {
+    inFlight += 1;
+    return promise.finally(() => {
+      inFlight -= 1;
+    });
+  };
+  const modules = [];
+  const loadModule = moduleLoader(root, dom, importing, modules);
+  const importModule = (file) => importing(loadModule(new URL(file, window.location.href).href)).then((mod) => mod.namespace);
+  // The page's own entry point, which the static build renames (main.<hash>.js)
+  const entry = window.document.querySelector('script[type="module"][src]');
+  await importModule(entry ? entry.getAttribute("src") : "assets/js/main.js");
+
+  // Waits until no data file is loading for a few turns of the event loop
+  const settle = async (ms = 0) => {
+    let quiet = 0;
+    while (quiet < 3) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      quiet = inFlight ? 0 : quiet + 1;
+    }
+    if (ms) await new Promise((resolve) => setTimeout(resolve, ms));
+  };
+
+  await settle();
+  return { dom, window, document: window.document, errors, warnings, fetches, settle, modules, importModule, navigations: () => navigations };
+};
+
+module.exports = { openPage };
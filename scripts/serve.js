@@ -0,0 +1,191 @@
+// scripts/serve.js
+// Local dev server with live reload. Serves a folder (the repo by default, or dist/ after a
+// build) over http and reloads open pages when a file changes; CSS-only changes swap the
+// stylesheets without a reload. The service worker is replaced by one that removes itself,
+// so nothing stale is cached while editing.
+// Used by scripts/site.js (npm run serve).
+
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".md": "text/markdown; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".ico": "image/x-icon",
+  ".pdf": "application/pdf",
+  ".xml": "application/xml",
+  ".txt": "text/plain; charset=utf-8",
+  ".stl": "model/stl",
+  ".gltf": "model/gltf+json",
+  ".glb": "model/gltf-binary",
+  ".webmanifest": "application/manifest+json",
+};
+
+const contentType = (file) => CONTENT_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream";
+
+// True when file is root or under it. A plain prefix check would let "/site" match "/site_old".
+const isInside = (root, file) => {
+  const relative = path.relative(root, file);
+  return relative !== ".." && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+};
+
+const LIVE_RELOAD_PATH = "/__live_reload";
+
+// Changes under these never reach the pages
+const IGNORED = /(^|[\\/])(node_modules|\.git|dist|test-results)([\\/]|$)/;
+
+/* ===========================
+   Injected scripts
+   =========================== */
+
+const LIVE_RELOAD_CLIENT = `<script>
+(() => {
+  const source = new EventSource("${LIVE_RELOAD_PATH}");
+  source.addEventListener("change", (event) => {
+    const files = JSON.parse(event.data);
+    if (!files.length || !files.every((file) => file.endsWith(".css"))) {
+      window.location.reload();
+      return;
+    }
+    document.querySelectorAll('link[rel="stylesheet"]').forEach((link) => {
+      const url = new URL(link.href);
+      url.searchParams.set("reload", Date.now());
+      link.href = url.href;
+    });
+  });
+})();
+</script>`;
+
+// Takes the place of sw.js: clears what an earlier visit cached, then unregisters
+const SERVICE_WORKER_STUB = `self.addEventListener("install", () => self.skipWaiting());
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.map((key) => caches.delete(key))))
+      .then(() => self.registration.unregister())
+  );
+});
+`;
+
+const injectClient = (html) =>
+  /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${LIVE_RELOAD_CLIENT}\n</body>`) : `${html}\n${LIVE_RELOAD_CLIENT}`;
+
+/* ===========================
+   Server
+   =========================== */
+
+/**
+ * Serves dir on port (0 picks a free one) and watches it for changes.
+ * options: liveReload (default true), log (line) => {}
+ * Resolves to { url, server, notify(files), close }.
+ */
+const serve = ({ dir = ROOT, port = 8080, liveReload = true, log = () => {} } = {}) => {
+  const root = path.resolve(dir);
+  const clients = new Set();
+
+  const notify = (files) => {
+    const data = `event: change\ndata: ${JSON.stringify(files)}\n\n`;
+    clients.forEach((res) => res.write(data));
+  };
+
+  const send = (res, status, type, body) => {
+    res.writeHead(status, { "Content-Type": type, "Cache-Control": "no-store" });
+    res.end(body);
+  };
+
+  const server = http.createServer((req, res) => {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+    } catch (err) {
+      send(res, 400, CONTENT_TYPES[".txt"], "Bad request");
+      return;
+    }
+
+    if (liveReload && pathname === LIVE_RELOAD_PATH) {
+      res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-store", Connection: "keep-alive" });
+      res.write(": connected\n\n");
+      clients.add(res);
+      req.on("close", () => clients.delete(res));
+      return;
+    }
+
+    if (pathname === "/sw.js") {
+      send(res, 200, CONTENT_TYPES[".js"], SERVICE_WORKER_STUB);
+      return;
+    }
+
+    let file = path.join(root, pathname);
+    const inside = isInside(root, file);
+    if (inside && fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, "index.html");
+    if (!inside || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      send(res, 404, CONTENT_TYPES[".txt"], "Not found");
+      return;
+    }
+
+    if (liveReload && file.endsWith(".html")) {
+      send(res, 200, contentType(file), injectClient(fs.readFileSync(file, "utf8")));
+      return;
+    }
+
+    res.writeHead(200, { "Content-Type": contentType(file), "Cache-Control": "no-store" });
+    fs.createReadStream(file).pipe(res);
+  });
+
+  // Editors save in bursts (temp file, rename, write), so changes are batched.
+  // The root and each folder in it get their own watcher so node_modules is never walked.
+  const watchers = [];
+  if (liveReload) {
+    let pending = new Set();
+    let timer = null;
+    const changed = (name) => {
+      if (!name || IGNORED.test(name)) return;
+      pending.add(name.split(path.sep).join("/"));
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const files = Array.from(pending);
+        pending = new Set();
+        log(`changed ${files.join(", ")}`);
+        notify(files);
+      }, 100);
+    };
+
+    watchers.push(fs.watch(root, (event, name) => changed(name)));
+    fs.readdirSync(root, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && !IGNORED.test(entry.name))
+      .forEach((entry) => {
+        watchers.push(fs.watch(path.join(root, entry.name), { recursive: true }, (event, name) => changed(name && path.join(entry.name, name))));
+      });
+  }
+
+  const close = () =>
+    new Promise((done) => {
+      watchers.forEach((watcher) => watcher.close());
+      clients.forEach((res) => res.end());
+      clients.clear();
+      server.close(done);
+    });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      resolve({ url: `http://127.0.0.1:${server.address().port}/`, server, notify, close });
+    });
+  });
+};
+
+module.exports = { CONTENT_TYPES, contentType, isInside, serve };
@@ -0,0 +1,101 @@
+// scripts/site.js
+// Site CLI:
+//   node scripts/site.js build [--draft] [--out=dist]   prerender, minify and hash into dist/
+//   node scripts/site.js check [--draft]                build into a temp folder, report, delete it
+//   node scripts/site.js serve [dir] [--port=8080]      dev server with live reload (repo by default)
+// build and check exit with 1 on broken internal links, missing images or "NOTE:" placeholders;
+// --draft reports missing images and placeholders as warnings instead.
+
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const vm = require("vm");
+const { spawnSync } = require("child_process");
+
+const ROOT = path.resolve(__dirname, "..");
+
+const USAGE = `usage: node scripts/site.js <build|check|serve> [options]
+  build [--draft] [--out=dir]
+  check [--draft]
+  serve [dir] [--port=8080]`;
+
+const [command, ...rest] = process.argv.slice(2);
+const flags = new Set(rest.filter((arg) => /^--[\w-]+$/.test(arg)));
+const option = (name, fallback) => {
+  const arg = rest.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : fallback;
+};
+const positional = rest.filter((arg) => !arg.startsWith("--"));
+
+const report = ({ errors, warnings }) => {
+  warnings.forEach((line) => console.warn(`warn  ${line}`));
+  errors.forEach((line) => console.error(`error ${line}`));
+  console.log(`${errors.length} errors, ${warnings.length} warnings`);
+};
+
+/* ===========================
+   Commands
+   =========================== */
+
+const build = async () => {
+  const { buildSite } = require("./build");
+  const out = path.resolve(ROOT, option("out", "dist"));
+  const result = await buildSite({ root: ROOT, out, draft: flags.has("--draft"), log: console.log });
+  report(result);
+  console.log(`${result.files.length} files in ${path.relative(process.cwd(), out) || "."}`);
+  return result.errors.length ? 1 : 0;
+};
+
+const check = async () => {
+  const { buildSite } = require("./build");
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), "site_check_"));
+  try {
+    const result = await buildSite({ root: ROOT, out, draft: flags.has("--draft") });
+    report(result);
+    return result.errors.length ? 1 : 0;
+  } finally {
+    fs.rmSync(out, { recursive: true, force: true });
+  }
+};
+
+const serveCommand = async () => {
+  const { serve } = require("./serve");
+  const dir = path.resolve(ROOT, positional[0] || ".");
+  const server = await serve({ dir, port: Number(option("port", 8080)), log: console.log });
+  console.log(`Serving ${path.relative(ROOT, dir) || "the repo"} at ${server.url} (Ctrl+C to stop)`);
+
+  process.once("SIGINT", () => {
+    server.close().then(() => process.exit(0));
+  });
+  return null;
+};
+
+const COMMANDS = { build, check, serve: serveCommand };
+
+/* ===========================
+   CLI
+   =========================== */
+
+if (!COMMANDS[command]) {
+  console.error(USAGE);
+  process.exit(2);
+}
+
+// Prerendering runs the page modules with node:vm, which needs this flag
+if ((command === "build" || command === "check") && !vm.SourceTextModule) {
+  const child = spawnSync(process.execPath, ["--experimental-vm-modules", "--no-warnings", __filename, ...process.argv.slice(2)], {
+    stdio: "inherit",
+  });
+  process.exit(child.status === null ? 1 : child.status);
+}
+
+COMMANDS[command]()
+  .then((code) => {
+    if (code !== null) process.exit(code);
+  })
+  .catch((err) => {
+    console.error(err.stack || err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,191 @@
+// sw.js
+// Offline support. Lives at the site root so its scope covers every page.
+
+"use strict";
+
+/* ===========================
+   Config
+   =========================== */
+
+// NOTE: Bump VERSION whenever a precached file changes.
+// Visitors get the "updated content available" toast and old caches are removed.
+const VERSION = "v24";
+
+const PRECACHE = `site_precache_${VERSION}`;
+const RUNTIME_IMAGES = `site_images_${VERSION}`;
+
+// Runtime image cache cap (oldest entries are dropped first)
+const MAX_IMAGES = 60;
+
+const OFFLINE_URL = "offline.html";
+
+const PRECACHE_URLS = [
+  "./",
+  "index.html",
+  "projects.html",
+  "project.html",
+  "gallery.html",
+  "resume.html",
+  "involvement.html",
+  OFFLINE_URL,
+  "assets/css/main.css",
+  "assets/js/prefs.js",
+  "assets/js/main.js",
+  "assets/js/core/analytics.js",
+  "assets/js/core/bus.js",
+  "assets/js/core/dom.js",
+  "assets/js/core/gallery.js",
+  "assets/js/core/i18n.js",
+  "assets/js/core/images.js",
+  "assets/js/core/involvement.js",
+  "assets/js/core/markdown.js",
+  "assets/js/core/meta.js",
+  "assets/js/core/metrics.js",
+  "assets/js/core/modal.js",
+  "assets/js/core/model_formats.js",
+  "assets/js/core/offline.js",
+  "assets/js/core/prefs.js",
+  "assets/js/core/projects.js",
+  "assets/js/core/registry.js",
+  "assets/js/core/resume.js",
+  "assets/js/core/search.js",
+  "assets/js/core/search_index.js",
+  "assets/js/core/site.js",
+  "assets/js/components/appearance.js",
+  "assets/js/components/charts.js",
+  "assets/js/components/contact_form.js",
+  "assets/js/components/gallery.js",
+  "assets/js/components/gallery_filters.js",
+  "assets/js/components/image_viewer.js",
+  "assets/js/components/involvement.js",
+  "assets/js/components/metrics.js",
+  "assets/js/components/modal.js",
+  "assets/js/components/modal_triggers.js",
+  "assets/js/components/model_viewer.js",
+  "assets/js/components/project_filters.js",
+  "assets/js/components/project_view.js",
+  "assets/js/components/projects.js",
+  "assets/js/components/resume.js",
+  "assets/js/components/scroll_effects.js",
+  "assets/js/components/search_palette.js",
+  "assets/js/components/site_chrome.js",
+  "assets/js/components/skills_matrix.js",
+  "assets/js/components/timeline.js",
+  "assets/data/projects.json",
+  "assets/data/gallery.json",
+  "assets/resume/your_resume.pdf",
+  "assets/data/resume.json",
+  "assets/data/site.json",
+  "assets/data/search_index.json",
+  "assets/data/images.json",
+  "assets/data/i18n/es.json",
+  "assets/content/involvement/formula_sae.md",
+  "assets/content/involvement/robotics.md",
+  "assets/content/involvement/scouting.md",
+];
+
+/* ===========================
+   Helpers
+   =========================== */
+
+const isImageRequest = (request) =>
+  request.destination === "image" || /\.(png|jpe?g|gif|webp|avif|svg)$/i.test(new URL(request.url).pathname);
+
+const trimCache = async (name, max) => {
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  // keys() is in insertion order, so the front is the oldest
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map((key) => cache.delete(key)));
+};
+
+/* ===========================
+   Strategies
+   =========================== */
+
+// Pages: network first so content stays fresh, cache when offline, then the offline page
+const handleNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      // Store without the query string: every ?category=... or ?id=... is the same page
+      const url = new URL(request.url);
+      url.search = "";
+      const cache = await caches.open(PRECACHE);
+      cache.put(url.href, response.clone());
+    }
+    return response;
+  } catch (err) {
+    // ignoreSearch: projects.html?category=... is still projects.html
+    const cached = await caches.match(request, { ignoreSearch: true });
+    return cached || caches.match(OFFLINE_URL);
+  }
+};
+
+// CSS, JS, JSON, PDF: answer from cache immediately, refresh in the background
+const staleWhileRevalidate = async (request) => {
+  const cache = await caches.open(PRECACHE);
+  const cached = await cache.match(request);
+
+  const refresh = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+
+  return cached || refresh;
+};
+
+// Images: cache first, capped runtime cache
+const cacheFirstImage = async (request) => {
+  const cache = await caches.open(RUNTIME_IMAGES);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+    trimCache(RUNTIME_IMAGES, MAX_IMAGES);
+  }
+  return response;
+};
+
+/* ===========================
+   Lifecycle
+   =========================== */
+
+self.addEventListener("install", (event) => {
+  // No skipWaiting here: the page shows a toast and asks first
+  event.waitUntil(caches.open(PRECACHE).then((cache) => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener("activate", (event) => {
+  const keep = [PRECACHE, RUNTIME_IMAGES];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((n) => !keep.includes(n)).map((n) => caches.delete(n))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Sent by the "reload" button in the update toast
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  // Same origin only; third party requests go straight to the network
+  if (new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(handleNavigation(request));
+  } else if (isImageRequest(request)) {
+    event.respondWith(cacheFirstImage(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
@@ -0,0 +1,59 @@
+// tests/helpers/dom.js
+// Loads a page from the repo into jsdom and runs the assets/js/main.js modules against it,
+// serving the fixtures in tests/fixtures/ in place of the real data files.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { openPage } = require("../../scripts/page_runtime");
+
+const ROOT = path.resolve(__dirname, "../..");
+const FIXTURES = path.join(__dirname, "../fixtures");
+
+const readFixture = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES, name), "utf8"));
+
+// Data files the tests serve instead of the real ones, so content edits don't break tests
+const FIXTURE_DATA = {
+  "assets/data/site.json": () => readFixture("site.json"),
+  "assets/data/projects.json": () => readFixture("projects.json"),
+  "assets/data/resume.json": () => readFixture("resume.json"),
+  "assets/data/gallery.json": () => readFixture("gallery.json"),
+  "assets/data/images.json": () => ({ images: {} }),
+};
+
+/* ===========================
+   Loader
+   =========================== */
+
+/**
+ * Loads `page` (e.g. "projects.html") and runs main.js (see openPage in scripts/page_runtime.js).
+ * options:
+ *   url     full URL to load at (default http://localhost/<page>)
+ *   data    { "assets/data/x.json": value } served instead of the fixtures (a Buffer is served
+ *           as is); null answers 404
+ *   prefs   object saved under site_prefs before main.js runs
+ *   media   { "(prefers-color-scheme: dark)": true } answers for matchMedia
+ *   before  (window) => {} runs right before main.js
+ * Resolves to { window, document, errors, warnings, fetches, settle, modules, importModule,
+ * navigations }. modules lists the module files loaded so far; importModule("assets/js/core/bus.js")
+ * gives the module instance the page is using; navigations() counts the reloads the page tried.
+ */
+const loadPage = (page, options = {}) => {
+  const data = { ...options.data };
+  const respond = (file) => {
+    if (file in data) return data[file] === null || Buffer.isBuffer(data[file]) ? data[file] : JSON.stringify(data[file]);
+    if (FIXTURE_DATA[file]) return JSON.stringify(FIXTURE_DATA[file]());
+    return undefined;
+  };
+  return openPage(ROOT, page, { ...options, respond });
+};
+
+// Dispatches a keydown the way main.js listens for it (on document)
+const pressKey = (window, key, init = {}) => {
+  const event = new window.KeyboardEvent("keydown", { key, bubbles: true, cancelable: true, ...init });
+  (window.document.activeElement || window.document.body).dispatchEvent(event);
+  return event;
+};
+
+module.exports = { ROOT, loadPage, pressKey, readFixture };
@@ -0,0 +1,48 @@
+// tests/helpers/static_server.js
+// Serves the repo over http for the browser tests (service workers and fetch need http).
+
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const { CONTENT_TYPES: TYPES, isInside } = require("../../scripts/serve");
+const { ROOT } = require("./dom");
+
+/**
+ * Starts a server on a free port.
+ * overrides: { "/assets/data/site.json": value } served as JSON instead of the file.
+ * Resolves to { url, close }.
+ */
+const startServer = (overrides = {}) =>
+  new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      const pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+
+      if (pathname in overrides) {
+        res.writeHead(200, { "Content-Type": TYPES[".json"] });
+        res.end(JSON.stringify(overrides[pathname]));
+        return;
+      }
+
+      const file = path.join(ROOT, pathname === "/" ? "index.html" : pathname);
+      if (!isInside(ROOT, file) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        res.writeHead(404, { "Content-Type": TYPES[".txt"] });
+        res.end("Not found");
+        return;
+      }
+
+      res.writeHead(200, { "Content-Type": TYPES[path.extname(file).toLowerCase()] || "application/octet-stream" });
+      fs.createReadStream(file).pipe(res);
+    });
+
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/`,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+
+module.exports = { startServer };
@@ -0,0 +1,129 @@
+// Runs the site in headless Chromium against a local server.
+// Needs the browser once: npx playwright install chromium
+// Skipped (not failed) when no browser can be launched.
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { readFixture } = require("../helpers/dom");
+const { startServer } = require("../helpers/static_server");
+
+let chromium = null;
+try {
+  ({ chromium } = require("playwright"));
+} catch (err) {
+  // Not installed: every test below skips
+}
+
+let server = null;
+let browser = null;
+let skipReason = "";
+
+test.before(async () => {
+  if (!chromium) {
+    skipReason = "playwright is not installed";
+    return;
+  }
+  try {
+    browser = await chromium.launch();
+  } catch (err) {
+    skipReason = `no browser (${err.message.split("\n")[0]})`;
+    return;
+  }
+  server = await startServer({
+    "/assets/data/site.json": readFixture("site.json"),
+    "/assets/data/projects.json": readFixture("projects.json"),
+    "/assets/data/resume.json": readFixture("resume.json"),
+  });
+});
+
+test.after(async () => {
+  if (browser) await browser.close();
+  if (server) await server.close();
+});
+
+// A fresh page per test; console errors and uncaught exceptions are collected
+const withPage = (name, fn) =>
+  test(name, async (t) => {
+    if (!browser) {
+      t.skip(skipReason);
+      return;
+    }
+    const context = await browser.newContext({ serviceWorkers: "block" });
+    const page = await context.newPage();
+    const errors = [];
+    page.on("pageerror", (err) => errors.push(err.message));
+    page.on("console", (msg) => {
+      if (msg.type() === "error") errors.push(msg.text());
+    });
+
+    try {
+      await fn(page, errors);
+    } finally {
+      await context.close();
+    }
+  });
+
+const slugs = (page) =>
+  page.$$eval("[data_projects_grid] [data_project_card]", (cards) =>
+    cards.filter((c) => c.style.display !== "none").map((c) => c.getAttribute("data_project_slug"))
+  );
+
+withPage("every page loads without script errors", async (page, errors) => {
+  for (const path of ["index.html", "projects.html", "project.html?id=brake-pedal", "gallery.html", "resume.html", "involvement.html?id=robotics"]) {
+    await page.goto(`${server.url}${path}`);
+    await page.waitForSelector("a.nav_link");
+  }
+  // Placeholder images are not in the repo yet
+  assert.deepEqual(errors.filter((e) => !/Failed to load resource/.test(e)), []);
+});
+
+withPage("the image viewer traps focus and closes on Escape", async (page) => {
+  await page.goto(`${server.url}gallery.html`);
+  const thumb = page.locator("[data_image_open]").nth(1);
+  await thumb.click();
+
+  await page.waitForSelector('.modal[data_modal="image"].is_open');
+  const modal = page.locator('.modal[data_modal="image"]');
+  assert.match(page.url(), /#image=2$/);
+
+  const inModal = () => page.evaluate(() => !!document.activeElement.closest(".modal.is_open"));
+  for (let i = 0; i < 6; i += 1) {
+    await page.keyboard.press(i % 2 ? "Shift+Tab" : "Tab");
+    assert.equal(await inModal(), true);
+  }
+
+  await page.keyboard.press("Escape");
+  assert.equal(await modal.getAttribute("aria-hidden"), "true");
+  assert.equal(await page.evaluate(() => document.activeElement.getAttribute("data_image_type")), "build");
+  await page.waitForFunction(() => !window.location.hash);
+});
+
+withPage("project sorting and the skills AND filter", async (page) => {
+  await page.goto(`${server.url}projects.html`);
+  await page.waitForSelector("[data_project_slug]");
+
+  assert.deepEqual(await slugs(page), ["drive-gearbox", "arm-gripper", "brake-pedal", "camp-bridge"]);
+  await page.selectOption("[data_sort_projects]", "impact");
+  assert.deepEqual(await slugs(page), ["drive-gearbox", "arm-gripper", "camp-bridge", "brake-pedal"]);
+  await page.selectOption("[data_sort_projects]", "technical");
+  assert.deepEqual(await slugs(page), ["brake-pedal", "arm-gripper", "drive-gearbox", "camp-bridge"]);
+
+  await page.click('[data_filter_skills] [data_skill="cad"]');
+  await page.click('[data_filter_skills] [data_skill="testing"]');
+  assert.deepEqual(await slugs(page), ["brake-pedal", "drive-gearbox"]);
+  assert.equal(new URL(page.url()).search, "?skills=cad%2Ctesting&sort=technical");
+});
+
+withPage("the mobile menu opens and closes", async (page) => {
+  await page.setViewportSize({ width: 390, height: 800 });
+  await page.goto(`${server.url}index.html`);
+  const toggle = page.locator("[data_nav_toggle]");
+
+  await toggle.click();
+  assert.equal(await toggle.getAttribute("aria-expanded"), "true");
+  assert.equal(await page.locator("#nav_links").isVisible(), true);
+  await page.keyboard.press("Escape");
+  assert.equal(await toggle.getAttribute("aria-expanded"), "false");
+});
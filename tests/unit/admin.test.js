@@ -0,0 +1,174 @@
+// components/admin.js: content editor forms, validation, live preview, ordering, JSON download
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage } = require("../helpers/dom");
+
+// Downloads are caught at URL.createObjectURL; read them with downloaded()
+const loadAdmin = async () => {
+  const blobs = [];
+  const page = await loadPage("admin.html", {
+    before: (window) => {
+      window.URL.createObjectURL = (blob) => {
+        blobs.push(blob);
+        return "blob:test";
+      };
+      window.URL.revokeObjectURL = () => {};
+    },
+  });
+  const downloaded = async () => JSON.parse(await blobs[blobs.length - 1].text());
+  return { ...page, blobs, downloaded };
+};
+
+const panel = (document, name) => document.querySelector(`[data_admin_panel="${name}"]`);
+const labels = (root) => [...root.querySelectorAll("[data_admin_select]")].map((btn) => btn.textContent);
+const status = (document) => document.querySelector("[data_admin_status]");
+
+const edit = (window, root, name, value) => {
+  const input = root.querySelector(`form [name="${name}"]`);
+  input.value = value;
+  input.dispatchEvent(new window.Event("input", { bubbles: true }));
+  return input;
+};
+
+test("the editor lists the content and previews edits with the site's own card", async () => {
+  const { window, document, settle, errors } = await loadAdmin();
+  const projects = panel(document, "projects");
+
+  assert.deepEqual(labels(projects), ["Brake Pedal", "Drive Gearbox", "Arm Gripper", "Camp Bridge"]);
+  assert.equal(labels(panel(document, "gallery")).length, 4);
+
+  projects.querySelectorAll("[data_admin_select]")[1].click();
+  edit(window, projects, "title", "Drive Gearbox Mk2");
+  await settle();
+
+  assert.equal(labels(projects)[1], "Drive Gearbox Mk2");
+  const card = projects.querySelector("[data_admin_preview] [data_project_card]");
+  assert.equal(card.querySelector(".project_title").textContent, "Drive Gearbox Mk2");
+
+  // The preview's quick view is the real one
+  card.querySelector("[data_project_quickview]").click();
+  assert.ok(document.querySelector('.modal[data_modal="project"]').classList.contains("is_open"));
+  assert.equal(document.querySelector("#project_modal_title").textContent, "Drive Gearbox Mk2");
+  assert.deepEqual(errors, []);
+});
+
+test("invalid fields block the download until they are fixed", async () => {
+  const { window, document, blobs, downloaded, settle } = await loadAdmin();
+  const projects = panel(document, "projects");
+
+  const impact = edit(window, projects, "impact", "150");
+  assert.equal(impact.getAttribute("aria-invalid"), "true");
+  assert.equal(projects.querySelector('[data_field_error="impact"]').textContent, "Between 1 and 100.");
+  edit(window, projects, "summary", "");
+
+  projects.querySelector("[data_admin_export]").click();
+  await settle();
+  assert.equal(blobs.length, 0);
+  assert.equal(status(document).getAttribute("data_state"), "error");
+  assert.match(status(document).textContent, /^Fix 2 problems before downloading projects\.json/);
+
+  edit(window, projects, "impact", "75");
+  edit(window, projects, "summary", "Lighter pedal box, again.");
+  projects.querySelector("[data_admin_export]").click();
+  await settle();
+
+  const data = await downloaded();
+  assert.equal(data.projects[0].impact, 75);
+  assert.equal(data.projects[0].summary, "Lighter pedal box, again.");
+  assert.equal(status(document).getAttribute("data_state"), "success");
+});
+
+test("new projects get a slug from their title, and slugs must be unique", async () => {
+  const { window, document } = await loadAdmin();
+  const projects = panel(document, "projects");
+
+  projects.querySelector("[data_admin_add]").click();
+  edit(window, projects, "title", "Wind Tunnel Rig");
+  assert.equal(projects.querySelector('form [name="slug"]').value, "wind-tunnel-rig");
+
+  const slug = edit(window, projects, "slug", "brake-pedal");
+  assert.equal(slug.getAttribute("aria-invalid"), "true");
+  assert.equal(projects.querySelector('[data_field_error="slug"]').textContent, "Another project uses this slug.");
+});
+
+test("missing image files are warnings, not errors", async () => {
+  const { window, document, downloaded, settle } = await loadAdmin();
+  const gallery = panel(document, "gallery");
+
+  const src = edit(window, gallery, "src", "assets/images/gallery/not_there.jpg");
+  await settle();
+  const error = gallery.querySelector('[data_field_error="src"]');
+  assert.equal(error.getAttribute("data_state"), "warning");
+  assert.equal(error.textContent, "Not found: assets/images/gallery/not_there.jpg");
+  assert.equal(src.getAttribute("aria-invalid"), "false");
+
+  gallery.querySelector("[data_admin_export]").click();
+  await settle();
+  assert.equal((await downloaded()).items[0].src, "assets/images/gallery/not_there.jpg");
+  assert.match(status(document).textContent, /missing: .*not_there\.jpg/);
+});
+
+test("drag and drop and the arrow buttons reorder, keeping fields the editor doesn't show", async () => {
+  const { window, document, downloaded, settle } = await loadAdmin();
+  const projects = panel(document, "projects");
+  const item = (i) => projects.querySelectorAll("[data_admin_index]")[i];
+  const fire = (el, type) => el.dispatchEvent(new window.Event(type, { bubbles: true, cancelable: true }));
+
+  fire(item(0), "dragstart");
+  fire(item(2), "dragover");
+  fire(item(2), "drop");
+  fire(item(2), "dragend");
+  assert.deepEqual(labels(projects), ["Drive Gearbox", "Arm Gripper", "Brake Pedal", "Camp Bridge"]);
+  assert.equal(status(document).textContent, "Moved Brake Pedal to position 3 of 4.");
+
+  item(3).querySelector('[data_admin_move="-1"]').click();
+  assert.deepEqual(labels(projects), ["Drive Gearbox", "Arm Gripper", "Camp Bridge", "Brake Pedal"]);
+  assert.equal(document.activeElement, item(2).querySelector('[data_admin_move="-1"]'));
+
+  projects.querySelector("[data_admin_export]").click();
+  await settle();
+  const data = await downloaded();
+  assert.deepEqual(data.projects.map((p) => p.slug), ["drive-gearbox", "arm-gripper", "camp-bridge", "brake-pedal"]);
+  assert.deepEqual(data.projects[0].i18n, { es: { title: "Caja de cambios" } });
+});
+
+test("metrics are saved into site.json with the rest of the file", async () => {
+  const { window, document, downloaded, settle } = await loadAdmin();
+  const metrics = panel(document, "metrics");
+
+  assert.deepEqual(labels(metrics), []);
+  metrics.querySelector("[data_admin_add]").click();
+  edit(window, metrics, "label", "CAD hours");
+  edit(window, metrics, "value", "420");
+  assert.equal(metrics.querySelector("[data_admin_preview] .metric_value").textContent, "420");
+
+  metrics.querySelector("[data_admin_export]").click();
+  await settle();
+  const site = await downloaded();
+  assert.deepEqual(site.metrics, [{ label: "CAD hours", value: 420 }]);
+  assert.equal(site.name, "Test Person");
+});
+
+test("a metric can come from the data instead of a typed value", async () => {
+  const { window, document, downloaded, settle } = await loadAdmin();
+  const metrics = panel(document, "metrics");
+
+  metrics.querySelector("[data_admin_add]").click();
+  edit(window, metrics, "label", "Projects");
+  edit(window, metrics, "value", "");
+  edit(window, metrics, "source", "projects");
+  edit(window, metrics, "suffix", "+");
+  await settle();
+  assert.equal(metrics.querySelector("[data_admin_preview] .metric_value").textContent, "4+");
+
+  metrics.querySelector("[data_admin_export]").click();
+  await settle();
+  assert.deepEqual((await downloaded()).metrics, [{ label: "Projects", source: "projects", suffix: "+" }]);
+
+  // An unknown source is flagged
+  edit(window, metrics, "source", "widgets");
+  assert.equal(metrics.querySelector('[data_field_error="source"]').textContent, "Pick one of the listed sources.");
+});
@@ -0,0 +1,208 @@
+// scripts/build.js and scripts/serve.js
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { buildSite } = require("../../scripts/build");
+const { openPage } = require("../../scripts/page_runtime");
+const { serve } = require("../../scripts/serve");
+const { ROOT } = require("../helpers/dom");
+
+const tempDirs = [];
+test.after(() => tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+const tempDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "site_build_"));
+  tempDirs.push(dir);
+  return dir;
+};
+
+// One draft build of this repo, shared by the tests that only read it
+let draftBuild = null;
+const buildDraft = () => {
+  if (!draftBuild) {
+    const out = tempDir();
+    draftBuild = buildSite({ root: ROOT, out, draft: true }).then((result) => ({ ...result, out }));
+  }
+  return draftBuild;
+};
+
+const readOut = (out, file) => fs.readFileSync(path.join(out, file), "utf8");
+
+// The pages, sw.js and assets/ of this repo, to break on purpose
+const copySite = () => {
+  const root = tempDir();
+  fs.readdirSync(ROOT)
+    .filter((file) => /\.(html|js|xml)$/.test(file))
+    .forEach((file) => fs.copyFileSync(path.join(ROOT, file), path.join(root, file)));
+  fs.cpSync(path.join(ROOT, "assets"), path.join(root, "assets"), { recursive: true });
+  return root;
+};
+
+test("a draft build prerenders the pages with their data and no leftovers from the visit", async () => {
+  const { errors, out } = await buildDraft();
+  assert.deepEqual(errors, []);
+
+  const index = readOut(out, "index.html");
+  // Site header from site.json, count ups at their final value
+  assert.match(index, /class="nav_link[^"]*"/);
+  assert.match(index, /data_target="5000" data_prefix="\$" data_compact="">\$5K</);
+  assert.doesNotMatch(index, /data_countup[^>]*>\$?0</);
+  assert.match(index, /<html lang="en">/);
+  assert.doesNotMatch(index, /search_palette|in_view|<!--/);
+
+  const projects = readOut(out, "projects.html");
+  assert.match(projects, /data_project_card/);
+
+  // The local content editor stays out of the deployable site
+  assert.equal(fs.existsSync(path.join(out, "admin.html")), false);
+  assert.equal(fs.existsSync(path.join(out, "assets/js/components/admin.js")), false);
+  assert.doesNotMatch(readOut(out, "assets/data/site.json"), /admin\.html/);
+});
+
+test("every project and involvement file gets its own page, and links point at it", async () => {
+  const { files, out } = await buildDraft();
+  const data = JSON.parse(readOut(ROOT, "assets/data/projects.json"));
+  const slug = (Array.isArray(data) ? data : data.projects)[0].slug;
+
+  assert.ok(files.includes(`project_${slug}.html`));
+  assert.match(readOut(out, `project_${slug}.html`), new RegExp(`data_project_detail="${slug}"`));
+
+  const robotics = readOut(out, "involvement_robotics.html");
+  assert.match(robotics, /data_involvement="robotics"/);
+  assert.match(robotics, /data_inv_title="">Robotics</);
+  assert.doesNotMatch(robotics, /http-equiv="refresh"/);
+
+  assert.doesNotMatch(readOut(out, "index.html"), /involvement\.html\?id=robotics/);
+  assert.match(readOut(out, "index.html"), /href="involvement_robotics\.html"/);
+  assert.match(readOut(out, "sitemap.xml"), /involvement_robotics\.html/);
+  // The templates still work for links made at runtime
+  assert.ok(files.includes("project.html") && files.includes("involvement.html"));
+});
+
+test("a project without a slug gets its page under the slug the pages link to", async () => {
+  const root = copySite();
+  const file = path.join(root, "assets/data/projects.json");
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  delete data.projects[1].slug;
+  data.projects[1].title = "Électric Go-Kart";
+  fs.writeFileSync(file, JSON.stringify(data));
+
+  const out = tempDir();
+  const { files } = await buildSite({ root, out, draft: true });
+  assert.ok(files.includes("project_electric-go-kart.html"));
+  assert.match(readOut(out, "project_electric-go-kart.html"), /data_project_detail="electric-go-kart"/);
+  assert.doesNotMatch(readOut(out, "projects.html"), /project\.html\?id=/);
+});
+
+test("main.js and main.css are hashed and every reference follows", async () => {
+  const { files, out } = await buildDraft();
+  const js = files.find((file) => /^assets\/js\/main\.[0-9a-f]{10}\.js$/.test(file));
+  const css = files.find((file) => /^assets\/css\/main\.[0-9a-f]{10}\.css$/.test(file));
+
+  assert.ok(js && css);
+  assert.ok(!files.includes("assets/js/main.js") && !files.includes("assets/css/main.css"));
+
+  const index = readOut(out, "index.html");
+  assert.ok(index.includes(`src="${js}"`) && index.includes(`href="${css}"`));
+
+  const sw = readOut(out, "sw.js");
+  assert.ok(sw.includes(`"${js}"`) && sw.includes(`"${css}"`));
+  assert.match(sw, /VERSION="v\d+-[0-9a-f]{8}"/);
+  assert.doesNotMatch(readOut(out, "assets/js/core/dom.js"), /\n\s*\/\//);
+});
+
+test("a prerendered page comes back to life without rendering anything twice", async () => {
+  const { out } = await buildDraft();
+  const html = readOut(out, "involvement_robotics.html");
+  const count = (pattern) => (html.match(pattern) || []).length;
+  const page = await openPage(out, "involvement_robotics.html");
+  const { document } = page;
+
+  assert.deepEqual(page.errors, []);
+  assert.ok(page.modules.some((file) => /^assets\/js\/main\.[0-9a-f]{10}\.js$/.test(file)));
+  assert.equal(document.querySelector("[data_inv_title]").textContent, "Robotics");
+  assert.equal(document.querySelectorAll("[data_inv_content] h3").length, count(/<h3>/g));
+  assert.equal(document.querySelectorAll("[data_inv_tools] .tag").length, count(/class="tag"/g));
+  assert.equal(document.querySelectorAll("[data_site_header] .nav_links").length, 1);
+  assert.equal(document.querySelectorAll(".search_palette").length, 1);
+  page.window.close();
+});
+
+test("broken links and placeholders fail the build unless it is a draft", async () => {
+  const root = copySite();
+  fs.writeFileSync(
+    path.join(root, "offline.html"),
+    readOut(root, "offline.html").replace("</main>", '<a href="nowhere.html">x</a></main>')
+  );
+
+  const { errors } = await buildSite({ root, out: tempDir() });
+  assert.ok(errors.some((line) => line.includes('missing file "nowhere.html"')));
+  assert.ok(errors.some((line) => /^assets\/content\/involvement\/robotics\.md:\d+: "NOTE:" placeholder$/.test(line)));
+
+  const draft = await buildSite({ root, out: tempDir(), draft: true });
+  assert.ok(draft.errors.some((line) => line.includes('missing file "nowhere.html"')));
+  assert.ok(!draft.errors.some((line) => line.includes("NOTE:")));
+  assert.ok(draft.warnings.some((line) => line.includes("NOTE:")));
+});
+
+test("the build refuses to empty the folder it builds from", async () => {
+  await assert.rejects(buildSite({ root: ROOT, out: ROOT }), /holds the source/);
+});
+
+test("the dev server injects live reload, stubs the service worker and reports changes", async () => {
+  const server = await serve({ dir: ROOT, port: 0 });
+  try {
+    const page = await fetch(`${server.url}index.html`);
+    assert.equal(page.headers.get("cache-control"), "no-store");
+    assert.match(await page.text(), /EventSource\("\/__live_reload"\)[\s\S]*<\/body>/);
+
+    const sw = await (await fetch(`${server.url}sw.js`)).text();
+    assert.match(sw, /unregister\(\)/);
+    assert.equal((await fetch(`${server.url}..%2f..%2fetc%2fhostname`)).status, 404);
+
+    const event = await new Promise((resolve, reject) => {
+      const req = http.get(`${server.url}__live_reload`, (res) => {
+        res.setEncoding("utf8");
+        let body = "";
+        res.on("data", (chunk) => {
+          body += chunk;
+          if (body.includes(": connected")) server.notify(["assets/css/main.css"]);
+          const m = body.match(/event: change\ndata: (.*)\n\n/);
+          if (m) {
+            req.destroy();
+            resolve(JSON.parse(m[1]));
+          }
+        });
+      });
+      req.on("error", reject);
+    });
+    assert.deepEqual(event, ["assets/css/main.css"]);
+  } finally {
+    await server.close();
+  }
+});
+
+test("the dev server keeps out of folders whose name only starts with its own", async () => {
+  const parent = tempDir();
+  const dir = path.join(parent, "site");
+  fs.mkdirSync(dir);
+  fs.mkdirSync(path.join(parent, "site_private"));
+  fs.writeFileSync(path.join(dir, "index.html"), "<p>public</p>");
+  fs.writeFileSync(path.join(parent, "site_private", "secret.txt"), "secret");
+
+  const server = await serve({ dir, port: 0, liveReload: false });
+  try {
+    assert.equal((await fetch(server.url)).status, 200);
+    const res = await fetch(`${server.url}..%2fsite_private%2fsecret.txt`);
+    assert.equal(res.status, 404);
+    assert.doesNotMatch(await res.text(), /secret/);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,103 @@
+// scripts/check_links.js
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { checkSite } = require("../../scripts/check_links");
+const { ROOT } = require("../helpers/dom");
+
+const tempDirs = [];
+test.after(() => tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+// Writes { "relative/path": contents } into a fresh temp dir
+const makeSite = (files) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "check_links_"));
+  tempDirs.push(root);
+  Object.entries(files).forEach(([file, contents]) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), typeof contents === "string" ? contents : JSON.stringify(contents));
+  });
+  return root;
+};
+
+const PAGE = (body) => `<!doctype html>
+<html>
+  <head><link rel="stylesheet" href="assets/css/main.css" /></head>
+  <body>
+    <main id="top">${body}</main>
+    <script src="assets/js/main.js"></script>
+  </body>
+</html>`;
+
+const BASE = {
+  "assets/css/main.css": "",
+  "assets/js/main.js": "",
+  "assets/resume/resume.pdf": "",
+  "index.html": PAGE('<a href="#top">Top</a>'),
+};
+
+test("the site in this repo has no broken links", () => {
+  const { errors } = checkSite(ROOT);
+
+  assert.deepEqual(errors, []);
+});
+
+test("a script under the wrong folder is reported with its line", () => {
+  const root = makeSite({
+    ...BASE,
+    "about.html": PAGE("").replace("assets/js/main.js", "assets/css/js/main.js"),
+  });
+
+  const { errors } = checkSite(root);
+  assert.deepEqual(errors, ['about.html:6: missing file "assets/css/js/main.js"']);
+});
+
+test("a resume PDF path that does not exist is reported", () => {
+  const root = makeSite({
+    ...BASE,
+    "assets/data/resume.json": { pdf: "assets/resume/your_resume.pdf" },
+    "resume.html": PAGE('<a href="assets/resume/resume.pdf" download>PDF</a>'),
+  });
+
+  const { errors } = checkSite(root);
+  assert.deepEqual(errors, ['resume.json pdf: missing file "assets/resume/your_resume.pdf"']);
+});
+
+test("anchors must exist on the page they point at", () => {
+  const root = makeSite({
+    ...BASE,
+    "a.html": PAGE('<a href="index.html#top">ok</a> <a href="index.html#nope">bad</a> <a href="#project=x">route</a>'),
+  });
+
+  const { errors } = checkSite(root);
+  assert.deepEqual(errors, ['a.html:5: no element with id "nope" in index.html']);
+});
+
+test("missing images only warn unless strict", () => {
+  const root = makeSite({ ...BASE, "g.html": PAGE('<img src="assets/images/missing.jpg" alt="" />') });
+
+  assert.deepEqual(checkSite(root).errors, []);
+  assert.equal(checkSite(root).warnings.length, 1);
+  assert.equal(checkSite(root, { strict: true }).errors.length, 1);
+});
+
+test("commented out markup and external URLs are skipped", () => {
+  const root = makeSite({
+    ...BASE,
+    "c.html": PAGE('<!-- <img src="nope.png" /> --><a href="https://example.com/x.html">x</a><a href="mailto:a@b.c">m</a>'),
+  });
+
+  const { errors, warnings } = checkSite(root);
+  assert.deepEqual(errors.concat(warnings), []);
+});
+
+test("sw.js precache entries must exist", () => {
+  const root = makeSite({ ...BASE, "sw.js": 'const PRECACHE_URLS = [\n  "./",\n  "index.html",\n  "gone.html",\n];' });
+
+  const { errors } = checkSite(root);
+  assert.deepEqual(errors, ['sw.js:4: missing file "gone.html"']);
+});
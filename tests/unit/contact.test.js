@@ -0,0 +1,105 @@
+// components/contact_form.js: validation, honeypot, adapters, saved drafts
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, readFixture } = require("../helpers/dom");
+
+const fill = (form, values) => {
+  Object.entries(values).forEach(([name, value]) => {
+    form.elements.namedItem(name).value = value;
+  });
+};
+
+const VALID = { name: "Ada", email: "ada@example.com", reason: "recruiting", message: "Hello there, nice work." };
+
+const submit = (window, form) => form.dispatchEvent(new window.Event("submit", { cancelable: true }));
+
+const status = (form) => form.querySelector("[data_contact_status]").getAttribute("data_state");
+
+test("invalid fields are flagged and the first one is focused", async () => {
+  const { window, document } = await loadPage("index.html");
+  const form = document.querySelector("[data_contact_form]");
+
+  fill(form, { name: "Ada", email: "not-an-email", message: "short" });
+  submit(window, form);
+
+  assert.equal(status(form), "error");
+  assert.equal(form.elements.namedItem("name").getAttribute("aria-invalid"), "false");
+  assert.equal(form.elements.namedItem("email").getAttribute("aria-invalid"), "true");
+  assert.equal(form.querySelector('[data_field_error="email"]').textContent, "Please enter a valid email address.");
+  assert.equal(form.elements.namedItem("reason").getAttribute("aria-invalid"), "true");
+  assert.equal(document.activeElement, form.elements.namedItem("email"));
+
+  // Fixing a flagged field clears its error as you type
+  const email = form.elements.namedItem("email");
+  email.value = "ada@example.com";
+  email.dispatchEvent(new window.Event("input"));
+  assert.equal(email.getAttribute("aria-invalid"), "false");
+});
+
+test("the mock adapter sends and clears the form", async () => {
+  const { window, document, settle } = await loadPage("index.html");
+  const form = document.querySelector("[data_contact_form]");
+
+  fill(form, VALID);
+  submit(window, form);
+  assert.equal(status(form), "info");
+  assert.equal(form.querySelector("[data_contact_submit]").disabled, true);
+
+  await settle(20);
+  assert.equal(status(form), "success");
+  assert.equal(form.elements.namedItem("name").value, "");
+  assert.equal(form.querySelector("[data_contact_submit]").disabled, false);
+});
+
+test("a failed send keeps a draft that comes back on the next visit", async () => {
+  const site = readFixture("site.json");
+  site.contact = { adapter: "mock", mockDelay: 1, mockResult: "error" };
+  const { window, document, settle, warnings } = await loadPage("index.html", { data: { "assets/data/site.json": site } });
+  const form = document.querySelector("[data_contact_form]");
+
+  fill(form, VALID);
+  submit(window, form);
+  await settle(20);
+
+  assert.equal(status(form), "error");
+  assert.ok(warnings.some((w) => w.includes("[contact]")));
+  const draft = window.localStorage.getItem("site_contact_draft");
+  assert.equal(JSON.parse(draft).message, VALID.message);
+
+  const next = await loadPage("index.html", { before: (w) => w.localStorage.setItem("site_contact_draft", draft) });
+  const nextForm = next.document.querySelector("[data_contact_form]");
+  assert.equal(nextForm.elements.namedItem("email").value, VALID.email);
+  assert.equal(status(nextForm), "info");
+});
+
+test("a sent message is reported as sent even when the draft cannot be cleared", async () => {
+  const blockRemove = (window) => {
+    window.Storage.prototype.removeItem = () => {
+      throw new window.DOMException("Blocked", "SecurityError");
+    };
+  };
+  const { window, document, settle, errors } = await loadPage("index.html", { before: blockRemove });
+  const form = document.querySelector("[data_contact_form]");
+
+  fill(form, VALID);
+  submit(window, form);
+  await settle(20);
+
+  assert.equal(status(form), "success");
+  assert.deepEqual(errors, []);
+});
+
+test("a filled honeypot pretends to send and sends nothing", async () => {
+  const { window, document, fetches } = await loadPage("index.html");
+  const form = document.querySelector("[data_contact_form]");
+  const before = fetches.length;
+
+  fill(form, { ...VALID, website: "spam.example" });
+  submit(window, form);
+
+  assert.equal(status(form), "success");
+  assert.equal(fetches.length, before);
+});
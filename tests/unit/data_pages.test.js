@@ -0,0 +1,155 @@
+// components/projects.js, skills_matrix.js, resume.js, timeline.js, gallery.js, metrics.js
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, readFixture } = require("../helpers/dom");
+
+const slugs = (root) => [...root.querySelectorAll("[data_project_card]")].map((card) => card.getAttribute("data_project_slug"));
+
+test("the home page lists featured projects in projects.json order", async () => {
+  const { document, errors } = await loadPage("index.html");
+
+  assert.deepEqual(slugs(document.querySelector("[data_projects_container]")), ["brake-pedal", "drive-gearbox"]);
+  const jsonLd = JSON.parse(document.querySelector('script[data_jsonld="projects"]').textContent);
+  assert.equal(jsonLd.itemListElement.length, 2);
+  assert.deepEqual(errors, []);
+});
+
+test("without projects.json the hand-written cards stay", async () => {
+  const { document, warnings } = await loadPage("index.html", { data: { "assets/data/projects.json": null } });
+  const cards = document.querySelectorAll("[data_projects_container] [data_project_card]");
+
+  assert.ok(cards.length > 0);
+  assert.ok([...cards].every((card) => !card.hasAttribute("data_project_slug")));
+  assert.ok(warnings.some((w) => w.includes("[projects]")));
+});
+
+test("the project page shows one project with prev / next in sort order", async () => {
+  const { document } = await loadPage("project.html", {
+    url: "http://localhost/project.html?id=arm-gripper&sort=technical",
+  });
+
+  assert.equal(document.querySelector("[data_pd_title]").textContent, "Arm Gripper");
+  assert.equal(document.title, "Test Person | Arm Gripper");
+  assert.equal(document.querySelector("[data_pd_prev]").getAttribute("href"), "project.html?id=brake-pedal&sort=technical");
+  assert.equal(document.querySelector("[data_pd_next]").getAttribute("href"), "project.html?id=drive-gearbox&sort=technical");
+  assert.equal(document.querySelector("[data_pd_back]").getAttribute("href"), "projects.html?sort=technical");
+});
+
+test("an unknown project id says so", async () => {
+  const { document } = await loadPage("project.html", { url: "http://localhost/project.html?id=nope" });
+
+  assert.equal(document.querySelector("[data_pd_missing]").hidden, false);
+  assert.equal(document.querySelector("[data_pd_prev]").hidden, true);
+});
+
+test("the skills matrix lists every project skill, most used first", async () => {
+  const { document } = await loadPage("index.html");
+  const section = document.querySelector("[data_skills_matrix_section]");
+  const rows = [...section.querySelectorAll("tbody tr")];
+
+  assert.equal(section.hidden, false);
+  assert.deepEqual(
+    rows.map((row) => row.querySelector("th").textContent),
+    ["CAD", "Testing", "Leadership", "Manufacturing", "Prototyping"]
+  );
+  assert.equal(rows[0].querySelector("td").textContent, "Advanced, 4 years");
+  assert.equal(rows[0].querySelector(".matrix_count").textContent, "3");
+  assert.equal(rows[0].querySelector("th a").getAttribute("href"), "projects.html?skills=cad");
+});
+
+test("a skill listed twice on one project counts that project once", async () => {
+  const data = readFixture("projects.json");
+  data.projects[0].skills = ["CAD", "cad", "Testing"];
+  const { document } = await loadPage("index.html", { data: { "assets/data/projects.json": data } });
+  const cad = document.querySelector("[data_skills_matrix_section] tbody tr");
+
+  assert.equal(cad.querySelector(".matrix_count").textContent, "3");
+  assert.equal(cad.querySelectorAll(".matrix_projects li").length, 3);
+
+  // The filter chips on the projects page agree
+  const projects = await loadPage("projects.html", { data: { "assets/data/projects.json": data } });
+  const chip = projects.document.querySelector('[data_skill="cad"] .chip_count');
+  assert.equal(chip.textContent, "3");
+});
+
+test("the resume is filled in from resume.json", async () => {
+  const { document, errors } = await loadPage("resume.html");
+
+  assert.equal(document.querySelector("[data_resume_summary]").textContent, "Test summary.");
+  assert.deepEqual(
+    [...document.querySelectorAll("[data_resume_highlights] li")].map((li) => li.textContent),
+    ["First highlight", "Second highlight"]
+  );
+  document.querySelectorAll("a[data_resume_pdf]").forEach((a) => {
+    assert.equal(a.getAttribute("href"), "assets/resume/your_resume.pdf");
+  });
+  assert.deepEqual(errors, []);
+});
+
+test("the timeline has one entry per role, newest first, with category chips", async () => {
+  const { document } = await loadPage("resume.html");
+  const root = document.querySelector("[data_timeline]");
+  const roles = () =>
+    [...root.querySelectorAll(".tl_entry")].filter((el) => !el.hidden).map((el) => el.querySelector("strong").textContent);
+
+  assert.deepEqual(roles(), ["Powertrain Lead", "Mechanical Member", "Patrol Leader"]);
+  assert.ok(document.querySelector("[data_timeline_fallback]").classList.contains("print_only"));
+
+  root.querySelector('[data_timeline_filter="robotics"]').click();
+  assert.deepEqual(roles(), ["Mechanical Member"]);
+  assert.equal(root.querySelector('[data_timeline_filter="robotics"]').getAttribute("aria-pressed"), "true");
+});
+
+test("timeline project buttons open the quick view", async () => {
+  const { document } = await loadPage("resume.html");
+
+  document.querySelector('[data_timeline_project="drive-gearbox"]').click();
+
+  assert.ok(document.querySelector('.modal[data_modal="project"]').classList.contains("is_open"));
+  assert.equal(document.querySelector("#project_modal_title").textContent, "Drive Gearbox");
+});
+
+test("without resume.json the timeline section is hidden", async () => {
+  const { document } = await loadPage("resume.html", { data: { "assets/data/resume.json": null } });
+  const root = document.querySelector("[data_timeline]");
+
+  assert.equal(root.closest("[data_timeline_section]").hidden, true);
+});
+
+test("the gallery is rendered from gallery.json", async () => {
+  const { document, errors } = await loadPage("gallery.html");
+  const buttons = [...document.querySelectorAll(".masonry [data_image_open]")];
+
+  assert.deepEqual(
+    buttons.map((btn) => btn.getAttribute("data_image_caption")),
+    ["Suspension upright model", "Welding the frame", "Competition day", "First bracket print"]
+  );
+  assert.equal(buttons[1].getAttribute("data_image_type"), "build");
+  assert.equal(buttons[1].querySelector("img").getAttribute("alt"), "Frame on the jig");
+
+  buttons[2].click();
+  assert.equal(document.querySelector("#image_modal_caption").textContent, "Competition day");
+  assert.deepEqual(errors, []);
+});
+
+test("About metrics come from site.json when it has them", async () => {
+  const site = readFixture("site.json");
+  site.metrics = [
+    { label: "Projects completed", value: 7 },
+    { label: "Funds raised", value: 1200, i18n: { es: { label: "Fondos recaudados" } } },
+  ];
+  const { window, document } = await loadPage("index.html", { data: { "assets/data/site.json": site }, prefs: { motion: "reduced" } });
+  const cards = [...document.querySelectorAll("[data_metrics] .metric_card")];
+
+  assert.deepEqual(cards.map((card) => card.querySelector(".metric_label").textContent), ["Projects completed", "Funds raised"]);
+  const value = cards[1].querySelector("[data_countup]");
+  window.__intersect(value);
+  assert.equal(value.textContent, "1,200");
+
+  // The fixture site.json has no metrics: the cards in the HTML stay
+  const plain = await loadPage("index.html");
+  assert.equal(plain.document.querySelectorAll("[data_metrics] .metric_card").length, 4);
+});
@@ -0,0 +1,39 @@
+// components/gallery_filters.js
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage } = require("../helpers/dom");
+
+const shownTypes = (document) =>
+  [...document.querySelectorAll("[data_image_open]")]
+    .filter((btn) => btn.style.display !== "none")
+    .map((btn) => btn.getAttribute("data_image_type"));
+
+test("chips show one image type at a time", async () => {
+  const { document, errors } = await loadPage("gallery.html");
+  const chip = (filter) => document.querySelector(`[data_gallery_filter="${filter}"]`);
+
+  assert.deepEqual(shownTypes(document), ["cad", "build", "event", "prototype"]);
+  assert.ok(chip("all").classList.contains("is_active"));
+
+  chip("build").click();
+  assert.deepEqual(shownTypes(document), ["build"]);
+  assert.ok(chip("build").classList.contains("is_active"));
+  assert.equal(chip("all").classList.contains("is_active"), false);
+
+  chip("all").click();
+  assert.equal(shownTypes(document).length, 4);
+  assert.deepEqual(errors, []);
+});
+
+test("the viewer only steps through the images left by the filter", async () => {
+  const { document } = await loadPage("gallery.html");
+
+  document.querySelector('[data_gallery_filter="event"]').click();
+  document.querySelector('[data_image_type="event"]').click();
+
+  assert.equal(document.querySelector("#image_modal_counter").hidden, true);
+  assert.equal(document.querySelector("[data_image_next]").hidden, true);
+});
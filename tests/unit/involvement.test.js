@@ -0,0 +1,194 @@
+// core/markdown.js, core/involvement.js and components/involvement.js: Markdown involvement pages
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage } = require("../helpers/dom");
+
+const ROBOTICS = `---
+title: Robotics
+role: Drivetrain lead
+description: Robot drivetrains.
+start: 2022-09
+end: 2024-05
+category: robotics
+tools: [CAD, "Prototyping"]
+images:
+  - src: assets/images/robot_01.jpg
+    alt: Robot on the field
+    caption: Week one
+  - assets/images/robot_02.jpg
+---
+
+# Overview
+
+Built **two** drivetrains.
+`;
+
+const md = (text) => Buffer.from(text);
+
+const loadInvolvement = (id, options = {}) =>
+  loadPage("involvement.html", {
+    url: `http://localhost/involvement.html?id=${id}`,
+    ...options,
+    data: { "assets/content/involvement/robotics.md": md(ROBOTICS), ...options.data },
+  });
+
+// Renders markdown with the page's own module instance
+const render = async (markdown, options) => {
+  const page = await loadPage("involvement.html");
+  const { renderMarkdown } = await page.importModule("assets/js/core/markdown.js");
+  const root = page.document.createElement("div");
+  root.appendChild(renderMarkdown(markdown, options));
+  return root;
+};
+
+test("the template renders the page named by ?id= from its front matter and body", async () => {
+  const { document, errors, settle } = await loadInvolvement("robotics");
+  await settle();
+
+  assert.equal(document.querySelector("[data_inv_title]").textContent, "Robotics");
+  assert.equal(document.querySelector("[data_inv_role]").textContent, "Drivetrain lead");
+  assert.equal(document.querySelector("[data_inv_meta]").textContent, "Robotics · Sep 2022 to May 2024");
+  assert.equal(document.title, "Test Person | Robotics");
+  assert.equal(document.querySelector('meta[name="description"]').getAttribute("content"), "Robot drivetrains.");
+
+  // "#" sits under the page's <h1>
+  const content = document.querySelector("[data_inv_content]");
+  assert.equal(content.querySelector("h2").textContent, "Overview");
+  assert.equal(content.querySelector("p strong").textContent, "two");
+
+  const tools = [...document.querySelectorAll("[data_inv_tools] .tag")].map((li) => li.textContent);
+  assert.deepEqual(tools, ["CAD", "Prototyping"]);
+
+  const images = document.querySelectorAll("[data_inv_gallery] [data_image_open]");
+  assert.equal(images.length, 2);
+  assert.equal(images[0].getAttribute("data_image_caption"), "Week one");
+  assert.equal(images[1].getAttribute("data_image_alt"), "Robotics, image 2");
+
+  const related = document.querySelector("[data_inv_related]");
+  assert.equal(related.hidden, false);
+  assert.equal(related.getAttribute("href"), "projects.html?category=robotics");
+
+  // The timeline is added with the category, then mounted by the registry
+  const timeline = document.querySelector("[data_inv_timeline] [data_timeline]");
+  assert.equal(timeline.getAttribute("data_timeline_category"), "robotics");
+  assert.equal(timeline.querySelectorAll(".tl_entry").length, 1);
+
+  const breadcrumb = JSON.parse(document.querySelector('script[data_jsonld="breadcrumb"]').textContent);
+  assert.equal(breadcrumb.itemListElement.pop().item, "https://example.com/involvement.html?id=robotics");
+  assert.deepEqual(errors, []);
+});
+
+test("without a category there is no related link or timeline", async () => {
+  const { document } = await loadInvolvement("camp", {
+    data: { "assets/content/involvement/camp.md": md("---\ntitle: Camp\n---\nText.\n") },
+  });
+
+  assert.equal(document.querySelector("[data_inv_title]").textContent, "Camp");
+  assert.equal(document.querySelector("[data_inv_related]").hidden, true);
+  assert.equal(document.querySelector("[data_timeline_section]").hidden, true);
+  assert.equal(document.querySelector("[data_inv_media]").hidden, true);
+  assert.equal(document.querySelector("[data_inv_tools]").closest(".card").hidden, true);
+});
+
+test("an unknown or unsafe id says so without fetching outside the folder", async () => {
+  for (const id of ["nope", "..%2F..%2Fsw"]) {
+    const { document, fetches } = await loadInvolvement(id);
+
+    assert.equal(document.querySelector("[data_inv_missing]").hidden, false);
+    assert.equal(document.querySelector("[data_inv_body]").hidden, true);
+    assert.equal(document.querySelector("[data_inv_title]").textContent, "Page not found");
+    assert.ok(fetches.every((file) => !file.includes("..") && !file.endsWith("sw.md")));
+  }
+});
+
+test("a translated file is used in its language, the English one otherwise", async () => {
+  const spanish = ROBOTICS.replace("title: Robotics", "title: Robótica");
+  const { document } = await loadInvolvement("robotics", {
+    prefs: { lang: "es" },
+    data: { "assets/content/involvement/robotics.es.md": md(spanish) },
+  });
+  assert.equal(document.querySelector("[data_inv_title]").textContent, "Robótica");
+
+  const fallback = await loadInvolvement("robotics", { prefs: { lang: "es" } });
+  assert.equal(fallback.document.querySelector("[data_inv_title]").textContent, "Robotics");
+});
+
+test("markdown renders headings, lists, code, tables and images", async () => {
+  const root = await render(
+    [
+      "## Build",
+      "",
+      "1. Cut",
+      "2. Weld",
+      "   - TIG",
+      "   - MIG",
+      "",
+      "```js",
+      "const x = 1 < 2;",
+      "```",
+      "",
+      "| Part | Mass |",
+      "| :--- | ---: |",
+      "| Upright | 1.2 kg |",
+      "",
+      '![Rig](assets/images/rig.jpg "Test rig")',
+      "",
+      "Use `snake_case_names` and _this_ [link](projects.html).",
+    ].join("\n")
+  );
+
+  assert.equal(root.querySelector("h2").textContent, "Build");
+  assert.equal(root.querySelector("ol").children.length, 2);
+  assert.equal(root.querySelector("ol li:nth-child(2) ul").children.length, 2);
+  assert.equal(root.querySelector("pre code").textContent, "const x = 1 < 2;");
+  assert.equal(root.querySelector("pre code").getAttribute("data_lang"), "js");
+  assert.equal(root.querySelector("th").textContent, "Part");
+  assert.equal(root.querySelector("td:last-child").getAttribute("data_align"), "right");
+  assert.equal(root.querySelector("figure img").getAttribute("src"), "assets/images/rig.jpg");
+  assert.equal(root.querySelector("figcaption").textContent, "Test rig");
+
+  const last = root.querySelector("p:last-child");
+  assert.equal(last.querySelector("code").textContent, "snake_case_names");
+  assert.equal(last.querySelector("em").textContent, "this");
+  assert.equal(last.querySelector("a").getAttribute("href"), "projects.html");
+});
+
+test("markdown cannot inject markup, scripts or unsafe links", async () => {
+  const root = await render(
+    [
+      '<script>alert(1)</script> <img src=x onerror="alert(1)">',
+      "",
+      "[click](javascript:alert(1)) [data](data:text/html,hi) ![x](data:image/png;base64,AAAA)",
+      "",
+      "[site](https://example.com) \\*not em\\*",
+    ].join("\n")
+  );
+
+  assert.equal(root.querySelectorAll("script, img[onerror]").length, 0);
+  assert.match(root.querySelector("p").textContent, /^<script>alert\(1\)<\/script>/);
+
+  const links = root.querySelectorAll("a");
+  assert.equal(links.length, 1);
+  assert.equal(links[0].getAttribute("href"), "https://example.com");
+  assert.equal(links[0].getAttribute("rel"), "noreferrer");
+  assert.equal(root.querySelector("img").hasAttribute("src"), false);
+  assert.equal(root.querySelector("em"), null);
+});
+
+test("front matter reads scalars, inline lists and lists of maps", async () => {
+  const page = await loadPage("involvement.html");
+  const { parseFrontMatter } = await page.importModule("assets/js/core/markdown.js");
+  const { data, body } = parseFrontMatter(ROBOTICS);
+
+  assert.equal(data.title, "Robotics");
+  assert.equal(data.start, "2022-09");
+  assert.equal(JSON.stringify(data.tools), '["CAD","Prototyping"]');
+  assert.equal(JSON.stringify(data.images[0]), '{"src":"assets/images/robot_01.jpg","alt":"Robot on the field","caption":"Week one"}');
+  assert.equal(data.images[1], "assets/images/robot_02.jpg");
+  assert.ok(body.startsWith("\n# Overview"));
+
+  assert.equal(Object.keys(parseFrontMatter("No front matter").data).length, 0);
+});
@@ -0,0 +1,133 @@
+// core/metrics.js, components/metrics.js, components/charts.js and the count-up formats
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, readFixture } = require("../helpers/dom");
+
+const withHours = () => {
+  const data = readFixture("projects.json");
+  data.projects.forEach((p, i) => {
+    p.hours = [40, 60.5, 25, 10][i];
+  });
+  return data;
+};
+
+const resumeWith = (links) => ({ ...readFixture("resume.json"), involvement: links.map((link) => ({ name: link, link })) });
+
+const md = (text) => Buffer.from(text);
+
+// The metrics after they have counted up (reduced motion jumps straight to the value)
+const metricValues = async (metrics, data = {}) => {
+  const site = { ...readFixture("site.json"), metrics };
+  const page = await loadPage("index.html", { data: { "assets/data/site.json": site, ...data }, prefs: { motion: "reduced" } });
+  const values = [...page.document.querySelectorAll("[data_metrics] [data_countup]")];
+  values.forEach((el) => page.window.__intersect(el));
+  return { ...page, values: values.map((el) => el.textContent) };
+};
+
+test("metrics with a source are worked out from the project and involvement data", async () => {
+  const { values, errors } = await metricValues(
+    [
+      { label: "Projects", source: "projects", value: 99 },
+      { label: "Hours", source: "project_hours", decimals: 1 },
+      { label: "CAD hours", source: "project_hours", skill: "cad" },
+      { label: "Skills", source: "skills" },
+      { label: "Formula projects", source: "projects", category: "formula_sae" },
+      { label: "Volunteer hours", source: "involvement_hours", category: "scouting" },
+      { label: "Pages", source: "involvement" },
+    ],
+    {
+      "assets/data/projects.json": withHours(),
+      "assets/data/resume.json": resumeWith(["involvement.html?id=scouting", "involvement.html?id=camp", "involvement.html?id=gone"]),
+      "assets/content/involvement/scouting.md": md("---\ntitle: Scouting\ncategory: scouting\nhours: 120\n---\n"),
+      "assets/content/involvement/camp.md": md("---\ntitle: Camp\nhours: 30\n---\n"),
+      "assets/content/involvement/gone.md": null,
+    }
+  );
+
+  // CAD is on the first three projects; skills are counted once whatever their case
+  assert.deepEqual(values, ["4", "135.5", "125.5", "5", "2", "120", "2"]);
+  assert.deepEqual(errors, []);
+});
+
+test("a metric keeps its typed value when the data cannot be loaded", async () => {
+  const { values, warnings } = await metricValues([{ label: "Projects", source: "projects", value: 12 }, { label: "Fixed", value: 3 }], {
+    "assets/data/projects.json": null,
+  });
+
+  assert.deepEqual(values, ["12", "3"]);
+  assert.ok(warnings.some((w) => w.includes("[metrics]")));
+});
+
+test("count-ups take a prefix, a suffix, decimals and compact notation", async () => {
+  const { values } = await metricValues([
+    { label: "Funds", value: 5000, prefix: "$", compact: true },
+    { label: "Budget", value: 1250000, prefix: "$", compact: true, decimals: 2 },
+    { label: "Hours", value: 350, suffix: "+" },
+    { label: "GPA", value: 3.8, decimals: 2 },
+  ]);
+
+  assert.deepEqual(values, ["$5K", "$1.25M", "350+", "3.80"]);
+});
+
+test("a count-up with decimals animates to the exact value in its format", async () => {
+  const site = { ...readFixture("site.json"), metrics: [{ label: "Rating", value: 4.5, decimals: 1, suffix: " / 5" }] };
+  const { window, document, settle } = await loadPage("index.html", { data: { "assets/data/site.json": site }, prefs: { motion: "full" } });
+  const value = document.querySelector("[data_metrics] [data_countup]");
+
+  assert.equal(value.textContent, "0.0 / 5");
+  window.__intersect(value);
+  await settle(1100);
+  assert.equal(value.textContent, "4.5 / 5");
+});
+
+test("charts draw projects per year, with quiet years, and the most used skills", async () => {
+  const data = readFixture("projects.json");
+  data.projects[3].year = 2019;
+  const { document, errors } = await loadPage("index.html", { data: { "assets/data/projects.json": data } });
+
+  const years = document.querySelector('[data_chart="projects_per_year"]');
+  const svg = years.querySelector("svg");
+  assert.equal(svg.getAttribute("role"), "img");
+  assert.equal(svg.querySelector("title").textContent, "Projects per year");
+  assert.equal(svg.querySelector("desc").textContent, "2019: 1 project, 2020: 0 projects, 2021: 0 projects, 2022: 0 projects, 2023: 1 project, 2024: 1 project, 2025: 1 project");
+  assert.deepEqual(svg.getAttribute("aria-labelledby").split(" ").map((id) => document.getElementById(id).tagName), ["title", "desc"]);
+  assert.equal(svg.querySelectorAll(".chart_bar").length, 7);
+
+  const skills = document.querySelector('[data_chart="skills"]');
+  const labels = [...skills.querySelectorAll(".chart_label")].map((el) => el.textContent);
+  assert.deepEqual(labels, ["CAD", "Testing", "Leadership", "Manufacturing", "Prototyping"]);
+  assert.equal(skills.getAttribute("data_chart_layout"), "rows");
+  assert.deepEqual(errors, []);
+});
+
+test("a mistyped project year is left off the chart instead of stretching it", async () => {
+  const data = readFixture("projects.json");
+  data.projects[0].year = 202;
+  data.projects[1].year = 20245;
+  const { document } = await loadPage("index.html", { data: { "assets/data/projects.json": data } });
+
+  const svg = document.querySelector('[data_chart="projects_per_year"] svg');
+  assert.equal(svg.querySelector("desc").textContent, "2022: 1 project, 2023: 0 projects, 2024: 1 project");
+  assert.equal(svg.querySelectorAll(".chart_bar").length, 3);
+});
+
+test("charts grow in when scrolled to, or are shown at once with reduced motion", async () => {
+  const full = await loadPage("index.html", { prefs: { motion: "full" } });
+  const chart = full.document.querySelector("[data_chart]");
+  assert.equal(chart.classList.contains("in_view"), false);
+  full.window.__intersect(chart);
+  assert.equal(chart.classList.contains("in_view"), true);
+
+  const reduced = await loadPage("index.html", { prefs: { motion: "reduced" } });
+  assert.ok([...reduced.document.querySelectorAll("[data_chart]")].every((el) => el.classList.contains("in_view")));
+});
+
+test("a chart without data says so instead of drawing empty axes", async () => {
+  const { document } = await loadPage("index.html", { data: { "assets/data/projects.json": { projects: [] } } });
+
+  assert.equal(document.querySelector('[data_chart="skills"] svg'), null);
+  assert.equal(document.querySelector('[data_chart="skills"] .chart_empty').textContent, "Nothing to chart yet.");
+});
@@ -0,0 +1,156 @@
+// components/modal.js, image_viewer.js, project_view.js, search_palette.js: focus trap, Escape,
+// #image= / #project= links
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, pressKey } = require("../helpers/dom");
+
+const imageButtons = (document) => [...document.querySelectorAll("[data_image_open]")];
+
+test("an image opens the viewer and focus moves into it", async () => {
+  const { window, document, errors } = await loadPage("gallery.html");
+  const modal = document.querySelector('.modal[data_modal="image"]');
+  const thumb = imageButtons(document)[1];
+
+  thumb.focus();
+  thumb.click();
+
+  assert.ok(modal.classList.contains("is_open"));
+  assert.equal(modal.getAttribute("aria-hidden"), "false");
+  assert.equal(document.body.style.overflow, "hidden");
+  assert.ok(modal.contains(document.activeElement));
+  assert.equal(document.querySelector("#image_modal_counter").textContent, "2 of 4");
+  assert.equal(window.location.hash, "#image=2");
+  assert.deepEqual(errors, []);
+});
+
+test("Tab and Shift+Tab wrap inside the open modal", async () => {
+  const { window, document } = await loadPage("gallery.html");
+  const modal = document.querySelector('.modal[data_modal="image"]');
+  imageButtons(document)[0].click();
+
+  const focusable = [...modal.querySelectorAll("button")].filter((b) => !b.hidden);
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  assert.equal(document.activeElement, first);
+
+  let event = pressKey(window, "Tab", { shiftKey: true });
+  assert.equal(event.defaultPrevented, true);
+  assert.equal(document.activeElement, last);
+
+  event = pressKey(window, "Tab");
+  assert.equal(event.defaultPrevented, true);
+  assert.equal(document.activeElement, first);
+
+  // Tabbing between the ends is left to the browser
+  event = pressKey(window, "Tab");
+  assert.equal(event.defaultPrevented, false);
+});
+
+test("Escape closes the modal, restores focus and the URL", async () => {
+  const { window, document, settle } = await loadPage("gallery.html");
+  const modal = document.querySelector('.modal[data_modal="image"]');
+  const thumb = imageButtons(document)[2];
+
+  thumb.focus();
+  thumb.click();
+  pressKey(window, "Escape");
+  await settle();
+
+  assert.equal(modal.classList.contains("is_open"), false);
+  assert.equal(modal.getAttribute("aria-hidden"), "true");
+  assert.equal(document.body.style.overflow, "");
+  assert.equal(document.activeElement, thumb);
+  assert.equal(window.location.hash, "");
+});
+
+test("arrow keys step through the images and wrap", async () => {
+  const { window, document } = await loadPage("gallery.html");
+  const counter = document.querySelector("#image_modal_counter");
+  imageButtons(document)[3].click();
+
+  pressKey(window, "ArrowRight");
+  assert.equal(counter.textContent, "1 of 4");
+  assert.equal(window.location.hash, "#image=1");
+  pressKey(window, "ArrowLeft");
+  assert.equal(counter.textContent, "4 of 4");
+});
+
+test("#image=<n> opens that image on load", async () => {
+  const { document } = await loadPage("gallery.html", { url: "http://localhost/gallery.html#image=3" });
+
+  assert.ok(document.querySelector('.modal[data_modal="image"]').classList.contains("is_open"));
+  assert.equal(document.querySelector("#image_modal_counter").textContent, "3 of 4");
+});
+
+test("quick view shows the card's project", async () => {
+  const { window, document } = await loadPage("projects.html");
+  const card = document.querySelector('[data_project_card][data_project_slug="arm-gripper"]');
+
+  card.querySelector("[data_project_quickview]").click();
+
+  const modal = document.querySelector('.modal[data_modal="project"]');
+  assert.ok(modal.classList.contains("is_open"));
+  assert.equal(document.querySelector("#project_modal_title").textContent, "Arm Gripper");
+  assert.equal(window.location.hash, "#project=arm-gripper");
+});
+
+test("#project=<slug> opens from projects.json on pages without cards", async () => {
+  const { document } = await loadPage("resume.html", { url: "http://localhost/resume.html#project=drive-gearbox" });
+
+  assert.ok(document.querySelector('.modal[data_modal="project"]').classList.contains("is_open"));
+  assert.equal(document.querySelector("#project_modal_title").textContent, "Drive Gearbox");
+  assert.equal(document.querySelector("[data_project_modal_link]").getAttribute("href"), "project.html?id=drive-gearbox");
+});
+
+test("an unknown #project= leaves every modal closed", async () => {
+  const { document, errors } = await loadPage("resume.html", { url: "http://localhost/resume.html#project=nope" });
+
+  assert.equal(document.querySelector(".modal.is_open"), null);
+  assert.deepEqual(errors, []);
+});
+
+test("a #project= or #image= that is not valid percent encoding is ignored", async () => {
+  const { window, document, errors, settle } = await loadPage("resume.html", { url: "http://localhost/resume.html#project=%E0" });
+  assert.equal(document.querySelector(".modal.is_open"), null);
+
+  window.location.hash = "#image=%E0%A4";
+  window.dispatchEvent(new window.PopStateEvent("popstate"));
+  await settle();
+
+  assert.equal(document.querySelector(".modal.is_open"), null);
+  assert.deepEqual(errors, []);
+});
+
+const SEARCH_INDEX = {
+  entries: [
+    { type: "project", title: "Drive Gearbox", text: "Two stage reduction", tags: ["CAD"], url: "projects.html#project=drive-gearbox" },
+    { type: "page", title: "Formula SAE", text: "Powertrain team", tags: [], url: "involvement_formula_sae.html" },
+  ],
+};
+
+test("Ctrl+K opens the search palette and Enter follows the active result", async () => {
+  const { window, document, settle } = await loadPage("projects.html", {
+    data: { "assets/data/search_index.json": SEARCH_INDEX },
+  });
+  const palette = document.querySelector('.modal[data_modal="search"]');
+  const input = palette.querySelector("[data_search_input]");
+
+  pressKey(window, "k", { ctrlKey: true });
+  await settle();
+  assert.ok(palette.classList.contains("is_open"));
+  assert.equal(document.activeElement, input);
+
+  input.value = "gearbx";
+  input.dispatchEvent(new window.Event("input"));
+  const options = [...palette.querySelectorAll("[role='option']")];
+  assert.equal(options.length, 1);
+  assert.equal(input.getAttribute("aria-activedescendant"), options[0].id);
+
+  // A project on this page opens its quick view instead of navigating
+  input.dispatchEvent(new window.KeyboardEvent("keydown", { key: "Enter", bubbles: true, cancelable: true }));
+  assert.equal(palette.classList.contains("is_open"), false);
+  assert.ok(document.querySelector('.modal[data_modal="project"]').classList.contains("is_open"));
+});
@@ -0,0 +1,239 @@
+// core/model_formats.js, components/model_viewer.js: STL / glTF parsing, the quick view
+// viewer, the image fallback without WebGL, pausing when the modal closes
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, pressKey, readFixture } = require("../helpers/dom");
+
+const STL_SRC = "assets/models/test.stl";
+
+const ASCII_STL = `solid base
+  facet normal 0 0 1
+    outer loop
+      vertex 0 0 0
+      vertex 1 0 0
+      vertex 0 1 0
+    endloop
+  endfacet
+endsolid base
+solid pin
+  facet normal 0 0 1
+    outer loop
+      vertex 0 0 2
+      vertex 1 0 2
+      vertex 0 1 2
+    endloop
+  endfacet
+endsolid pin
+`;
+
+// Binary STL whose header starts with "solid", as many exporters write it
+const binaryStl = (triangles) => {
+  const buf = Buffer.alloc(84 + triangles.length * 50);
+  buf.write("solid exported by CAD", 0, "latin1");
+  buf.writeUInt32LE(triangles.length, 80);
+  triangles.forEach((tri, i) => tri.forEach((v, j) => buf.writeFloatLE(v, 84 + i * 50 + 12 + j * 4)));
+  return buf;
+};
+
+// One indexed triangle, used by two nodes; the second is a child of the first
+const gltfScene = (buffer) => ({
+  asset: { version: "2.0" },
+  scene: 0,
+  scenes: [{ nodes: [0] }],
+  nodes: [
+    { name: "housing", mesh: 0, translation: [10, 0, 0], children: [1] },
+    { name: "shaft", mesh: 0, translation: [0, 1, 0] },
+  ],
+  meshes: [{ primitives: [{ attributes: { POSITION: 0 }, indices: 1, material: 0 }] }],
+  materials: [{ pbrMetallicRoughness: { baseColorFactor: [1, 0, 0, 1] } }],
+  buffers: [buffer],
+  bufferViews: [
+    { buffer: 0, byteOffset: 0, byteLength: 36 },
+    { buffer: 0, byteOffset: 36, byteLength: 6 },
+  ],
+  accessors: [
+    { bufferView: 0, componentType: 5126, count: 3, type: "VEC3" },
+    { bufferView: 1, componentType: 5123, count: 3, type: "SCALAR" },
+  ],
+});
+
+const gltfBin = () => {
+  const buf = Buffer.alloc(44);
+  [0, 0, 0, 1, 0, 0, 0, 1, 0].forEach((v, i) => buf.writeFloatLE(v, i * 4));
+  [0, 1, 2].forEach((v, i) => buf.writeUInt16LE(v, 36 + i * 2));
+  return buf;
+};
+
+const glb = (json, bin) => {
+  const jsonChunk = Buffer.from(JSON.stringify(json).padEnd(Math.ceil(JSON.stringify(json).length / 4) * 4, " "));
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(0x46546c67, 0);
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(12 + 8 + jsonChunk.length + 8 + bin.length, 8);
+  const chunk = (type, data) => {
+    const head = Buffer.alloc(8);
+    head.writeUInt32LE(data.length, 0);
+    head.writeUInt32LE(type, 4);
+    return Buffer.concat([head, data]);
+  };
+  return Buffer.concat([header, chunk(0x4e4f534a, jsonChunk), chunk(0x004e4942, bin)]);
+};
+
+const round = (list) => JSON.stringify(Array.from(list, (v) => Math.round(v * 1000) / 1000));
+
+const loadFormats = async (data) => {
+  const page = await loadPage("offline.html", { data });
+  return page.importModule("assets/js/core/model_formats.js");
+};
+
+test("ASCII STL: each solid is a part, Z-up turns to Y-up, normals are computed", async () => {
+  const formats = await loadFormats({ [STL_SRC]: Buffer.from(ASCII_STL) });
+  const { parts } = await formats.loadModel({ src: STL_SRC, format: "stl", up: "" });
+
+  assert.equal(parts.map((p) => p.name).join(), "base,pin");
+  assert.equal(round(parts[0].positions), "[0,0,0,1,0,0,0,0,-1]");
+  assert.equal(round(parts[1].positions), "[0,2,0,1,2,0,0,2,-1]");
+  assert.equal(round(parts[0].normals.slice(0, 3)), "[0,1,0]");
+});
+
+test("binary STL is told apart by its size, whatever the header says", async () => {
+  const tris = [
+    [0, 0, 0, 2, 0, 0, 0, 2, 0],
+    [0, 0, 1, 2, 0, 1, 0, 2, 1],
+  ];
+  const formats = await loadFormats({ [STL_SRC]: binaryStl(tris) });
+  const { parts } = await formats.loadModel({ src: STL_SRC, format: "stl", up: "y" });
+
+  assert.equal(parts.length, 1);
+  assert.equal(round(parts[0].positions), JSON.stringify(tris.flat()));
+});
+
+test("glTF and GLB: node transforms are baked in and materials give the colour", async () => {
+  const uri = `data:application/octet-stream;base64,${gltfBin().toString("base64")}`;
+  const formats = await loadFormats({
+    "assets/models/test.gltf": gltfScene({ uri, byteLength: 44 }),
+    "assets/models/test.glb": glb(gltfScene({ byteLength: 44 }), gltfBin()),
+  });
+
+  for (const src of ["assets/models/test.gltf", "assets/models/test.glb"]) {
+    const { parts } = await formats.loadModel({ src, format: "", up: "" });
+    assert.equal(parts.map((p) => p.name).join(), "housing,shaft", src);
+    assert.equal(round(parts[0].positions), "[10,0,0,11,0,0,10,1,0]", src);
+    assert.equal(round(parts[1].positions), "[10,1,0,11,1,0,10,2,0]", src);
+    assert.equal(JSON.stringify(parts[0].color), "[1,0,0]", src);
+  }
+});
+
+/* ===========================
+   Quick view
+   =========================== */
+
+// projects.json with a model on Brake Pedal
+const withModel = (model) => {
+  const data = readFixture("projects.json");
+  data.projects[0].model = model;
+  return { "assets/data/projects.json": data, [STL_SRC]: binaryStl([[0, 0, 0, 1, 0, 0, 0, 1, 0]]) };
+};
+
+// Enough of a WebGL context for the viewer to run; counts draw calls
+const fakeWebGl = (window) => {
+  const stats = { draws: 0 };
+  const gl = new Proxy(
+    {
+      drawArrays: () => {
+        stats.draws += 1;
+      },
+    },
+    {
+      get: (target, key) => {
+        if (key in target) return target[key];
+        if (typeof key === "string" && /^[A-Z0-9_]+$/.test(key)) return 1;
+        return () => ({});
+      },
+    }
+  );
+  window.HTMLCanvasElement.prototype.getContext = () => gl;
+  return stats;
+};
+
+const openQuickView = async ({ document, settle }) => {
+  document.querySelector('[data_project_slug="brake-pedal"] [data_project_quickview]').click();
+  await settle();
+  return document.querySelector('.modal[data_modal="project"]');
+};
+
+test("the quick view shows the model and stops drawing once the modal closes", async () => {
+  let stats;
+  const page = await loadPage("projects.html", {
+    data: withModel(STL_SRC),
+    before: (window) => {
+      stats = fakeWebGl(window);
+    },
+  });
+  const modal = await openQuickView(page);
+  const canvas = modal.querySelector(".model_canvas");
+
+  assert.ok(canvas && !canvas.hidden);
+  assert.equal(modal.querySelector("#project_modal_img").hidden, true);
+  assert.equal(modal.querySelector(".modal_project_media").getAttribute("aria-hidden"), "false");
+  assert.equal(modal.querySelector(".model_controls").hidden, false);
+  // One part: nothing to explode
+  assert.equal(modal.querySelector("[data_model_explode]").closest("label").hidden, true);
+
+  // Auto-rotating while open
+  await page.settle(60);
+  assert.ok(stats.draws > 1);
+
+  pressKey(page.window, "Escape");
+  await page.settle(20);
+  const drawn = stats.draws;
+  await page.settle(80);
+  assert.equal(stats.draws, drawn);
+
+  const wire = modal.querySelector("[data_model_wireframe]");
+  wire.click();
+  assert.equal(wire.getAttribute("aria-pressed"), "true");
+  assert.deepEqual(page.errors, []);
+});
+
+test("reduced motion draws only when the view changes", async () => {
+  let stats;
+  const page = await loadPage("projects.html", {
+    data: withModel({ src: STL_SRC, up: "y" }),
+    prefs: { motion: "reduced" },
+    before: (window) => {
+      stats = fakeWebGl(window);
+    },
+  });
+  const modal = await openQuickView(page);
+  await page.settle(60);
+  const drawn = stats.draws;
+  assert.ok(drawn >= 1);
+  await page.settle(60);
+  assert.equal(stats.draws, drawn);
+
+  modal.querySelector(".model_canvas").dispatchEvent(new page.window.KeyboardEvent("keydown", { key: "ArrowLeft", bubbles: true }));
+  await page.settle(40);
+  assert.equal(stats.draws, drawn + 1);
+});
+
+test("without WebGL the quick view keeps the image", async () => {
+  const page = await loadPage("projects.html", {
+    data: withModel(STL_SRC),
+    before: (window) => {
+      window.HTMLCanvasElement.prototype.getContext = () => null;
+    },
+  });
+  const modal = await openQuickView(page);
+
+  assert.ok(modal.classList.contains("is_open"));
+  assert.equal(modal.querySelector(".model_viewer"), null);
+  assert.equal(modal.querySelector("#project_modal_img").hidden, false);
+  assert.equal(modal.querySelector(".modal_project_media").getAttribute("aria-hidden"), "true");
+  assert.ok(page.warnings.some((w) => w.includes("[model] Could not show assets/models/test.stl")));
+  // Nothing fetched when there is nothing to draw with
+  assert.ok(!page.fetches.includes(STL_SRC));
+});
@@ -0,0 +1,174 @@
+// core/offline.js, core/analytics.js, core/images.js, print support in main.js
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, readFixture } = require("../helpers/dom");
+
+const siteWith = (extra) => ({ ...readFixture("site.json"), ...extra });
+
+/* ---------- Service worker ---------- */
+
+// Just enough of navigator.serviceWorker for main.js
+const fakeServiceWorker = (window, { waiting } = {}) => {
+  const posted = [];
+  const worker = { postMessage: (msg) => posted.push(msg) };
+  const registration = { waiting: waiting ? worker : null, addEventListener() {} };
+  const registered = [];
+  const listeners = [];
+
+  Object.defineProperty(window.navigator, "serviceWorker", {
+    configurable: true,
+    value: {
+      controller: {},
+      register: (url) => {
+        registered.push(url);
+        return Promise.resolve(registration);
+      },
+      addEventListener: (type, fn) => listeners.push({ type, fn }),
+    },
+  });
+  // What the browser does when another worker takes over the page
+  const changeController = () => listeners.filter((l) => l.type === "controllerchange").forEach((l) => l.fn());
+  return { posted, registered, changeController };
+};
+
+test("the service worker is registered", async () => {
+  let sw;
+  await loadPage("index.html", { before: (w) => (sw = fakeServiceWorker(w)) });
+
+  assert.deepEqual(sw.registered, ["sw.js"]);
+});
+
+test("a waiting update offers a reload", async () => {
+  let sw;
+  const { document } = await loadPage("index.html", { before: (w) => (sw = fakeServiceWorker(w, { waiting: true })) });
+  const toast = document.querySelector("[data_update_toast]");
+
+  assert.ok(toast);
+  toast.querySelector("button.primary").click();
+  assert.equal(JSON.stringify(sw.posted), JSON.stringify([{ type: "SKIP_WAITING" }]));
+});
+
+test("the page reloads when the update it asked for takes over, not on the first install", async () => {
+  let sw;
+  const first = await loadPage("index.html", { before: (w) => (sw = fakeServiceWorker(w)) });
+  sw.changeController();
+  assert.equal(first.navigations(), 0);
+
+  const update = await loadPage("index.html", { before: (w) => (sw = fakeServiceWorker(w, { waiting: true })) });
+  update.document.querySelector("[data_update_toast] button.primary").click();
+  sw.changeController();
+  sw.changeController();
+  assert.equal(update.navigations(), 1);
+});
+
+/* ---------- Analytics ---------- */
+
+test("analytics is off unless site.json picks a sink", async () => {
+  const { window, document } = await loadPage("gallery.html");
+
+  document.querySelector("[data_image_open]").click();
+  window.dispatchEvent(new window.Event("pagehide"));
+  assert.equal(window.localStorage.getItem("site_analytics_log"), null);
+});
+
+test("the local sink logs anonymous events", async () => {
+  const { window, document } = await loadPage("gallery.html", {
+    data: { "assets/data/site.json": siteWith({ analytics: { sink: "local" } }) },
+  });
+
+  document.querySelectorAll("[data_image_open]")[1].click();
+  window.dispatchEvent(new window.Event("pagehide"));
+
+  const log = JSON.parse(window.localStorage.getItem("site_analytics_log"));
+  assert.deepEqual(
+    log.map((e) => [e.name, e.page]),
+    [
+      ["page_view", "gallery.html"],
+      ["image_open", "gallery.html"],
+    ]
+  );
+  assert.equal(log[1].image, 2);
+  assert.deepEqual(Object.keys(log[0]).sort(), ["name", "page", "time"]);
+});
+
+test("Do Not Track turns analytics off", async () => {
+  const { window } = await loadPage("gallery.html", {
+    data: { "assets/data/site.json": siteWith({ analytics: { sink: "local" } }) },
+    before: (w) => Object.defineProperty(w.navigator, "doNotTrack", { configurable: true, value: "1" }),
+  });
+
+  window.dispatchEvent(new window.Event("pagehide"));
+  assert.equal(window.localStorage.getItem("site_analytics_log"), null);
+});
+
+test("the beacon sink batches events to the endpoint", async () => {
+  const beacons = [];
+  const { window, document } = await loadPage("resume.html", {
+    data: { "assets/data/site.json": siteWith({ analytics: { sink: "beacon", endpoint: "https://stats.example/collect" } }) },
+    before: (w) => {
+      w.navigator.sendBeacon = (url, body) => beacons.push([url, JSON.parse(body)]) > 0;
+    },
+  });
+
+  document.querySelector("a[data_resume_pdf]").click();
+  window.dispatchEvent(new window.Event("pagehide"));
+
+  assert.equal(beacons.length, 1);
+  assert.equal(beacons[0][0], "https://stats.example/collect");
+  assert.deepEqual(
+    beacons[0][1].events.map((e) => e.name),
+    ["page_view", "resume_download"]
+  );
+});
+
+/* ---------- Print ---------- */
+
+test("closed details open for printing and close again after", async () => {
+  const { window, document } = await loadPage("resume.html");
+  const closed = [...document.querySelectorAll("details:not([open])")];
+  assert.ok(closed.length > 0);
+
+  window.dispatchEvent(new window.Event("beforeprint"));
+  assert.ok(closed.every((d) => d.open));
+
+  window.dispatchEvent(new window.Event("afterprint"));
+  assert.ok(closed.every((d) => !d.open));
+});
+
+/* ---------- Responsive images ---------- */
+
+const MANIFEST = {
+  images: {
+    "assets/images/gallery/image_01.jpg": {
+      width: 1200,
+      height: 800,
+      placeholder: "data:image/webp;base64,AAAA",
+      sources: {
+        avif: [{ src: "assets/images/generated/gallery/image_01-480.avif", width: 480 }],
+        webp: [{ src: "assets/images/generated/gallery/image_01-480.webp", width: 480 }],
+        fallback: [{ src: "assets/images/generated/gallery/image_01-480.jpg", width: 480 }],
+      },
+    },
+  },
+};
+
+test("images in the manifest get a <picture> with AVIF and WebP sources", async () => {
+  const { document } = await loadPage("gallery.html", { data: { "assets/data/images.json": MANIFEST } });
+  const img = document.querySelector('.masonry img[src="assets/images/gallery/image_01.jpg"]');
+  const picture = img.parentElement;
+
+  assert.equal(picture.tagName, "PICTURE");
+  assert.deepEqual(
+    [...picture.querySelectorAll("source")].map((s) => s.getAttribute("type")),
+    ["image/avif", "image/webp"]
+  );
+  assert.equal(img.getAttribute("srcset"), "assets/images/generated/gallery/image_01-480.jpg 480w");
+  assert.ok(img.classList.contains("is_placeholder"));
+
+  // Images not in the manifest are left alone
+  const other = document.querySelector('.masonry img[src="assets/images/gallery/image_02.jpg"]');
+  assert.equal(other.parentElement.tagName, "BUTTON");
+});
@@ -0,0 +1,124 @@
+// core/prefs.js, components/appearance.js
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, pressKey } = require("../helpers/dom");
+
+const savedPrefs = (window) => JSON.parse(window.localStorage.getItem("site_prefs"));
+
+test("system theme and motion follow the OS", async () => {
+  const { document } = await loadPage("index.html", {
+    media: { "(prefers-color-scheme: dark)": true, "(prefers-reduced-motion: reduce)": true },
+  });
+  const root = document.documentElement;
+
+  assert.equal(root.getAttribute("data_theme"), "dark");
+  assert.equal(root.getAttribute("data_motion"), "reduced");
+  // Reduced motion shows everything straight away
+  assert.ok(document.querySelectorAll("[data_animate]:not(.in_view)").length === 0);
+});
+
+test("settings saved before the appearance panel are migrated", async () => {
+  const { window, document } = await loadPage("index.html", {
+    before: (w) => {
+      w.localStorage.setItem("site_theme", "light");
+      w.localStorage.setItem("site_motion", "reduced");
+    },
+  });
+
+  assert.equal(document.documentElement.getAttribute("data_theme"), "light");
+  assert.equal(document.documentElement.getAttribute("data_motion"), "reduced");
+
+  document.querySelector("[data_theme_toggle]").click();
+  assert.equal(savedPrefs(window).theme, "system");
+  assert.equal(window.localStorage.getItem("site_theme"), null);
+});
+
+test("with storage blocked the site still runs and settings apply to the page", async () => {
+  const blockStorage = (window) => {
+    ["getItem", "setItem", "removeItem"].forEach((name) => {
+      window.Storage.prototype[name] = () => {
+        throw new window.DOMException("Blocked", "SecurityError");
+      };
+    });
+  };
+  const { document, errors } = await loadPage("projects.html", { before: blockStorage });
+
+  assert.ok(document.querySelectorAll("[data_project_card]").length > 0);
+  assert.ok(document.querySelector("[data_site_header] .nav_links"));
+  document.querySelector("[data_theme_toggle]").click();
+  assert.equal(document.documentElement.getAttribute("data_theme"), "dark");
+  assert.deepEqual(errors, []);
+});
+
+test("theme toggle cycles system -> dark -> light -> system", async () => {
+  const { window, document } = await loadPage("index.html");
+  const btn = document.querySelector("[data_theme_toggle]");
+
+  assert.equal(btn.textContent, "Theme: System");
+  const seen = [];
+  for (let i = 0; i < 3; i += 1) {
+    btn.click();
+    seen.push([savedPrefs(window).theme, document.documentElement.getAttribute("data_theme"), btn.textContent]);
+  }
+
+  assert.deepEqual(seen, [
+    ["dark", "dark", "Theme: Dark"],
+    ["light", "light", "Theme: Light"],
+    ["system", "light", "Theme: System"],
+  ]);
+});
+
+test("motion toggle cycles system -> reduced -> full -> system", async () => {
+  const { window, document } = await loadPage("index.html");
+  const btn = document.querySelector("[data_motion_toggle]");
+
+  const seen = [];
+  for (let i = 0; i < 3; i += 1) {
+    btn.click();
+    seen.push([savedPrefs(window).motion, document.documentElement.getAttribute("data_motion")]);
+  }
+
+  assert.deepEqual(seen, [
+    ["reduced", "reduced"],
+    ["full", "full"],
+    ["system", "full"],
+  ]);
+});
+
+test("appearance panel applies choices, resets, and closes on Escape", async () => {
+  const { window, document } = await loadPage("index.html", { prefs: { lang: "en" } });
+  const btn = document.querySelector("[data_appearance_toggle]");
+  const panel = document.querySelector("#appearance_panel");
+
+  assert.equal(panel.hidden, true);
+  btn.click();
+  assert.equal(panel.hidden, false);
+  assert.equal(btn.getAttribute("aria-expanded"), "true");
+
+  const pick = (key, value) => {
+    const input = panel.querySelector(`[data_pref="${key}"][value="${value}"]`);
+    input.checked = true;
+    input.dispatchEvent(new window.Event("change", { bubbles: true }));
+  };
+
+  pick("accent", "crimson");
+  pick("fontScale", "1.25");
+  pick("contrast", "high");
+  const root = document.documentElement;
+  assert.equal(root.getAttribute("data_accent"), "crimson");
+  assert.equal(root.getAttribute("data_contrast"), "high");
+  assert.equal(root.style.getPropertyValue("--font_scale"), "1.25");
+
+  panel.querySelector("[data_pref_reset]").click();
+  assert.equal(root.getAttribute("data_accent"), "navy");
+  assert.equal(root.style.getPropertyValue("--font_scale"), "1");
+  // The language is not an appearance setting
+  assert.equal(savedPrefs(window).lang, "en");
+
+  pressKey(window, "Escape");
+  assert.equal(panel.hidden, true);
+  assert.equal(document.activeElement, btn);
+});
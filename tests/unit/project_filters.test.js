@@ -0,0 +1,115 @@
+// components/project_filters.js: sorting, skill / category / year filters, search, URL state
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage } = require("../helpers/dom");
+
+// Slugs of the shown cards, in page order
+const shown = (document) =>
+  [...document.querySelectorAll("[data_projects_grid] [data_project_card]")]
+    .filter((card) => card.style.display !== "none")
+    .map((card) => card.getAttribute("data_project_slug"));
+
+const change = (window, select, value) => {
+  select.value = value;
+  select.dispatchEvent(new window.Event("change"));
+};
+
+const chip = (document, skill) => document.querySelector(`[data_filter_skills] [data_skill="${skill}"]`);
+
+test("sorts by most recent, most impact and most technical", async () => {
+  const { window, document, errors } = await loadPage("projects.html");
+  const sort = document.querySelector("[data_sort_projects]");
+
+  assert.deepEqual(shown(document), ["drive-gearbox", "arm-gripper", "brake-pedal", "camp-bridge"]);
+
+  change(window, sort, "impact");
+  assert.deepEqual(shown(document), ["drive-gearbox", "arm-gripper", "camp-bridge", "brake-pedal"]);
+
+  change(window, sort, "technical");
+  assert.deepEqual(shown(document), ["brake-pedal", "arm-gripper", "drive-gearbox", "camp-bridge"]);
+  assert.equal(window.location.search, "?sort=technical");
+
+  // Project pages step through the list in the same order
+  const link = document.querySelector('[data_project_slug="arm-gripper"] [data_project_page]');
+  assert.equal(link.getAttribute("href"), "project.html?id=arm-gripper&sort=technical");
+  assert.deepEqual(errors, []);
+});
+
+test("skill chips are built from the projects, most used first", async () => {
+  const { document } = await loadPage("projects.html");
+  const chips = [...document.querySelectorAll("[data_filter_skills] [data_skill]")];
+
+  assert.deepEqual(
+    chips.map((c) => c.getAttribute("data_skill")).slice(0, 2),
+    ["cad", "testing"]
+  );
+  assert.equal(chip(document, "cad").querySelector(".chip_count").textContent, "3");
+});
+
+test("skill chips combine with AND", async () => {
+  const { document } = await loadPage("projects.html");
+
+  chip(document, "cad").click();
+  assert.deepEqual(shown(document), ["drive-gearbox", "arm-gripper", "brake-pedal"]);
+  assert.equal(chip(document, "cad").getAttribute("aria-pressed"), "true");
+
+  chip(document, "testing").click();
+  assert.deepEqual(shown(document), ["drive-gearbox", "brake-pedal"]);
+
+  chip(document, "leadership").click();
+  assert.deepEqual(shown(document), []);
+  assert.equal(document.querySelector("[data_projects_empty]").hidden, false);
+
+  chip(document, "leadership").click();
+  chip(document, "cad").click();
+  assert.deepEqual(shown(document), ["drive-gearbox", "brake-pedal"]);
+  assert.equal(chip(document, "cad").getAttribute("aria-pressed"), "false");
+});
+
+test("category and year selects filter the cards", async () => {
+  const { window, document } = await loadPage("projects.html");
+
+  change(window, document.querySelector("[data_filter_category]"), "robotics");
+  assert.deepEqual(shown(document), ["arm-gripper"]);
+
+  change(window, document.querySelector("[data_filter_category]"), "all");
+  change(window, document.querySelector("[data_filter_year]"), "2025");
+  assert.deepEqual(shown(document), ["drive-gearbox"]);
+  assert.equal(window.location.search, "?year=2025");
+});
+
+test("filters are restored from the URL and follow back / forward", async () => {
+  const { window, document, settle } = await loadPage("projects.html", {
+    url: "http://localhost/projects.html?skills=cad,testing&sort=impact",
+  });
+
+  assert.deepEqual(shown(document), ["drive-gearbox", "brake-pedal"]);
+  assert.equal(document.querySelector("[data_sort_projects]").value, "impact");
+  assert.equal(chip(document, "testing").getAttribute("aria-pressed"), "true");
+
+  chip(document, "testing").click();
+  assert.equal(window.location.search, "?skills=cad&sort=impact");
+
+  window.history.back();
+  await settle(20);
+  assert.deepEqual(shown(document), ["drive-gearbox", "brake-pedal"]);
+});
+
+test("search matches text and operators", async () => {
+  const { window, document } = await loadPage("projects.html");
+  const input = document.querySelector("[data_project_search]");
+  const type = (value) => {
+    input.value = value;
+    input.dispatchEvent(new window.Event("input"));
+  };
+
+  type("gearbox");
+  assert.deepEqual(shown(document), ["drive-gearbox"]);
+
+  type("skill:cad -gripper");
+  assert.deepEqual(shown(document), ["drive-gearbox", "brake-pedal"]);
+  assert.equal(window.location.search, "?q=skill%3Acad+-gripper");
+});
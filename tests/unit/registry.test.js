@@ -0,0 +1,110 @@
+// core/registry.js, core/bus.js: lazy components, late nodes, destroy(), modal_close
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage } = require("../helpers/dom");
+
+const components = (modules) => modules.filter((file) => file.startsWith("assets/js/components/")).sort();
+
+test("a page only loads the components it has markup for", async () => {
+  const { modules } = await loadPage("offline.html");
+  const loaded = components(modules);
+
+  assert.ok(loaded.includes("assets/js/components/site_chrome.js"));
+  assert.ok(loaded.includes("assets/js/components/search_palette.js"));
+  ["projects.js", "contact_form.js", "image_viewer.js", "timeline.js"].forEach((file) => {
+    assert.ok(!loaded.includes(`assets/js/components/${file}`), file);
+  });
+
+  const home = await loadPage("index.html");
+  assert.ok(components(home.modules).includes("assets/js/components/contact_form.js"));
+});
+
+test("elements added after load get their behaviour", async () => {
+  const { window, document, settle } = await loadPage("gallery.html");
+  const modal = document.querySelector('.modal[data_modal="image"]');
+
+  const btn = document.createElement("button");
+  btn.setAttribute("data_image_open", "");
+  btn.setAttribute("data_image_src", "assets/images/late.jpg");
+  btn.setAttribute("data_image_caption", "Added later");
+  document.querySelector("main").appendChild(btn);
+  await settle();
+
+  btn.click();
+  assert.ok(modal.classList.contains("is_open"));
+  assert.equal(document.querySelector("#image_modal_caption").textContent, "Added later");
+  assert.equal(window.location.hash, `#image=${document.querySelectorAll("[data_image_open]").length}`);
+});
+
+test("removed elements are destroyed and mount again when put back", async () => {
+  const { window, document, settle } = await loadPage("index.html");
+  const btn = document.querySelector("[data_theme_toggle]");
+  const parent = btn.parentNode;
+
+  btn.remove();
+  await settle();
+  const pick = document.querySelector('[data_pref="theme"][value="dark"]');
+  pick.checked = true;
+  pick.dispatchEvent(new window.Event("change", { bubbles: true }));
+  assert.equal(btn.textContent, "Theme: System");
+
+  parent.appendChild(btn);
+  await settle();
+  assert.equal(btn.textContent, "Theme: Dark");
+});
+
+test("destroy() and mount() take a subtree by hand", async () => {
+  const { document, settle, importModule } = await loadPage("gallery.html");
+  const registry = await importModule("assets/js/core/registry.js");
+  const modal = document.querySelector('.modal[data_modal="image"]');
+  const grid = document.querySelector(".masonry");
+  const thumb = grid.querySelector("[data_image_open]");
+
+  registry.destroy(grid);
+  await settle();
+  thumb.click();
+  assert.equal(modal.classList.contains("is_open"), false);
+
+  // The grid is [data_gallery] too, so mounting it renders fresh buttons
+  await registry.mount(grid);
+  await settle();
+  grid.querySelector("[data_image_open]").click();
+  assert.ok(modal.classList.contains("is_open"));
+});
+
+test("modal_close on the bus closes the open modal and restores the URL", async () => {
+  const { window, document, settle, importModule } = await loadPage("gallery.html");
+  const bus = await importModule("assets/js/core/bus.js");
+  const modal = document.querySelector('.modal[data_modal="image"]');
+  const changes = [];
+  bus.on("modal_change", ({ open }) => changes.push(open));
+
+  document.querySelector("[data_image_open]").click();
+  bus.emit("modal_close");
+  await settle();
+
+  assert.equal(modal.classList.contains("is_open"), false);
+  assert.equal(window.location.hash, "");
+  assert.deepEqual(changes, [true, false]);
+  assert.equal(window.__siteCloseModal, undefined);
+});
+
+test("a failing bus handler does not stop the others", async () => {
+  const { errors, importModule } = await loadPage("offline.html");
+  const bus = await importModule("assets/js/core/bus.js");
+  const seen = [];
+
+  bus.on("test_event", () => {
+    throw new Error("boom");
+  });
+  const off = bus.on("test_event", ({ n }) => seen.push(n));
+  bus.emit("test_event", { n: 1 });
+  off();
+  bus.emit("test_event", { n: 2 });
+
+  assert.deepEqual(seen, [1]);
+  assert.ok(errors.some((e) => e.includes('[bus] "test_event" handler failed.')));
+});
@@ -0,0 +1,48 @@
+// components/scroll_effects.js
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage } = require("../helpers/dom");
+
+test("animated blocks get in_view once they scroll into view", async () => {
+  const { window, document } = await loadPage("index.html", { prefs: { motion: "full" } });
+  const [first, second] = document.querySelectorAll("[data_animate]");
+
+  assert.equal(first.classList.contains("in_view"), false);
+  window.__intersect(first);
+  assert.equal(first.classList.contains("in_view"), true);
+  assert.equal(second.classList.contains("in_view"), false);
+});
+
+test("count-up metrics jump to the value with reduced motion", async () => {
+  const { window, document } = await loadPage("index.html", { prefs: { motion: "reduced" } });
+  const metric = document.querySelector('[data_countup][data_target="5000"]');
+
+  window.__intersect(metric);
+  assert.equal(metric.textContent, "$5,000");
+});
+
+test("count-up metrics animate up to the value", async () => {
+  const { window, document, settle } = await loadPage("index.html", { prefs: { motion: "full" } });
+  const metric = document.querySelector('[data_countup][data_target="350"]');
+
+  assert.equal(metric.textContent, "0");
+  window.__intersect(metric);
+  await settle(1100);
+  assert.equal(metric.textContent, "350");
+});
+
+test("scrollspy marks the most visible section's link", async () => {
+  const { window, document } = await loadPage("index.html");
+  const link = (id) => document.querySelector(`a[data_scrollspy][href="#${id}"]`);
+
+  window.__intersect(document.querySelector("#skills"), 0.5);
+  assert.equal(link("skills").getAttribute("aria-current"), "true");
+  assert.equal(link("about").hasAttribute("aria-current"), false);
+
+  window.__intersect(document.querySelector("#about"), 0.7);
+  assert.equal(link("about").getAttribute("aria-current"), "true");
+  assert.equal(link("skills").hasAttribute("aria-current"), false);
+});
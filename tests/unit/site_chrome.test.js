@@ -0,0 +1,105 @@
+// core/site.js, core/i18n.js, components/site_chrome.js
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, pressKey } = require("../helpers/dom");
+
+test("header and footer are built from site.json", async () => {
+  const { document, errors } = await loadPage("projects.html");
+
+  const links = [...document.querySelectorAll("#nav_links a.nav_link")];
+  assert.deepEqual(
+    links.map((a) => a.textContent),
+    ["About", "Skills", "Projects", "Gallery", "Resume"]
+  );
+  assert.equal(document.querySelector(".nav_brand").textContent, "Test Person");
+  assert.equal(document.querySelector('a[aria-current="page"]').textContent, "Projects");
+  assert.equal(document.title, "Test Person | Projects");
+  assert.equal(document.querySelector('meta[name="description"]').content, "Projects by Test Person.");
+  assert.equal(document.querySelector("#footer_year").textContent, String(new Date().getFullYear()));
+  assert.deepEqual(errors, []);
+});
+
+test("pages listed in a nav entry's match mark that entry current", async () => {
+  const { document } = await loadPage("project.html", { url: "http://localhost/project.html?id=brake-pedal" });
+
+  assert.equal(document.querySelector('a[aria-current="page"]').textContent, "Projects");
+});
+
+test("home page anchors stay in-page for scrollspy", async () => {
+  const { document } = await loadPage("index.html");
+
+  const about = [...document.querySelectorAll("a.nav_link")].find((a) => a.textContent === "About");
+  assert.equal(about.getAttribute("href"), "#about");
+  assert.ok(about.hasAttribute("data_scrollspy"));
+});
+
+test("mobile nav opens, and closes on Escape, outside clicks and link clicks", async () => {
+  const { window, document } = await loadPage("index.html");
+  const toggle = document.querySelector("[data_nav_toggle]");
+  const links = document.querySelector("#nav_links");
+  const isOpen = () => [links.classList.contains("is_open"), toggle.getAttribute("aria-expanded")];
+
+  toggle.click();
+  assert.deepEqual(isOpen(), [true, "true"]);
+  pressKey(window, "Escape");
+  assert.deepEqual(isOpen(), [false, "false"]);
+
+  toggle.click();
+  document.querySelector("main").click();
+  assert.deepEqual(isOpen(), [false, "false"]);
+
+  toggle.click();
+  links.querySelector('a[href="#skills"]').click();
+  assert.deepEqual(isOpen(), [false, "false"]);
+});
+
+test("scroll progress tracks the scroll position", async () => {
+  const { window, document } = await loadPage("index.html");
+  const bar = document.querySelector("#scroll_progress_bar");
+  const doc = document.documentElement;
+
+  Object.defineProperty(doc, "scrollHeight", { configurable: true, value: 3000 });
+  Object.defineProperty(doc, "clientHeight", { configurable: true, value: 1000 });
+  doc.scrollTop = 500;
+  window.dispatchEvent(new window.Event("scroll"));
+
+  assert.equal(bar.style.width, "25%");
+});
+
+test("a missing site.json leaves the static markup and warns", async () => {
+  const { document, errors, warnings } = await loadPage("index.html", { data: { "assets/data/site.json": null } });
+
+  assert.equal(document.querySelector("a.nav_link"), null);
+  assert.ok(warnings.some((w) => w.includes("[site]")));
+  assert.deepEqual(errors, []);
+});
+
+test("the saved language loads its catalog and translated data", async () => {
+  const { window, document, errors } = await loadPage("index.html", { prefs: { lang: "es" } });
+
+  assert.equal(document.documentElement.lang, "es");
+  assert.equal(document.documentElement.dir, "ltr");
+  assert.equal(document.querySelector("a.nav_link").textContent, "Sobre mí");
+  assert.equal(document.querySelector("[data_theme_toggle]").textContent, "Tema: Sistema");
+
+  const select = document.querySelector("[data_lang_select]");
+  assert.equal(select.value, "es");
+  select.value = "en";
+  select.dispatchEvent(new window.Event("change"));
+  assert.equal(JSON.parse(window.localStorage.getItem("site_prefs")).lang, "en");
+  assert.deepEqual(errors, []);
+});
+
+test("a missing catalog falls back to English", async () => {
+  const { document, warnings } = await loadPage("index.html", {
+    prefs: { lang: "es" },
+    data: { "assets/data/i18n/es.json": null },
+  });
+
+  assert.equal(document.documentElement.lang, "en");
+  assert.equal(document.querySelector("a.nav_link").textContent, "About");
+  assert.ok(warnings.some((w) => w.includes("[i18n]")));
+});